@@ -3,7 +3,7 @@ const User = require('../models/User');
 
 // @desc    Get all audit logs
 // @route   GET /api/audit-logs
-// @access  Public
+// @access  Private/Admin, Finance
 const getAuditLogs = async (req, res) => {
   try {
     const { date, type, userId, page = 1, limit = 100 } = req.query;
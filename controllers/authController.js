@@ -53,16 +53,10 @@ const login = async (req, res) => {
 
 // @desc    Get current user
 // @route   GET /api/auth/me
-// @access  Public
+// @access  Private
 const getMe = async (req, res) => {
   try {
-    const { userId } = req.query; // Frontend se userId query param me aayega
-
-    if (!userId) {
-      return res.status(400).json({ message: 'userId is required' });
-    }
-
-    const user = await User.findById(userId).select('-password');
+    const user = await User.findById(req.user._id).select('-password');
 
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
@@ -2,7 +2,7 @@ const Bank = require('../models/Bank');
 
 // @desc    Get all active banks
 // @route   GET /api/banks
-// @access  Public (all authenticated users)
+// @access  Private (all authenticated users)
 exports.getAllBanks = async (req, res) => {
     try {
         const banks = await Bank.find({ isActive: true })
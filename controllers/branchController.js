@@ -4,7 +4,7 @@ const { createAuditLog } = require('../middleware/auditLog');
 
 // @desc    Get all branches
 // @route   GET /api/branches
-// @access  Public
+// @access  Private
 const getBranches = async (req, res) => {
   try {
     const branches = await Branch.find().sort({ name: 1 });
@@ -22,7 +22,7 @@ const getBranches = async (req, res) => {
 
 // @desc    Create branch
 // @route   POST /api/branches
-// @access  Public
+// @access  Private/Admin
 const createBranch = async (req, res) => {
   try {
     const { name } = req.body;
@@ -42,11 +42,9 @@ const createBranch = async (req, res) => {
     const branch = await Branch.create({ name: branchName });
 
     // Create audit log
-    const userId = req.body.userId || null;
-    const userRole = req.body.userRole || 'Admin';
     await createAuditLog(
-      userId,
-      userRole,
+      req.user._id,
+      req.user.role,
       'Create Branch',
       'Branch',
       branch._id,
@@ -103,11 +101,9 @@ const updateBranch = async (req, res) => {
     );
 
     // Create audit log
-    const userId = req.body.userId || null;
-    const userRole = req.body.userRole || 'Admin';
     await createAuditLog(
-      userId,
-      userRole,
+      req.user._id,
+      req.user.role,
       'Update Branch',
       'Branch',
       branch._id,
@@ -148,11 +144,9 @@ const deleteBranch = async (req, res) => {
     }
 
     // Create audit log before deleting
-    const userId = req.body.userId || null;
-    const userRole = req.body.userRole || 'Admin';
     await createAuditLog(
-      userId,
-      userRole,
+      req.user._id,
+      req.user.role,
       'Delete Branch',
       'Branch',
       branch._id,
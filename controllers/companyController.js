@@ -1,15 +1,155 @@
+const mongoose = require('mongoose');
 const Company = require('../models/Company');
+const Trip = require('../models/Trip');
+const Route = require('../models/Route');
+const CompanyMerge = require('../models/CompanyMerge');
+const { createAuditLog } = require('../middleware/auditLog');
+const { withTransaction } = require('../utils/transaction');
+const HttpError = require('../utils/httpError');
+const { DEFAULT_SIMILARITY, clusterCompanyNames } = require('../utils/companyDedup');
+const { normalizeGstin, normalizePan, gstinError, panError, panFromGstin } = require('../utils/gstin');
+const { companyKey } = require('../utils/routeMaster');
+
+const ADDRESS_FIELDS = ['label', 'line1', 'line2', 'city', 'state', 'pincode'];
+const CONTACT_FIELDS = ['name', 'designation', 'phone', 'email', 'isPrimary'];
+
+// Address from a body value. Returns { address } or { error }.
+const parseAddress = (value, what) => {
+  if (!value || typeof value !== 'object') {
+    return { error: `${what} must be an object` };
+  }
+  const address = {};
+  ADDRESS_FIELDS.forEach(field => {
+    address[field] = String(value[field] || '').trim();
+  });
+  if (address.pincode && !/^[1-9][0-9]{5}$/.test(address.pincode)) {
+    return { error: `${what} pincode ${address.pincode} is not a 6-digit PIN code` };
+  }
+  return { address };
+};
+
+// Company fields from a create/update body. Returns { fields } or { error }.
+const companyFields = (body, existing = null) => {
+  const fields = {};
+
+  if (body.name !== undefined) {
+    if (!body.name || !String(body.name).trim()) {
+      return { error: 'Company name is required' };
+    }
+    fields.name = String(body.name).trim();
+  }
+
+  if (body.gstin !== undefined) {
+    const gstin = normalizeGstin(body.gstin);
+    if (gstin) {
+      const error = gstinError(gstin);
+      if (error) return { error };
+    }
+    fields.gstin = gstin || null;
+    fields.stateCode = gstin ? gstin.slice(0, 2) : null;
+  }
+  if (body.pan !== undefined) {
+    const pan = normalizePan(body.pan);
+    if (pan) {
+      const error = panError(pan);
+      if (error) return { error };
+    }
+    fields.pan = pan || null;
+  }
+  // PAN comes from the GSTIN when not given, and must agree with it otherwise
+  const gstin = fields.gstin !== undefined ? fields.gstin : (existing && existing.gstin);
+  if (gstin) {
+    const pan = fields.pan !== undefined ? fields.pan : (existing && existing.pan);
+    if (!pan) {
+      fields.pan = panFromGstin(gstin);
+    } else if (pan !== panFromGstin(gstin)) {
+      return { error: `PAN ${pan} does not match the PAN in GSTIN ${gstin} (${panFromGstin(gstin)})` };
+    }
+  }
+
+  if (body.billingAddress !== undefined) {
+    if (body.billingAddress === null) {
+      fields.billingAddress = null;
+    } else {
+      const { address, error } = parseAddress(body.billingAddress, 'billingAddress');
+      if (error) return { error };
+      fields.billingAddress = address;
+    }
+  }
+  if (body.shippingAddresses !== undefined) {
+    if (!Array.isArray(body.shippingAddresses)) {
+      return { error: 'shippingAddresses must be a list' };
+    }
+    fields.shippingAddresses = [];
+    for (const [index, value] of body.shippingAddresses.entries()) {
+      const { address, error } = parseAddress(value, `shippingAddresses[${index}]`);
+      if (error) return { error };
+      fields.shippingAddresses.push(address);
+    }
+  }
+
+  if (body.contacts !== undefined) {
+    if (!Array.isArray(body.contacts)) {
+      return { error: 'contacts must be a list' };
+    }
+    const contacts = body.contacts.map(contact => {
+      const row = {};
+      CONTACT_FIELDS.forEach(field => {
+        row[field] = field === 'isPrimary' ? Boolean(contact && contact[field]) : String((contact && contact[field]) || '').trim();
+      });
+      return row;
+    });
+    if (contacts.some(contact => !contact.name)) {
+      return { error: 'Every contact needs a name' };
+    }
+    if (contacts.filter(contact => contact.isPrimary).length > 1) {
+      return { error: 'Only one contact can be primary' };
+    }
+    fields.contacts = contacts;
+  }
+
+  if (body.creditDays !== undefined) {
+    const creditDays = Number(body.creditDays);
+    if (!Number.isInteger(creditDays) || creditDays < 0) {
+      return { error: 'creditDays must be a whole number of zero or more' };
+    }
+    fields.creditDays = creditDays;
+  }
+  if (body.isActive !== undefined) fields.isActive = Boolean(body.isActive);
+
+  return { fields };
+};
+
+// Another company with this name (case-insensitive) or GSTIN, if any
+const findDuplicateCompany = async (fields, excludeId = null) => {
+  const notSelf = excludeId ? { _id: { $ne: excludeId } } : {};
+  if (fields.name) {
+    const byName = await Company.findOne({ name: fields.name, ...notSelf }).collation({ locale: 'en', strength: 2 });
+    if (byName) return { company: byName, message: 'Company already exists' };
+  }
+  if (fields.gstin) {
+    const byGstin = await Company.findOne({ gstin: fields.gstin, ...notSelf });
+    if (byGstin) return { company: byGstin, message: `GSTIN ${fields.gstin} is already used by ${byGstin.name}` };
+  }
+  return null;
+};
 
 // @desc    Get all companies (sorted)
-// @route   GET /api/companies
-// @access  Public (UI controls admin usage)
+// @route   GET /api/companies?search=&active=
+// @access  Private
 const getCompanies = async (req, res) => {
   try {
-    const { search } = req.query || {};
+    const { search, active } = req.query || {};
     const filter = {};
 
     if (search && search.trim()) {
-      filter.name = { $regex: search.trim(), $options: 'i' };
+      filter.$or = [
+        { name: { $regex: search.trim(), $options: 'i' } },
+        { gstin: { $regex: normalizeGstin(search).replace(/[^A-Z0-9]/g, '') || '^$' } },
+      ];
+    }
+    if (active !== undefined) {
+      filter.isActive = active !== 'false';
     }
 
     const companies = await Company.find(filter).collation({ locale: 'en', strength: 2 }).sort({ name: 1 });
@@ -22,7 +162,7 @@ const getCompanies = async (req, res) => {
 
 // @desc    Get single company
 // @route   GET /api/companies/:id
-// @access  Public (UI controls admin usage)
+// @access  Private
 const getCompany = async (req, res) => {
   try {
     const company = await Company.findById(req.params.id);
@@ -38,23 +178,36 @@ const getCompany = async (req, res) => {
 
 // @desc    Create a company
 // @route   POST /api/companies
-// @access  Public (UI controls admin usage)
+// @access  Private/Admin
 const createCompany = async (req, res) => {
   try {
-    const { name, createdBy = null } = req.body || {};
-    if (!name || !name.trim()) {
+    const body = req.body || {};
+    if (!body.name || !String(body.name).trim()) {
       return res.status(400).json({ message: 'Company name is required' });
     }
 
-    const trimmed = name.trim();
+    const { fields, error } = companyFields(body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
 
-    // Check if exists (case-insensitive)
-    const existing = await Company.findOne({ name: trimmed }).collation({ locale: 'en', strength: 2 });
-    if (existing) {
-      return res.status(400).json({ message: 'Company already exists' });
+    const duplicate = await findDuplicateCompany(fields);
+    if (duplicate) {
+      return res.status(400).json({ message: duplicate.message, existingCompanyId: duplicate.company._id });
     }
 
-    const company = await Company.create({ name: trimmed, createdBy });
+    const company = await Company.create({ ...fields, createdBy: req.user._id, updatedBy: req.user._id });
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Create Company',
+      'Company',
+      company._id,
+      fields,
+      req.ip
+    );
+
     res.status(201).json(company);
   } catch (error) {
     console.error('Create company error:', error);
@@ -62,61 +215,384 @@ const createCompany = async (req, res) => {
   }
 };
 
-// @desc    Update a company
+// @desc    Update a company (details, payment terms; deactivate with isActive: false)
 // @route   PUT /api/companies/:id
-// @access  Public (UI controls admin usage)
+// @access  Private/Admin
 const updateCompany = async (req, res) => {
   try {
-    const { name } = req.body || {};
-    if (!name || !name.trim()) {
-      return res.status(400).json({ message: 'Company name is required' });
+    const company = await Company.findById(req.params.id);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const { fields, error } = companyFields(req.body || {}, company);
+    if (error) {
+      return res.status(400).json({ message: error });
     }
-    const trimmed = name.trim();
 
     // Check duplicate on a different id (case-insensitive)
-    const duplicate = await Company.findOne({ name: trimmed }).collation({ locale: 'en', strength: 2 });
-    if (duplicate && String(duplicate._id) !== String(req.params.id)) {
-      return res.status(400).json({ message: 'Company already exists' });
+    const duplicate = await findDuplicateCompany(fields, company._id);
+    if (duplicate) {
+      return res.status(400).json({ message: duplicate.message, existingCompanyId: duplicate.company._id });
     }
 
-    const updated = await Company.findByIdAndUpdate(
-      req.params.id,
-      { name: trimmed },
-      { new: true, runValidators: true }
-    ).collation({ locale: 'en', strength: 2 });
+    const oldValues = {};
+    Object.keys(fields).forEach(field => {
+      oldValues[field] = company[field];
+    });
+    const renamed = fields.name !== undefined && fields.name !== company.name;
 
-    if (!updated) {
-      return res.status(404).json({ message: 'Company not found' });
+    Object.assign(company, fields, { updatedBy: req.user._id });
+    await company.save();
+
+    // Rate cards follow the master's spelling; trips keep their name snapshot
+    if (renamed) {
+      await Route.updateMany(
+        { 'rateCards.company': company._id },
+        { $set: { 'rateCards.$[card].companyName': company.name, 'rateCards.$[card].companyKey': companyKey(company.name) } },
+        { arrayFilters: [{ 'card.company': company._id }] }
+      );
     }
 
-    res.json(updated);
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Update Company',
+      'Company',
+      company._id,
+      { oldValues, newValues: fields },
+      req.ip
+    );
+
+    res.json(company);
   } catch (error) {
     console.error('Update company error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 };
 
-// @desc    Delete a company
+// @desc    Delete a company that no trip is linked to
 // @route   DELETE /api/companies/:id
-// @access  Public (UI controls admin usage)
+// @access  Private/Admin
 const deleteCompany = async (req, res) => {
   try {
-    const deleted = await Company.findByIdAndDelete(req.params.id);
-    if (!deleted) {
+    const company = await Company.findById(req.params.id);
+    if (!company) {
       return res.status(404).json({ message: 'Company not found' });
     }
-    res.json({ message: 'Company deleted', id: deleted._id });
+
+    if (await Trip.exists({ company: company._id })) {
+      return res.status(400).json({ message: 'Company has trips and cannot be deleted. Deactivate it instead (isActive: false).' });
+    }
+
+    await company.deleteOne();
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Delete Company',
+      'Company',
+      company._id,
+      { name: company.name, gstin: company.gstin },
+      req.ip
+    );
+
+    res.json({ message: 'Company deleted', id: company._id });
   } catch (error) {
     console.error('Delete company error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 };
 
+// @desc    Clusters of near-duplicate company names: company records and the
+//          free-text names on trips, grouped by normalized/fuzzy match
+// @route   GET /api/companies/duplicates?similarity=0.85
+// @access  Private/Admin
+const getCompanyDuplicates = async (req, res) => {
+  try {
+    const similarity = req.query.similarity !== undefined ? Number(req.query.similarity) : DEFAULT_SIMILARITY;
+    if (isNaN(similarity) || similarity < 0.5 || similarity > 1) {
+      return res.status(400).json({ message: 'similarity must be between 0.5 and 1' });
+    }
+
+    const [companies, tripsByCompany, tripsByName] = await Promise.all([
+      Company.find().select('name gstin isActive'),
+      Trip.aggregate([
+        { $match: { company: { $ne: null } } },
+        { $group: { _id: '$company', trips: { $sum: 1 } } },
+      ]),
+      Trip.aggregate([
+        { $group: {
+          _id: '$companyName',
+          trips: { $sum: 1 },
+          unlinkedTrips: { $sum: { $cond: [{ $ifNull: ['$company', false] }, 0, 1] } },
+        } },
+      ]),
+    ]);
+
+    const companyTrips = new Map(tripsByCompany.map(row => [String(row._id), row.trips]));
+    const companyNames = new Set(companies.map(company => company.name));
+
+    const entries = [
+      ...companies.map(company => ({
+        type: 'Company',
+        companyId: company._id,
+        name: company.name,
+        gstin: company.gstin,
+        isActive: company.isActive,
+        trips: companyTrips.get(String(company._id)) || 0,
+      })),
+      // Trip names spelled exactly like a company are covered by its entry
+      ...tripsByName
+        .filter(row => row._id && !companyNames.has(row._id))
+        .map(row => ({ type: 'Name', name: row._id, trips: row.trips, unlinkedTrips: row.unlinkedTrips })),
+    ];
+
+    const clusters = clusterCompanyNames(entries, similarity).map(cluster => {
+      const entriesByTrips = [...cluster.entries].sort((a, b) => b.trips - a.trips);
+      const suggested = entriesByTrips.find(entry => entry.type === 'Company' && entry.isActive)
+        || entriesByTrips.find(entry => entry.type === 'Company');
+      return {
+        key: cluster.key,
+        similarity: cluster.similarity,
+        trips: cluster.entries.reduce((sum, entry) => sum + entry.trips, 0),
+        suggestedCompanyId: suggested ? suggested.companyId : null,
+        entries: entriesByTrips,
+      };
+    }).sort((a, b) => b.trips - a.trips);
+
+    res.json({ similarity, clusters });
+  } catch (error) {
+    console.error('Get company duplicates error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Merge duplicates into a canonical company: trips with any of `names`
+//          or linked to any of `companyIds` are rewritten to the canonical
+//          company, and the duplicate company records are deactivated. Trips
+//          already on an invoice keep their company so the invoice matches them
+// @route   POST /api/companies/merge
+// @access  Private/Admin
+const mergeCompanies = async (req, res) => {
+  try {
+    const { companyId, reason, names: rawNames = [], companyIds: rawCompanyIds = [] } = req.body || {};
+    if (!Array.isArray(rawNames) || !Array.isArray(rawCompanyIds)) {
+      return res.status(400).json({ message: 'names and companyIds must be arrays' });
+    }
+    const names = [...new Set(rawNames.map(name => String(name)).filter(name => name.trim()))];
+    const companyIds = [...new Set(rawCompanyIds.map(String))];
+
+    if (!companyId || !mongoose.Types.ObjectId.isValid(companyId)) {
+      return res.status(400).json({ message: 'A valid companyId (the canonical company) is required' });
+    }
+    if (companyIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: 'companyIds must all be valid ids' });
+    }
+    if (names.length === 0 && companyIds.length === 0) {
+      return res.status(400).json({ message: 'Give the names and/or companyIds to merge' });
+    }
+    if (companyIds.includes(String(companyId))) {
+      return res.status(400).json({ message: 'The canonical company cannot be merged into itself' });
+    }
+
+    const company = await Company.findById(companyId);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+    const duplicates = await Company.find({ _id: { $in: companyIds } });
+    if (duplicates.length !== companyIds.length) {
+      return res.status(404).json({ message: 'One or more companies to merge were not found' });
+    }
+
+    const tripFilter = {
+      $or: [
+        { companyName: { $in: names } },
+        { company: { $in: duplicates.map(duplicate => duplicate._id) } },
+      ],
+      $nor: [{ company: company._id, companyName: company.name }],
+    };
+    const invoicedTrips = await Trip.countDocuments({ ...tripFilter, invoice: { $ne: null } });
+
+    // Trips, duplicates and the undo record are written together
+    const merge = await withTransaction(async (session) => {
+      const trips = await Trip.find({ ...tripFilter, invoice: null }).select('company companyName').session(session);
+
+      await Trip.updateMany(
+        { _id: { $in: trips.map(trip => trip._id) } },
+        { $set: { company: company._id, companyName: company.name } },
+        { session }
+      );
+      await Company.updateMany(
+        { _id: { $in: duplicates.map(duplicate => duplicate._id) } },
+        { $set: { isActive: false, updatedBy: req.user._id } },
+        { session }
+      );
+
+      const [created] = await CompanyMerge.create([{
+        company: company._id,
+        companyName: company.name,
+        names,
+        trips: trips.map(trip => ({ trip: trip._id, previousCompany: trip.company || null, previousCompanyName: trip.companyName })),
+        mergedCompanies: duplicates.map(duplicate => ({ company: duplicate._id, name: duplicate.name, wasActive: duplicate.isActive })),
+        reason: reason || '',
+        mergedBy: req.user._id,
+      }], { session });
+      return created;
+    });
+
+    // Rate cards stay with the (now inactive) duplicates; list them for review
+    const rateCardsToReview = duplicates.length === 0 ? 0 : await Route.countDocuments({
+      'rateCards.company': { $in: duplicates.map(duplicate => duplicate._id) },
+    });
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Merge Companies',
+      'Company',
+      company._id,
+      {
+        mergeId: merge._id,
+        companyName: company.name,
+        names,
+        mergedCompanies: merge.mergedCompanies,
+        tripsUpdated: merge.trips.length,
+        tripIds: merge.trips.map(row => row.trip),
+        invoicedTripsSkipped: invoicedTrips,
+        reason: merge.reason,
+      },
+      req.ip
+    );
+
+    res.status(201).json({
+      mergeId: merge._id,
+      company: { id: company._id, name: company.name },
+      names,
+      mergedCompanies: merge.mergedCompanies,
+      tripsUpdated: merge.trips.length,
+      invoicedTripsSkipped: invoicedTrips,
+      rateCardsToReview,
+    });
+  } catch (error) {
+    console.error('Merge companies error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Company merges, newest first
+// @route   GET /api/companies/merges
+// @access  Private/Admin
+const getCompanyMerges = async (req, res) => {
+  try {
+    const merges = await CompanyMerge.find()
+      .populate('mergedBy', 'name role _id')
+      .populate('undoneBy', 'name role _id')
+      .select('-trips')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const tripCounts = await CompanyMerge.aggregate([
+      { $project: { trips: { $size: '$trips' } } },
+    ]);
+    const counts = new Map(tripCounts.map(row => [String(row._id), row.trips]));
+
+    res.json(merges.map(merge => ({ ...merge, id: merge._id, tripsUpdated: counts.get(String(merge._id)) || 0 })));
+  } catch (error) {
+    console.error('Get company merges error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Undo a merge: trips get their previous company and name back, and
+//          the duplicate companies their previous active flag. Trips changed
+//          or invoiced since the merge are left alone and listed.
+// @route   POST /api/companies/merges/:id/undo
+// @access  Private/Admin
+const undoCompanyMerge = async (req, res) => {
+  try {
+    const merge = await withTransaction(async (session) => {
+      const found = await CompanyMerge.findById(req.params.id).session(session);
+      if (!found) {
+        throw new HttpError(404, 'Company merge not found');
+      }
+      if (found.status === 'Undone') {
+        throw new HttpError(400, 'Company merge is already undone');
+      }
+
+      // Only trips that still carry the merged company and name are restored;
+      // invoiced ones stay with the company their invoice bills
+      const untouched = await Trip.find({
+        _id: { $in: found.trips.map(row => row.trip) },
+        company: found.company,
+        companyName: found.companyName,
+        invoice: null,
+      }).select('_id').session(session);
+      const restorable = new Set(untouched.map(trip => String(trip._id)));
+
+      const restores = found.trips
+        .filter(row => restorable.has(String(row.trip)))
+        .map(row => ({
+          updateOne: {
+            filter: { _id: row.trip },
+            update: { $set: { company: row.previousCompany, companyName: row.previousCompanyName } },
+          },
+        }));
+      if (restores.length > 0) {
+        await Trip.bulkWrite(restores, { session });
+      }
+
+      for (const row of found.mergedCompanies) {
+        await Company.updateOne({ _id: row.company }, { $set: { isActive: row.wasActive, updatedBy: req.user._id } }, { session });
+      }
+
+      found.status = 'Undone';
+      found.undoneBy = req.user._id;
+      found.undoneAt = new Date();
+      found.undoSkippedTrips = found.trips.map(row => row.trip).filter(id => !restorable.has(String(id)));
+      await found.save({ session });
+      return found;
+    });
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Undo Company Merge',
+      'Company',
+      merge.company,
+      {
+        mergeId: merge._id,
+        tripsRestored: merge.trips.length - merge.undoSkippedTrips.length,
+        skippedTripIds: merge.undoSkippedTrips,
+        companiesRestored: merge.mergedCompanies,
+      },
+      req.ip
+    );
+
+    res.json({
+      mergeId: merge._id,
+      status: merge.status,
+      tripsRestored: merge.trips.length - merge.undoSkippedTrips.length,
+      skippedTrips: merge.undoSkippedTrips,
+      companiesRestored: merge.mergedCompanies,
+    });
+  } catch (error) {
+    console.error('Undo company merge error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 module.exports = {
   getCompanies,
   getCompany,
   createCompany,
   updateCompany,
   deleteCompany,
+  getCompanyDuplicates,
+  mergeCompanies,
+  getCompanyMerges,
+  undoCompanyMerge,
 };
-
@@ -1,10 +1,25 @@
 const Dispute = require('../models/Dispute');
 const Trip = require('../models/Trip');
+const Ledger = require('../models/Ledger');
+const Vehicle = require('../models/Vehicle');
+const Driver = require('../models/Driver');
 const { createAuditLog } = require('../middleware/auditLog');
+const { isOwner } = require('../utils/permissions');
+const { withTransaction } = require('../utils/transaction');
+const HttpError = require('../utils/httpError');
+const { postLedgerEntries } = require('../utils/wallet');
+const { creditOverrideFromRequest } = require('../utils/creditLimit');
+const { assertTransition, transitionTrip, assertTripUnchanged } = require('../utils/tripLifecycle');
+const { applyTripSettlement } = require('../utils/tripSettlement');
+const { normalizeRegistration } = require('../utils/vehicles');
+const { normalizePhone } = require('../utils/drivers');
+const { findRoute } = require('../utils/routeMaster');
+const { findCompanyByName } = require('../utils/companies');
+const { duplicateLrNumberError } = require('../utils/lrSeries');
 
 // @desc    Get all disputes
 // @route   GET /api/disputes
-// @access  Public
+// @access  Private
 const getDisputes = async (req, res) => {
   try {
     const { agentId, status, page = 1, limit = 20 } = req.query;
@@ -57,7 +72,7 @@ const getDisputes = async (req, res) => {
 
 // @desc    Get single dispute
 // @route   GET /api/disputes/:id
-// @access  Public
+// @access  Private
 const getDispute = async (req, res) => {
   try {
     const dispute = await Dispute.findById(req.params.id)
@@ -88,14 +103,16 @@ const getDispute = async (req, res) => {
 
 // @desc    Create dispute
 // @route   POST /api/disputes
-// @access  Public
+// @access  Private/Agent
 const createDispute = async (req, res) => {
   try {
-    const { tripId, type, reason, amount, agentId } = req.body; // Frontend se agentId aayega
+    const { tripId, type, reason, amount } = req.body;
 
-    if (!agentId) {
-      return res.status(400).json({ message: 'agentId is required' });
+    // Disputes are always raised by the logged-in agent
+    if (req.body.agentId && !isOwner(req.user, req.body.agentId)) {
+      return res.status(403).json({ message: 'Agents can only raise disputes on their own behalf' });
     }
+    const agentId = req.user._id;
 
     const trip = await Trip.findById(tripId);
 
@@ -103,15 +120,17 @@ const createDispute = async (req, res) => {
       return res.status(404).json({ message: 'Trip not found' });
     }
 
-    // Verify agentId matches trip's agent
-    if (trip.agent.toString() !== agentId.toString()) {
-      return res.status(400).json({ message: 'Agent ID does not match trip agent' });
+    // Verify logged-in agent owns the trip
+    if (!isOwner(req.user, trip.agent)) {
+      return res.status(403).json({ message: 'Disputes can only be raised on your own trips' });
     }
 
-    // Only allow disputes for Active trips
+    // Only allow disputes for Active trips (Active -> In Dispute)
     if (trip.status !== 'Active') {
       return res.status(400).json({ message: 'Disputes can only be raised for Active trips' });
     }
+    assertTransition(trip, 'raiseDispute', req.user);
+    const loadedAt = trip.updatedAt;
 
     // Check if dispute already exists
     const existingDispute = await Dispute.findOne({ tripId, status: 'Open' });
@@ -119,21 +138,25 @@ const createDispute = async (req, res) => {
       return res.status(400).json({ message: 'An open dispute already exists for this trip' });
     }
 
-    const dispute = await Dispute.create({
-      tripId,
-      lrNumber: trip.lrNumber,
-      agent: agentId,
-      agentId: agentId,
-      type,
-      reason,
-      amount: parseFloat(amount) || 0,
-      status: 'Open',
+    // Dispute and the trip's move to "In Dispute" commit together
+    const dispute = await withTransaction(async (session) => {
+      const current = await assertTripUnchanged(trip, loadedAt, ['Active'], session);
+      const [created] = await Dispute.create([{
+        tripId,
+        lrNumber: trip.lrNumber,
+        agent: agentId,
+        agentId: agentId,
+        type,
+        reason,
+        amount: parseFloat(amount) || 0,
+        status: 'Open',
+      }], { session });
+
+      transitionTrip(current, 'raiseDispute', req.user, reason);
+      await current.save({ session });
+      return created;
     });
 
-    // Update trip status to "In Dispute"
-    trip.status = 'In Dispute';
-    await trip.save();
-
     // Populate dispute with error handling
     let populatedDispute;
     try {
@@ -170,8 +193,8 @@ const createDispute = async (req, res) => {
     // Create audit log (don't fail if this fails)
     try {
       await createAuditLog(
-        agentId,
-        'Agent',
+        req.user._id,
+        req.user.role,
         'Create Dispute',
         'Dispute',
         dispute._id,
@@ -191,6 +214,9 @@ const createDispute = async (req, res) => {
   } catch (error) {
     console.error('Create dispute error:', error);
     console.error('Error stack:', error.stack);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
     // If dispute was created but response failed, still return success
     try {
       const existingDispute = await Dispute.findOne({ tripId: req.body.tripId, status: 'Open' });
@@ -198,7 +224,7 @@ const createDispute = async (req, res) => {
         const basicDispute = {
           ...existingDispute.toObject(),
           id: existingDispute._id,
-          agentId: req.body.agentId,
+          agentId: req.user._id,
           agent: 'Unknown',
           tripId: req.body.tripId,
         };
@@ -213,11 +239,10 @@ const createDispute = async (req, res) => {
 
 // @desc    Resolve dispute
 // @route   PUT /api/disputes/:id/resolve
-// @access  Public
+// @access  Private/Admin
 const resolveDispute = async (req, res) => {
   try {
     const {
-      resolvedBy,
       newFreight,
       newAdvance,
       lrNumber,
@@ -245,12 +270,16 @@ const resolveDispute = async (req, res) => {
     if (!trip) {
       return res.status(404).json({ message: 'Associated trip not found' });
     }
+    const loadedStatus = trip.status;
+    const loadedAt = trip.updatedAt;
 
-    // 1. Mark Dispute as Resolved
+    // 1. Mark Dispute as Resolved (saved together with the trip and corrections below)
     dispute.status = 'Resolved';
-    dispute.resolvedBy = resolvedBy || null;
+    dispute.resolvedBy = req.user._id;
     dispute.resolvedAt = new Date();
-    await dispute.save();
+
+    // Correction ledger entries collected while processing, posted in one transaction
+    const correctionEntries = [];
 
     // Capture old values for audit and ledger
     const oldFreight = trip.freight || 0;
@@ -274,19 +303,44 @@ const resolveDispute = async (req, res) => {
     // 2. Update Trip Details (Non-Financial)
     if (lrNumber) trip.lrNumber = lrNumber;
     if (date) trip.date = date;
-    if (truckNumber) trip.truckNumber = truckNumber;
-    if (driverPhoneNumber) trip.driverPhoneNumber = driverPhoneNumber;
-    if (companyName) trip.companyName = companyName;
+    if (truckNumber) {
+      // Corrected truck is relinked to the vehicle master (no document check - the trip already ran)
+      const vehicle = await Vehicle.findOne({ registrationNumber: normalizeRegistration(truckNumber) });
+      trip.truckNumber = vehicle ? vehicle.registrationNumber : truckNumber;
+      trip.vehicle = vehicle ? vehicle._id : null;
+    }
+    if (driverPhoneNumber) {
+      // Relink to the driver with this phone, if any
+      const driver = await Driver.findOne({ phones: normalizePhone(driverPhoneNumber) });
+      trip.driverPhoneNumber = driverPhoneNumber;
+      trip.driver = driver ? driver._id : null;
+      trip.driverName = driver ? driver.name : '';
+    }
+    if (companyName) {
+      // Relink to the company with this name, if any
+      const company = await findCompanyByName(companyName);
+      trip.companyName = company ? company.name : companyName;
+      trip.company = company ? company._id : null;
+    }
     if (routeFrom) trip.routeFrom = routeFrom;
     if (routeTo) trip.routeTo = routeTo;
-    if (routeFrom && routeTo) trip.route = `${routeFrom} - ${routeTo}`;
+    if (routeFrom || routeTo) {
+      // Relink to the route master and use its spelling
+      const route = await findRoute(trip.routeFrom, trip.routeTo);
+      if (route) {
+        trip.routeFrom = route.from;
+        trip.routeTo = route.to;
+      }
+      trip.routeMaster = route ? route._id : null;
+      trip.route = `${trip.routeFrom} - ${trip.routeTo}`;
+    }
     if (tonnage) trip.tonnage = parseFloat(tonnage);
 
     // Update Deductions & Calculate Diffs
     const { cess, kata, excessTonnage, halting, expenses, beta, others, othersReason } = req.body;
 
     // Helper to process deduction updates
-    const processDeduction = async (fieldName, newValue, type = 'Addition') => {
+    const processDeduction = (fieldName, newValue, type = 'Addition') => {
       if (newValue === undefined) return;
 
       const newVal = parseFloat(newValue) || 0;
@@ -341,42 +395,36 @@ const resolveDispute = async (req, res) => {
 
       const typeLabel = `Dispute - ${fieldName.charAt(0).toUpperCase() + fieldName.slice(1)} Correction`;
 
-      const Ledger = require('../models/Ledger');
-      try {
-        await Ledger.create({
-          tripId: trip._id,
-          lrNumber: trip.lrNumber,
-          date: new Date(),
-          description: `Dispute Resolution - ${fieldName.charAt(0).toUpperCase() + fieldName.slice(1)} Correction (${trip.lrNumber})`,
-          type: typeLabel,
-          amount: Math.abs(diff),
-          advance: 0,
-          balance: 0,
-          agent: trip.agent,
-          agentId: trip.agent,
-          bank: 'HDFC Bank',
-          direction: direction,
-          paidBy: 'Admin'
-        });
-      } catch (err) {
-        console.error(`Error creating ledger for ${fieldName}:`, err);
-      }
+      correctionEntries.push({
+        tripId: trip._id,
+        lrNumber: trip.lrNumber,
+        date: new Date(),
+        description: `Dispute Resolution - ${fieldName.charAt(0).toUpperCase() + fieldName.slice(1)} Correction (${trip.lrNumber})`,
+        type: typeLabel,
+        amount: Math.abs(diff),
+        advance: 0,
+        agent: trip.agent,
+        agentId: trip.agent,
+        bank: 'HDFC Bank',
+        direction: direction,
+        paidBy: 'Admin'
+      });
     };
 
     // Process all deductions
     // All these seem to be "Deductions from Freight" -> Reducing Agent Balance
     // So Increase = Debit
-    await processDeduction('cess', cess, 'Addition');
-    await processDeduction('kata', kata, 'Addition');
-    await processDeduction('excessTonnage', excessTonnage, 'Addition');
-    await processDeduction('halting', halting, 'Addition');
-    await processDeduction('expenses', expenses, 'Addition');
-    await processDeduction('others', others, 'Addition');
+    processDeduction('cess', cess, 'Addition');
+    processDeduction('kata', kata, 'Addition');
+    processDeduction('excessTonnage', excessTonnage, 'Addition');
+    processDeduction('halting', halting, 'Addition');
+    processDeduction('expenses', expenses, 'Addition');
+    processDeduction('others', others, 'Addition');
 
     if (othersReason !== undefined) trip.deductions.othersReason = othersReason;
 
     // Beta also reduces balance? 
-    await processDeduction('beta', beta, 'Deduction');
+    processDeduction('beta', beta, 'Deduction');
 
     // 3. Handle Financial Updates (Freight & Advance)
     let freightDiff = 0;
@@ -405,79 +453,75 @@ const resolveDispute = async (req, res) => {
     }
 
     // 4. Recalculate Trip Balance
-    const totalAdditions = (trip.deductions.cess || 0) +
-      (trip.deductions.kata || 0) +
-      (trip.deductions.excessTonnage || 0) +
-      (trip.deductions.halting || 0) +
-      (trip.deductions.expenses || 0) +
-      (trip.deductions.others || 0);
-    const betaAmount = trip.deductions.beta || 0;
-
-    // Re-sum payments just in case
-    const totalPayments = trip.onTripPayments ? trip.onTripPayments.reduce((sum, p) => sum + (p.amount || 0), 0) : 0;
-
-    const currentFreight = trip.freight || 0;
-    const currentAdvance = trip.advance || 0;
+    applyTripSettlement(trip);
 
-    const newInitialBalance = currentFreight - currentAdvance;
-    trip.balance = newInitialBalance + totalAdditions - betaAmount - totalPayments;
-    trip.balanceAmount = trip.balance;
-
-    // 5. Restore Trip Status
-    trip.status = 'Active';
-    await trip.save();
-
-    const Ledger = require('../models/Ledger');
+    // 5. Restore Trip Status (In Dispute -> Active). A trip force-closed while
+    // the dispute was open stays Completed.
+    if (trip.status === 'In Dispute') {
+      transitionTrip(trip, 'resolveDispute', req.user);
+    }
 
     // 6. Generate Ledger Entries for Freight/Advance (existing logic)
 
     // A. FREIGHT DIFF LEGER
     if (freightDiff !== 0) {
-      let direction = freightDiff > 0 ? 'Credit' : 'Debit';
-      try {
-        await Ledger.create({
-          tripId: trip._id,
-          lrNumber: trip.lrNumber,
-          date: new Date(),
-          description: `Dispute Resolution - Freight Correction (${trip.lrNumber})`,
-          type: 'Dispute - Freight Correction',
-          amount: Math.abs(freightDiff),
-          advance: 0,
-          balance: 0,
-          agent: trip.agent,
-          agentId: trip.agent,
-          bank: 'HDFC Bank',
-          direction: direction,
-          paidBy: 'Admin'
-        });
-      } catch (err) {
-        console.error("Error creating freight ledger entry:", err);
-      }
+      correctionEntries.push({
+        tripId: trip._id,
+        lrNumber: trip.lrNumber,
+        date: new Date(),
+        description: `Dispute Resolution - Freight Correction (${trip.lrNumber})`,
+        type: 'Dispute - Freight Correction',
+        amount: Math.abs(freightDiff),
+        advance: 0,
+        agent: trip.agent,
+        agentId: trip.agent,
+        bank: 'HDFC Bank',
+        direction: freightDiff > 0 ? 'Credit' : 'Debit',
+        paidBy: 'Admin'
+      });
     }
 
     // B. ADVANCE DIFF LEDGER
     if (advanceDiff !== 0) {
-      let direction = advanceDiff > 0 ? 'Debit' : 'Credit';
-      try {
-        await Ledger.create({
-          tripId: trip._id,
-          lrNumber: trip.lrNumber,
-          date: new Date(),
-          description: `Dispute Resolution - Advance Correction (${trip.lrNumber})`,
-          type: 'Dispute - Advance Correction',
-          amount: Math.abs(advanceDiff),
-          advance: 0,
-          balance: 0,
-          agent: trip.agent,
-          agentId: trip.agent,
-          bank: 'HDFC Bank',
-          direction: direction,
-          paidBy: 'Admin'
+      correctionEntries.push({
+        tripId: trip._id,
+        lrNumber: trip.lrNumber,
+        date: new Date(),
+        description: `Dispute Resolution - Advance Correction (${trip.lrNumber})`,
+        type: 'Dispute - Advance Correction',
+        amount: Math.abs(advanceDiff),
+        advance: 0,
+        agent: trip.agent,
+        agentId: trip.agent,
+        bank: 'HDFC Bank',
+        direction: advanceDiff > 0 ? 'Debit' : 'Credit',
+        paidBy: 'Admin'
+      });
+    }
+
+    // 7. Dispute, corrected trip and all correction entries commit together
+    await withTransaction(async (session) => {
+      // Only one resolve may claim the dispute; a concurrent one finds it resolved
+      const claimed = await Dispute.findOneAndUpdate(
+        { _id: dispute._id, status: { $ne: 'Resolved' } },
+        { $set: { status: 'Resolved', resolvedBy: dispute.resolvedBy, resolvedAt: dispute.resolvedAt } },
+        { session }
+      );
+      if (!claimed) {
+        throw new HttpError(409, 'Dispute is already resolved');
+      }
+      await assertTripUnchanged(trip, loadedAt, [loadedStatus], session);
+      // A corrected LR number must still be unique
+      await trip.save({ session }).catch(error => {
+        throw duplicateLrNumberError(error, trip.lrNumber) || error;
+      });
+      if (correctionEntries.length > 0) {
+        await postLedgerEntries(correctionEntries, session, {
+          branch: trip.branch,
+          creditOverride: creditOverrideFromRequest(req),
         });
-      } catch (err) {
-        console.error("Error creating advance ledger entry:", err);
       }
-    }
+    });
 
     const populatedDispute = await Dispute.findById(dispute._id)
       .populate('agent', 'name email phone branch _id')
@@ -487,8 +531,8 @@ const resolveDispute = async (req, res) => {
 
     // Create Audit Log
     await createAuditLog(
-      resolvedBy || null,
-      'Admin',
+      req.user._id,
+      req.user.role,
       'Resolve Dispute',
       'Dispute',
       dispute._id,
@@ -517,6 +561,9 @@ const resolveDispute = async (req, res) => {
     res.json(populatedDispute);
   } catch (error) {
     console.error('Resolve dispute error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 };
@@ -0,0 +1,316 @@
+const Driver = require('../models/Driver');
+const Vehicle = require('../models/Vehicle');
+const Trip = require('../models/Trip');
+const Dispute = require('../models/Dispute');
+const { createAuditLog } = require('../middleware/auditLog');
+const { normalizePhone, normalizeLicence, phonePattern } = require('../utils/drivers');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Driver fields from a create/update body. Returns { fields } or { error }.
+const driverFields = async (body) => {
+  const fields = {};
+
+  if (body.name !== undefined) {
+    if (!String(body.name || '').trim()) {
+      return { error: 'Driver name is required' };
+    }
+    fields.name = String(body.name).trim();
+  }
+  if (body.phones !== undefined) {
+    const list = Array.isArray(body.phones) ? body.phones : [body.phones];
+    const phones = [...new Set(list.map(normalizePhone).filter(Boolean))];
+    if (phones.length === 0) {
+      return { error: 'At least one phone number is required' };
+    }
+    const invalid = phones.find(phone => phone.length !== 10);
+    if (invalid) {
+      return { error: `Invalid phone number ${invalid} (10 digits expected)` };
+    }
+    fields.phones = phones;
+  }
+  if (body.licenceNumber !== undefined) {
+    fields.licenceNumber = normalizeLicence(body.licenceNumber) || null;
+  }
+  if (body.licenceExpiry !== undefined) {
+    const expiry = body.licenceExpiry ? new Date(body.licenceExpiry) : null;
+    if (expiry && isNaN(expiry.getTime())) {
+      return { error: 'Invalid licenceExpiry' };
+    }
+    fields.licenceExpiry = expiry;
+  }
+  if (body.vehicles !== undefined) {
+    const ids = [...new Set((Array.isArray(body.vehicles) ? body.vehicles : [body.vehicles]).filter(Boolean).map(String))];
+    const found = await Vehicle.countDocuments({ _id: { $in: ids } });
+    if (found !== ids.length) {
+      return { error: 'One or more vehicles were not found' };
+    }
+    fields.vehicles = ids;
+  }
+  if (body.isActive !== undefined) fields.isActive = Boolean(body.isActive);
+
+  return { fields };
+};
+
+// Another driver already holding one of these phones or this licence, if any
+const findDuplicateDriver = (fields, excludeId = null) => {
+  const or = [];
+  if (fields.phones) or.push({ phones: { $in: fields.phones } });
+  if (fields.licenceNumber) or.push({ licenceNumber: fields.licenceNumber });
+  if (or.length === 0) return null;
+  return Driver.findOne({ $or: or, ...(excludeId ? { _id: { $ne: excludeId } } : {}) });
+};
+
+// @desc    Get drivers (autocomplete with ?search= on name, phone or licence)
+// @route   GET /api/drivers?search=&active=&limit=
+// @access  Private
+const getDrivers = async (req, res) => {
+  try {
+    const { search, active, limit = 50 } = req.query || {};
+    const filter = {};
+
+    if (search && search.trim()) {
+      const term = search.trim();
+      const or = [{ name: { $regex: escapeRegex(term), $options: 'i' } }];
+      if (normalizePhone(term)) or.push({ phones: { $regex: escapeRegex(normalizePhone(term)) } });
+      if (normalizeLicence(term)) or.push({ licenceNumber: { $regex: escapeRegex(normalizeLicence(term)) } });
+      filter.$or = or;
+    }
+    if (active !== undefined) {
+      filter.isActive = active !== 'false';
+    }
+
+    const drivers = await Driver.find(filter)
+      .populate('vehicles', 'registrationNumber _id')
+      .sort({ name: 1 })
+      .limit(Math.min(Number(limit) || 50, 500));
+
+    res.json(drivers);
+  } catch (error) {
+    console.error('Get drivers error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get single driver
+// @route   GET /api/drivers/:id
+// @access  Private
+const getDriver = async (req, res) => {
+  try {
+    const driver = await Driver.findById(req.params.id).populate('vehicles', 'registrationNumber vehicleType _id');
+    if (!driver) {
+      return res.status(404).json({ message: 'Driver not found' });
+    }
+    res.json(driver);
+  } catch (error) {
+    console.error('Get driver error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Driver history: trips (linked, plus older trips with one of the
+//          driver's phones), on-trip payments made on them and their disputes
+// @route   GET /api/drivers/:id/history?startDate=&endDate=
+// @access  Private
+const getDriverHistory = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const driver = await Driver.findById(req.params.id).populate('vehicles', 'registrationNumber _id');
+    if (!driver) {
+      return res.status(404).json({ message: 'Driver not found' });
+    }
+
+    const query = {
+      $or: [
+        { driver: driver._id },
+        ...driver.phones.map(phone => ({ driver: null, driverPhoneNumber: phonePattern(phone) })),
+      ],
+    };
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) {
+        const endDateTime = new Date(endDate);
+        endDateTime.setHours(23, 59, 59, 999);
+        query.date.$lte = endDateTime;
+      }
+    }
+
+    const trips = await Trip.find(query)
+      .populate('agent', 'name email phone branch _id')
+      .populate('onTripPayments.addedBy', 'name role _id')
+      .select('lrNumber tripId date route companyName truckNumber vehicle freight advance balance status agent branch driver driverPhoneNumber onTripPayments')
+      .sort({ date: -1, createdAt: -1 })
+      .lean();
+
+    const payments = [];
+    trips.forEach(trip => {
+      (trip.onTripPayments || []).forEach(payment => {
+        payments.push({
+          ...payment,
+          addedBy: payment.addedBy?.name || payment.addedBy || payment.addedByRole || 'Unknown',
+          tripId: trip._id,
+          lrNumber: trip.lrNumber,
+        });
+      });
+    });
+    payments.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    const disputes = await Dispute.find({ tripId: { $in: trips.map(trip => trip._id) } })
+      .populate('agent', 'name _id')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const activePayments = payments.filter(payment => !payment.isVoided);
+    res.json({
+      driver,
+      summary: {
+        totalTrips: trips.length,
+        completedTrips: trips.filter(trip => trip.status === 'Completed').length,
+        totalPayments: activePayments.reduce((sum, payment) => sum + (payment.amount || 0), 0),
+        paymentCount: activePayments.length,
+        disputes: disputes.length,
+        openDisputes: disputes.filter(dispute => dispute.status === 'Open').length,
+      },
+      trips: trips.map(({ onTripPayments, ...trip }) => ({
+        ...trip,
+        id: trip._id,
+        agentId: trip.agent?._id || trip.agent,
+        agent: trip.agent?.name || trip.agent,
+        linked: Boolean(trip.driver),
+      })),
+      payments,
+      disputes: disputes.map(dispute => ({ ...dispute, id: dispute._id, agent: dispute.agent?.name || dispute.agent })),
+    });
+  } catch (error) {
+    console.error('Get driver history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Create a driver
+// @route   POST /api/drivers
+// @access  Private/Admin, Finance
+const createDriver = async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (body.name === undefined || body.phones === undefined) {
+      return res.status(400).json({ message: 'name and phones are required' });
+    }
+
+    const { fields, error } = await driverFields(body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const duplicate = await findDuplicateDriver(fields);
+    if (duplicate) {
+      return res.status(400).json({ message: 'A driver with this phone number or licence already exists', existingDriverId: duplicate._id });
+    }
+
+    const driver = await Driver.create({ ...fields, createdBy: req.user._id, updatedBy: req.user._id });
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Create Driver',
+      'Driver',
+      driver._id,
+      fields,
+      req.ip
+    );
+
+    res.status(201).json(driver);
+  } catch (error) {
+    console.error('Create driver error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Update a driver (phones, licence, vehicles; deactivate with isActive: false)
+// @route   PUT /api/drivers/:id
+// @access  Private/Admin, Finance
+const updateDriver = async (req, res) => {
+  try {
+    const { fields, error } = await driverFields(req.body || {});
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const driver = await Driver.findById(req.params.id);
+    if (!driver) {
+      return res.status(404).json({ message: 'Driver not found' });
+    }
+
+    const duplicate = await findDuplicateDriver(fields, driver._id);
+    if (duplicate) {
+      return res.status(400).json({ message: 'A driver with this phone number or licence already exists', existingDriverId: duplicate._id });
+    }
+
+    const oldValues = {};
+    Object.keys(fields).forEach(field => {
+      oldValues[field] = driver[field];
+    });
+
+    Object.assign(driver, fields, { updatedBy: req.user._id });
+    await driver.save();
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Update Driver',
+      'Driver',
+      driver._id,
+      { oldValues, newValues: fields },
+      req.ip
+    );
+
+    res.json(driver);
+  } catch (error) {
+    console.error('Update driver error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Delete a driver that no trip is linked to
+// @route   DELETE /api/drivers/:id
+// @access  Private/Admin
+const deleteDriver = async (req, res) => {
+  try {
+    const driver = await Driver.findById(req.params.id);
+    if (!driver) {
+      return res.status(404).json({ message: 'Driver not found' });
+    }
+
+    if (await Trip.exists({ driver: driver._id })) {
+      return res.status(400).json({ message: 'Driver has trips and cannot be deleted. Deactivate them instead (isActive: false).' });
+    }
+
+    await driver.deleteOne();
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Delete Driver',
+      'Driver',
+      driver._id,
+      { name: driver.name, phones: driver.phones, licenceNumber: driver.licenceNumber },
+      req.ip
+    );
+
+    res.json({ message: 'Driver deleted', id: driver._id });
+  } catch (error) {
+    console.error('Delete driver error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getDrivers,
+  getDriver,
+  getDriverHistory,
+  createDriver,
+  updateDriver,
+  deleteDriver,
+};
@@ -0,0 +1,403 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Trip = require('../models/Trip');
+const Company = require('../models/Company');
+const Receipt = require('../models/Receipt');
+const { createAuditLog } = require('../middleware/auditLog');
+const { withTransaction } = require('../utils/transaction');
+const HttpError = require('../utils/httpError');
+const {
+  INVOICE_CHARGE_FIELDS,
+  DEFAULT_CHARGE_FIELDS,
+  GST_RATES,
+  supplierDetails,
+  billingParty,
+  allocateInvoiceNumber,
+  buildInvoiceLines,
+  computeInvoiceTotals,
+  renderInvoicePdf,
+} = require('../utils/invoice');
+
+// Billing period from `from`/`to` dates, both inclusive. Returns { periodFrom, periodTo } or { error }.
+const parsePeriod = (from, to) => {
+  if (!from || !to) {
+    return { error: 'from and to dates are required' };
+  }
+  const periodFrom = new Date(from);
+  const periodTo = new Date(to);
+  if (isNaN(periodFrom) || isNaN(periodTo)) {
+    return { error: 'from and to must be valid dates' };
+  }
+  periodFrom.setUTCHours(0, 0, 0, 0);
+  periodTo.setUTCHours(23, 59, 59, 999);
+  if (periodFrom > periodTo) {
+    return { error: 'from must not be after to' };
+  }
+  return { periodFrom, periodTo };
+};
+
+// Completed trips of the company in the period that are not on any invoice.
+// Bulk trips aren't billed per LR; trips with a hand-entered invoice number
+// were billed outside the system.
+const billableFilter = (companyId, periodFrom, periodTo) => ({
+  company: companyId,
+  status: 'Completed',
+  isBulk: { $ne: true },
+  date: { $gte: periodFrom, $lte: periodTo },
+  invoice: null,
+  invoiceNumber: { $in: ['', null] },
+});
+
+const transformInvoice = (invoice) => {
+  const obj = invoice.toObject ? invoice.toObject({ flattenMaps: true }) : invoice;
+  return { ...obj, id: obj._id };
+};
+
+// @desc    Trips that can be invoiced for a company and period
+// @route   GET /api/invoices/billable?companyId=&from=&to=
+// @access  Private/Admin, Finance
+const getBillableTrips = async (req, res) => {
+  try {
+    const { companyId, from, to } = req.query;
+    if (!companyId || !mongoose.Types.ObjectId.isValid(companyId)) {
+      return res.status(400).json({ message: 'A valid companyId is required' });
+    }
+    const period = parsePeriod(from, to);
+    if (period.error) {
+      return res.status(400).json({ message: period.error });
+    }
+
+    const company = await Company.findById(companyId);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const trips = await Trip.find(billableFilter(company._id, period.periodFrom, period.periodTo))
+      .select('lrNumber date truckNumber route tonnage freight deductions')
+      .sort({ date: 1, lrNumber: 1 })
+      .lean();
+    const lines = buildInvoiceLines(trips, DEFAULT_CHARGE_FIELDS);
+
+    res.json({
+      company: { id: company._id, name: company.name, gstin: company.gstin, stateCode: company.stateCode },
+      periodFrom: period.periodFrom,
+      periodTo: period.periodTo,
+      chargeFields: DEFAULT_CHARGE_FIELDS,
+      trips: lines,
+      taxableValue: lines.reduce((sum, line) => sum + line.amount, 0),
+    });
+  } catch (error) {
+    console.error('Get billable trips error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Invoice completed trips of a company for a period. All billable
+//          trips are included unless `tripIds` narrows them down; each trip
+//          is stamped with the invoice so it can't be billed twice.
+// @route   POST /api/invoices
+// @access  Private/Admin, Finance
+const createInvoice = async (req, res) => {
+  try {
+    const {
+      companyId,
+      from,
+      to,
+      tripIds,
+      invoiceDate,
+      gstRate,
+      reverseCharge = false,
+      chargeFields = DEFAULT_CHARGE_FIELDS,
+    } = req.body || {};
+
+    if (!companyId || !mongoose.Types.ObjectId.isValid(companyId)) {
+      return res.status(400).json({ message: 'A valid companyId is required' });
+    }
+    const period = parsePeriod(from, to);
+    if (period.error) {
+      return res.status(400).json({ message: period.error });
+    }
+    const rate = Number(gstRate);
+    if (gstRate === undefined || gstRate === null || gstRate === '' || !GST_RATES.includes(rate)) {
+      return res.status(400).json({ message: `gstRate must be one of ${GST_RATES.join(', ')}` });
+    }
+    if (!Array.isArray(chargeFields) || chargeFields.some(field => !INVOICE_CHARGE_FIELDS.includes(field))) {
+      return res.status(400).json({ message: `chargeFields must be a list of: ${INVOICE_CHARGE_FIELDS.join(', ')}` });
+    }
+    if (tripIds !== undefined && (!Array.isArray(tripIds) || tripIds.length === 0 || tripIds.some(id => !mongoose.Types.ObjectId.isValid(id)))) {
+      return res.status(400).json({ message: 'tripIds must be a non-empty list of trip ids' });
+    }
+    const date = invoiceDate ? new Date(invoiceDate) : new Date();
+    if (isNaN(date)) {
+      return res.status(400).json({ message: 'invoiceDate must be a valid date' });
+    }
+
+    const company = await Company.findById(companyId);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+    if (!company.isActive) {
+      return res.status(400).json({ message: `Company ${company.name} is inactive` });
+    }
+
+    const supplier = supplierDetails();
+    const dueDate = new Date(date);
+    dueDate.setUTCDate(dueDate.getUTCDate() + (company.creditDays || 0));
+
+    // Number, invoice and trip stamps are written together; a trip billed by
+    // a concurrent request fails the whole invoice
+    const invoice = await withTransaction(async (session) => {
+      const filter = billableFilter(company._id, period.periodFrom, period.periodTo);
+      if (tripIds) filter._id = { $in: tripIds };
+
+      const trips = await Trip.find(filter).sort({ date: 1, lrNumber: 1 }).session(session);
+      if (trips.length === 0) {
+        throw new HttpError(400, 'No billable trips for this company and period');
+      }
+      if (tripIds && trips.length !== new Set(tripIds.map(String)).size) {
+        const found = new Set(trips.map(trip => String(trip._id)));
+        throw new HttpError(400, 'Some trips cannot be invoiced (not completed, outside the period, another company or already billed)', {
+          tripIds: tripIds.filter(id => !found.has(String(id))),
+        });
+      }
+
+      const lines = buildInvoiceLines(trips, chargeFields);
+      const totals = computeInvoiceTotals(lines, {
+        gstRate: rate,
+        reverseCharge: Boolean(reverseCharge),
+        supplierStateCode: supplier.stateCode,
+        placeOfSupply: company.stateCode,
+      });
+      const invoiceNumber = await allocateInvoiceNumber(date, session);
+
+      const [created] = await Invoice.create([{
+        invoiceNumber,
+        invoiceDate: date,
+        dueDate,
+        company: company._id,
+        billTo: billingParty(company),
+        supplier,
+        periodFrom: period.periodFrom,
+        periodTo: period.periodTo,
+        lines,
+        chargeFields,
+        ...totals,
+        balance: totals.total,
+        paymentStatus: totals.total > 0 ? 'Unpaid' : 'Paid',
+        createdBy: req.user._id,
+      }], { session });
+
+      const stamped = await Trip.updateMany(
+        { _id: { $in: trips.map(trip => trip._id) }, invoice: null },
+        { $set: { invoice: created._id, invoiceNumber } },
+        { session }
+      );
+      if (stamped.modifiedCount !== trips.length) {
+        throw new HttpError(409, 'Some trips were invoiced by another request; try again');
+      }
+      return created;
+    });
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Create Invoice',
+      'Invoice',
+      invoice._id,
+      {
+        invoiceNumber: invoice.invoiceNumber,
+        companyName: invoice.billTo.name,
+        tripIds: invoice.lines.map(line => line.trip),
+        taxableValue: invoice.taxableValue,
+        totalTax: invoice.totalTax,
+        total: invoice.total,
+      },
+      req.ip
+    );
+
+    res.status(201).json(transformInvoice(invoice));
+  } catch (error) {
+    console.error('Create invoice error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    List invoices
+// @route   GET /api/invoices?companyId=&status=&paymentStatus=&overdue=&from=&to=&invoiceNumber=
+// @access  Private/Admin, Finance
+const getInvoices = async (req, res) => {
+  try {
+    const { companyId, status, paymentStatus, overdue, from, to, invoiceNumber, page = 1, limit = 20 } = req.query;
+    const query = {};
+
+    if (companyId) {
+      query.company = companyId;
+    }
+    if (status) {
+      query.status = status;
+    }
+    if (paymentStatus) {
+      query.paymentStatus = paymentStatus;
+    }
+    // Issued invoices past their due date with money still outstanding
+    if (overdue === 'true') {
+      query.status = 'Issued';
+      query.balance = { $gt: 0 };
+      query.dueDate = { $lt: new Date() };
+    }
+    if (from || to) {
+      query.invoiceDate = {};
+      if (from) query.invoiceDate.$gte = new Date(from);
+      if (to) {
+        const end = new Date(to);
+        end.setUTCHours(23, 59, 59, 999);
+        query.invoiceDate.$lte = end;
+      }
+    }
+    if (invoiceNumber) {
+      query.invoiceNumber = { $regex: invoiceNumber.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+
+    const [invoices, total] = await Promise.all([
+      Invoice.find(query)
+        .select('-lines')
+        .populate('createdBy', 'name role _id')
+        .sort({ invoiceDate: -1, invoiceNumber: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .lean(),
+      Invoice.countDocuments(query),
+    ]);
+
+    res.json({
+      data: invoices.map(transformInvoice),
+      pagination: {
+        total,
+        page: Number(page),
+        limit: Number(limit),
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get an invoice with its receipts, or download it with ?format=pdf
+// @route   GET /api/invoices/:id
+// @access  Private/Admin, Finance
+const getInvoice = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id)
+      .populate('createdBy', 'name role _id')
+      .populate('cancelledBy', 'name role _id');
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    if (req.query.format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoiceNumber.replace(/[^A-Za-z0-9-]/g, '_')}.pdf"`);
+      return renderInvoicePdf(invoice, res);
+    }
+
+    const receipts = await Receipt.find({ 'allocations.invoice': invoice._id })
+      .sort({ receiptDate: 1 })
+      .lean();
+
+    res.json({
+      ...transformInvoice(invoice),
+      receipts: receipts.map(receipt => {
+        const allocation = receipt.allocations.find(row => String(row.invoice) === String(invoice._id));
+        return {
+          id: receipt._id,
+          receiptNumber: receipt.receiptNumber,
+          receiptDate: receipt.receiptDate,
+          mode: receipt.mode,
+          bankName: receipt.bankName,
+          reference: receipt.reference,
+          amount: allocation.amount,
+          tds: allocation.tds,
+          status: receipt.status,
+        };
+      }),
+    });
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Cancel an invoice; its trips become billable again. The number is
+//          not reused.
+// @route   POST /api/invoices/:id/cancel
+// @access  Private/Admin, Finance
+const cancelInvoice = async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ message: 'reason is required' });
+    }
+
+    const { invoice, tripsReleased } = await withTransaction(async (session) => {
+      const found = await Invoice.findById(req.params.id).session(session);
+      if (!found) {
+        throw new HttpError(404, 'Invoice not found');
+      }
+      if (found.status === 'Cancelled') {
+        throw new HttpError(400, 'Invoice is already cancelled');
+      }
+      if (found.amountReceived + found.tdsDeducted > 0) {
+        throw new HttpError(400, `Invoice ${found.invoiceNumber} has receipts against it; void them before cancelling`);
+      }
+
+      const released = await Trip.updateMany(
+        { invoice: found._id },
+        { $set: { invoice: null, invoiceNumber: '' } },
+        { session }
+      );
+
+      found.status = 'Cancelled';
+      found.cancelledAt = new Date();
+      found.cancelledBy = req.user._id;
+      found.cancellationReason = String(reason).trim();
+      await found.save({ session });
+      return { invoice: found, tripsReleased: released.modifiedCount };
+    });
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Cancel Invoice',
+      'Invoice',
+      invoice._id,
+      {
+        invoiceNumber: invoice.invoiceNumber,
+        reason: invoice.cancellationReason,
+        tripsReleased,
+      },
+      req.ip
+    );
+
+    res.json({ ...transformInvoice(invoice), tripsReleased });
+  } catch (error) {
+    console.error('Cancel invoice error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getBillableTrips,
+  createInvoice,
+  getInvoices,
+  getInvoice,
+  cancelInvoice,
+};
@@ -2,17 +2,32 @@ const mongoose = require('mongoose');
 const Ledger = require('../models/Ledger');
 const User = require('../models/User');
 const Trip = require('../models/Trip');
+const TransferRequest = require('../models/TransferRequest');
 const { createAuditLog } = require('../middleware/auditLog');
+const { isOwner } = require('../utils/permissions');
+const { withTransaction } = require('../utils/transaction');
+const { postLedgerEntries, getWalletSummary, placeTransferHold, reverseLedgerEntry, replaceLedgerEntry } = require('../utils/wallet');
+const { getTransferThreshold, postTransfer } = require('../utils/transfers');
+const { creditOverrideFromRequest } = require('../utils/creditLimit');
+const { buildAgentStatement, renderStatementCsv, renderStatementPdf } = require('../utils/agentStatement');
+const { localDateKey } = require('../utils/accountingPeriod');
 
 // @desc    Get all ledger entries
 // @route   GET /api/ledger
-// @access  Public
+// @access  Private (Agents: own entries only)
 const getLedger = async (req, res) => {
   try {
-    const { agentId, date, lrNumber, page = 1, limit = 20 } = req.query;
+    const { date, lrNumber, page = 1, limit = 20 } = req.query;
+    let { agentId } = req.query;
     let query = {};
 
-    // No role-based filtering - all entries visible to all
+    // Agents see only their own wallet's entries
+    if (req.user.role === 'Agent') {
+      if (agentId && !isOwner(req.user, agentId)) {
+        return res.status(403).json({ message: 'Agents can only view their own ledger' });
+      }
+      agentId = String(req.user._id);
+    }
     if (agentId) {
       // Cast to ObjectId for aggregate to work correctly
       try {
@@ -37,6 +52,10 @@ const getLedger = async (req, res) => {
       .populate('agent', 'name email phone branch _id')
       .populate('agentId', 'name email phone branch _id')
       .populate('tripId', 'lrNumber route _id')
+      .populate('reversalOf', 'lrNumber type amount direction date _id')
+      .populate('reversedBy', 'lrNumber type amount direction date _id')
+      .populate('replacementOf', 'lrNumber type amount direction date _id')
+      .populate('replacedBy', 'lrNumber type amount direction date _id')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
@@ -101,52 +120,82 @@ const getLedger = async (req, res) => {
 
 // @desc    Get agent balance
 // @route   GET /api/ledger/balance/:agentId
-// @access  Public
+// @access  Private (Agents: own balance only)
 const getAgentBalance = async (req, res) => {
   try {
-    const agentId = req.params.agentId;
+    const agentId = req.params.agentId || (req.user.role === 'Agent' ? req.user._id : null);
+
+    if (req.user.role === 'Agent' && !isOwner(req.user, agentId)) {
+      return res.status(403).json({ message: 'Agents can only view their own balance' });
+    }
 
     if (!agentId) {
       return res.status(400).json({ message: 'agentId is required' });
     }
 
-    // Find ledger entries matching agent ID (handle both agent field and agentId field)
-    const ledger = await Ledger.find({
-      $or: [
-        { agent: agentId },
-        { agentId: agentId },
-        { 'agent._id': agentId },
-        { 'agentId._id': agentId }
-      ]
-    })
-      .populate('agent', 'name email phone branch _id')
-      .populate('agentId', 'name email phone branch _id');
-
-    const balance = ledger.reduce((sum, entry) => {
-      const entryAgentId = entry.agent?._id?.toString() || entry.agentId?._id?.toString() || entry.agent?.toString() || entry.agentId?.toString();
-      const requestedAgentId = agentId.toString();
-
-      // Only include entries that match the requested agent
-      if (entryAgentId === requestedAgentId || entry.agent?.toString() === requestedAgentId || entry.agentId?.toString() === requestedAgentId) {
-        if (entry.direction === 'Credit') {
-          return sum + (parseFloat(entry.amount) || 0);
-        } else {
-          return sum - (parseFloat(entry.amount) || 0);
-        }
-      }
-      return sum;
-    }, 0);
+    // Balance is kept on the agent's wallet, updated with every ledger posting.
+    // Pending transfers: `held` (outgoing) is not spendable, `pendingIncoming` is not credited yet
+    const summary = await getWalletSummary(agentId);
+    const agent = await User.findById(agentId).select('creditLimit branchCreditLimits');
 
-    res.json({ balance });
+    res.json({
+      ...summary,
+      creditLimit: agent ? agent.creditLimit : null,
+      branchCreditLimits: agent ? agent.branchCreditLimits : [],
+    });
   } catch (error) {
     console.error('Get balance error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 };
 
+// @desc    Get agent account statement (JSON, CSV or PDF)
+// @route   GET /api/ledger/statement/:agentId?from=&to=&format=json|csv|pdf
+// @access  Private (Agents: own statement only)
+const getAgentStatement = async (req, res) => {
+  try {
+    const { agentId } = req.params;
+    const { from, to, format = 'json' } = req.query;
+
+    if (req.user.role === 'Agent' && !isOwner(req.user, agentId)) {
+      return res.status(403).json({ message: 'Agents can only view their own statement' });
+    }
+    if (!['json', 'csv', 'pdf'].includes(format)) {
+      return res.status(400).json({ message: "format must be 'json', 'csv' or 'pdf'" });
+    }
+
+    const agent = await User.findById(agentId);
+    if (!agent) {
+      return res.status(404).json({ message: 'Agent not found' });
+    }
+
+    const statement = await buildAgentStatement(agent, from, to);
+    const fileName = `statement-${agent.name.replace(/[^A-Za-z0-9]+/g, '_')}-${localDateKey(statement.from)}-${localDateKey(statement.to)}`;
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+      return res.send(renderStatementCsv(statement));
+    }
+    if (format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.pdf"`);
+      return renderStatementPdf(statement, res);
+    }
+
+    res.json(statement);
+  } catch (error) {
+    console.error('Get agent statement error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 // @desc    Add top-up
 // @route   POST /api/ledger/topup
-// @access  Public
+// @access  Private/Finance, Admin
 const addTopUp = async (req, res) => {
   try {
     const { amount, agentId, mode, bank, reason, isVirtual } = req.body;
@@ -168,74 +217,68 @@ const addTopUp = async (req, res) => {
       // Create date from string to ensure it's recorded correctly
       currentDate = new Date(req.body.date);
     }
-
-    if (isVirtual) {
-      // Virtual Top-up: Credit + Immediate Debit
-      const agentLedger = await Ledger.find({ agent: agentId });
-      const agentBalance = agentLedger.reduce((sum, entry) => {
-        if (entry.direction === 'Credit') {
-          return sum + (entry.amount || 0);
-        } else {
-          return sum - (entry.amount || 0);
-        }
-      }, 0);
-
-      // Credit entry
-      await Ledger.create({
-        tripId: null,
-        lrNumber: `VIRTUAL-TOPUP-${Date.now()}`,
-        date: currentDate,
-        description: `Virtual Top-up: ${reason || 'Direct payment'}`,
-        type: 'Virtual Top-up',
-        amount: amountNum,
-        advance: 0,
-        balance: agentBalance + amountNum,
-        agent: agentId,
-        agentId: agentId,
-        bank: bank || (mode === 'Cash' ? 'Cash' : ''),
-        direction: 'Credit',
-      });
-
-      // Immediate Debit entry
-      await Ledger.create({
-        tripId: null,
-        lrNumber: `VIRTUAL-TOPUP-${Date.now()}`,
-        date: currentDate,
-        description: `Expense: ${reason || 'Direct payment (Repairs/etc)'}`,
-        type: 'Virtual Expense',
-        amount: amountNum,
-        advance: 0,
-        balance: agentBalance,
-        agent: agentId,
-        agentId: agentId,
-        bank: bank || (mode === 'Cash' ? 'Cash' : ''),
-        direction: 'Debit',
-      });
-    } else {
-      // Regular Bulk Top-up
-      await Ledger.create({
-        tripId: null,
-        lrNumber: `TOPUP-${Date.now()}`,
-        date: currentDate,
-        description: `Top-up: ${reason || 'Balance top-up'}`,
-        type: 'Top-up',
-        amount: amountNum,
-        advance: 0,
-        balance: 0,
-        agent: agentId,
-        agentId: agentId,
-        bank: bank || (mode === 'Cash' ? 'Cash' : 'HDFC Bank'),
-        direction: 'Credit',
-      });
-    }
+    // A date chosen by the user must not fall in a closed accounting period
+    const periodOptions = req.body.date ? { onClosedPeriod: 'reject' } : {};
+
+    // Virtual top-up writes a credit and a matching debit - both or neither
+    await withTransaction(async (session) => {
+      if (isVirtual) {
+        // Virtual Top-up: Credit + Immediate Debit
+        const virtualLrNumber = `VIRTUAL-TOPUP-${Date.now()}`;
+
+        await postLedgerEntries([
+          // Credit entry
+          {
+            tripId: null,
+            lrNumber: virtualLrNumber,
+            date: currentDate,
+            description: `Virtual Top-up: ${reason || 'Direct payment'}`,
+            type: 'Virtual Top-up',
+            amount: amountNum,
+            advance: 0,
+            agent: agentId,
+            agentId: agentId,
+            bank: bank || (mode === 'Cash' ? 'Cash' : ''),
+            direction: 'Credit',
+          },
+          // Immediate Debit entry
+          {
+            tripId: null,
+            lrNumber: virtualLrNumber,
+            date: currentDate,
+            description: `Expense: ${reason || 'Direct payment (Repairs/etc)'}`,
+            type: 'Virtual Expense',
+            amount: amountNum,
+            advance: 0,
+            agent: agentId,
+            agentId: agentId,
+            bank: bank || (mode === 'Cash' ? 'Cash' : ''),
+            direction: 'Debit',
+          },
+        ], session, periodOptions);
+      } else {
+        // Regular Bulk Top-up
+        await postLedgerEntries([{
+          tripId: null,
+          lrNumber: `TOPUP-${Date.now()}`,
+          date: currentDate,
+          description: `Top-up: ${reason || 'Balance top-up'}`,
+          type: 'Top-up',
+          amount: amountNum,
+          advance: 0,
+          agent: agentId,
+          agentId: agentId,
+          bank: bank || (mode === 'Cash' ? 'Cash' : 'HDFC Bank'),
+          direction: 'Credit',
+        }], session, periodOptions);
+      }
+    });
 
     // Create audit log (don't fail if this fails)
     try {
-      const userId = req.body.userId || agentId || null;
-      const userRole = req.body.userRole || 'Admin';
       await createAuditLog(
-        userId,
-        userRole,
+        req.user._id,
+        req.user.role,
         isVirtual ? 'Virtual Top-up' : 'Top-up',
         'Ledger',
         agentId,
@@ -257,17 +300,8 @@ const addTopUp = async (req, res) => {
   } catch (error) {
     console.error('Add top-up error:', error);
     console.error('Error stack:', error.stack);
-    // Check if ledger entries were created
-    try {
-      const recentEntries = await Ledger.find({ agent: req.body.agentId })
-        .sort({ createdAt: -1 })
-        .limit(2);
-      if (recentEntries.length > 0) {
-        // Top-up was created, return success
-        return res.json({ message: 'Top-up added successfully' });
-      }
-    } catch (checkError) {
-      console.error('Error checking existing entries:', checkError);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
     }
     res.status(500).json({ message: 'Server error', error: error.message });
   }
@@ -275,13 +309,19 @@ const addTopUp = async (req, res) => {
 
 // @desc    Transfer between agents
 // @route   POST /api/ledger/transfer
-// @access  Public
+// @access  Private/Agent
 const transferToAgent = async (req, res) => {
   try {
-    const { senderAgentId, receiverAgentId, amount } = req.body; // Frontend se senderAgentId bhi aayega
+    const { receiverAgentId, amount } = req.body;
 
-    if (!senderAgentId || !receiverAgentId) {
-      return res.status(400).json({ message: 'senderAgentId and receiverAgentId are required' });
+    // Agents can only transfer out of their own wallet
+    if (req.body.senderAgentId && !isOwner(req.user, req.body.senderAgentId)) {
+      return res.status(403).json({ message: 'Agents can only transfer from their own account' });
+    }
+    const senderAgentId = req.user._id;
+
+    if (!receiverAgentId) {
+      return res.status(400).json({ message: 'receiverAgentId is required' });
     }
 
     if (senderAgentId.toString() === receiverAgentId.toString()) {
@@ -298,74 +338,68 @@ const transferToAgent = async (req, res) => {
       return res.status(404).json({ message: 'Receiver agent not found' });
     }
 
-    // Check sender's balance
-    const senderLedger = await Ledger.find({ agent: senderAgentId });
-    const senderBalance = senderLedger.reduce((sum, entry) => {
-      if (entry.direction === 'Credit') {
-        return sum + (entry.amount || 0);
-      } else {
-        return sum - (entry.amount || 0);
-      }
-    }, 0);
-
     const transferAmount = parseFloat(amount);
-    if (senderBalance < transferAmount) {
-      return res.status(400).json({ message: 'Insufficient balance' });
-    }
-
-    const currentDate = new Date();
-    const sharedTimestamp = Date.now();
-    const sharedLrNumber = `TRANSFER-${sharedTimestamp}`;
-
-    // Debit entry for sender
-    await Ledger.create({
-      tripId: null,
-      lrNumber: sharedLrNumber,
-      date: currentDate,
-      description: `Payment transferred to ${receiverAgent.name}`,
-      type: 'Agent Transfer',
-      amount: transferAmount,
-      advance: 0,
-      balance: senderBalance - transferAmount,
-      agent: senderAgentId,
-      agentId: senderAgentId,
-      bank: 'HDFC Bank',
-      direction: 'Debit',
-    });
+    if (!transferAmount || transferAmount <= 0) {
+      return res.status(400).json({ message: 'amount must be a positive number' });
+    }
 
-    // Calculate receiver's balance
-    const receiverLedger = await Ledger.find({ agent: receiverAgentId });
-    const receiverBalance = receiverLedger.reduce((sum, entry) => {
-      if (entry.direction === 'Credit') {
-        return sum + (entry.amount || 0);
-      } else {
-        return sum - (entry.amount || 0);
-      }
-    }, 0);
-
-    // Credit entry for receiver
-    await Ledger.create({
-      tripId: null,
-      lrNumber: sharedLrNumber,
-      date: currentDate,
-      description: `Payment received from ${senderAgent.name}`,
-      type: 'Agent Transfer',
-      amount: transferAmount,
-      advance: 0,
-      balance: receiverBalance + transferAmount,
-      agent: receiverAgentId,
-      agentId: receiverAgentId,
-      bank: 'HDFC Bank',
-      direction: 'Credit',
+    // Transfers above the sender's branch (or global) threshold wait for Finance
+    const threshold = await getTransferThreshold(senderAgent);
+    if (threshold && transferAmount > threshold.amount) {
+      const transferRequest = await withTransaction(async (session) => {
+        await placeTransferHold(senderAgent._id, receiverAgent._id, transferAmount, session);
+        const [created] = await TransferRequest.create([{
+          sender: senderAgent._id,
+          receiver: receiverAgent._id,
+          amount: transferAmount,
+          threshold: threshold.amount,
+          thresholdBranch: threshold.branch,
+          requestedBy: req.user._id,
+          requestedByRole: req.user.role,
+        }], { session });
+        return created;
+      });
+
+      await createAuditLog(
+        req.user._id,
+        req.user.role,
+        'Request Agent Transfer',
+        'TransferRequest',
+        transferRequest._id,
+        {
+          senderAgentId,
+          receiverAgentId,
+          amount: transferAmount,
+          threshold: threshold.amount,
+          thresholdBranch: threshold.branch,
+        },
+        req.ip
+      );
+
+      const senderSummary = await getWalletSummary(senderAgent._id);
+      return res.status(202).json({
+        message: `Transfer above Rs ${threshold.amount.toLocaleString()} submitted for approval`,
+        transferRequest,
+        senderBalance: senderSummary.balance,
+        senderAvailableBalance: senderSummary.availableBalance,
+      });
+    }
+
+    // Sender debit and receiver credit commit together
+    const { senderBalance, receiverBalance } = await withTransaction(async (session) => {
+      const { debitEntry, creditEntry } = await postTransfer({ senderAgent, receiverAgent, amount: transferAmount }, session);
+
+      return {
+        senderBalance: debitEntry.balance,
+        receiverBalance: creditEntry.balance,
+      };
     });
 
     // Create audit log (don't fail if this fails)
     try {
-      const userId = req.body.userId || senderAgentId || null;
-      const userRole = req.body.userRole || 'Agent';
       await createAuditLog(
-        userId,
-        userRole,
+        req.user._id,
+        req.user.role,
         'Agent Transfer',
         'Ledger',
         senderAgentId,
@@ -384,40 +418,34 @@ const transferToAgent = async (req, res) => {
 
     res.json({
       message: 'Transfer successful',
-      senderBalance: senderBalance - transferAmount,
-      receiverBalance: receiverBalance + transferAmount,
+      senderBalance,
+      receiverBalance,
     });
   } catch (error) {
     console.error('Transfer error:', error);
     console.error('Error stack:', error.stack);
-    // Check if transfer entries were created
-    try {
-      const recentEntries = await Ledger.find({
-        $or: [
-          { agent: req.body.senderAgentId },
-          { agent: req.body.receiverAgentId }
-        ]
-      })
-        .sort({ createdAt: -1 })
-        .limit(2);
-      if (recentEntries.length >= 2) {
-        // Transfer was created, return success
-        return res.json({
-          message: 'Transfer successful',
-          senderBalance: 0,
-          receiverBalance: 0,
-        });
-      }
-    } catch (checkError) {
-      console.error('Error checking existing entries:', checkError);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
     }
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
 
-// @desc    Update ledger entry (Only for Top-ups)
+// Find the other half of an Agent Transfer (same lrNumber, opposite direction)
+const findTransferTwin = (entry, session) => {
+  return Ledger.findOne({
+    lrNumber: entry.lrNumber,
+    _id: { $ne: entry._id },
+    type: 'Agent Transfer',
+    direction: entry.direction === 'Credit' ? 'Debit' : 'Credit',
+    amount: entry.amount, // Match original amount to be sure
+    isReversed: { $ne: true },
+  }).session(session);
+};
+
+// @desc    Correct ledger entry (Only for Top-ups and transfers)
 // @route   PUT /api/ledger/:id
-// @access  Public (Should be restricted to Admin/Finance in production)
+// @access  Private/Finance, Admin
 const updateLedgerEntry = async (req, res) => {
   try {
     const { id } = req.params;
@@ -435,6 +463,15 @@ const updateLedgerEntry = async (req, res) => {
       return res.status(400).json({ message: 'This type of ledger entry cannot be edited' });
     }
 
+    // Payment rows are corrected together through the trip's payment endpoints
+    if (entry.onTripPayment) {
+      return res.status(400).json({ message: 'This entry belongs to an on-trip payment. Edit or void the payment on its trip instead.' });
+    }
+
+    if (entry.isReversed) {
+      return res.status(409).json({ message: 'Ledger entry has already been corrected. Edit the latest replacement instead.' });
+    }
+
     const updatedData = {};
     if (amount !== undefined) updatedData.amount = parseFloat(amount);
     if (bank !== undefined) updatedData.bank = bank;
@@ -449,48 +486,46 @@ const updateLedgerEntry = async (req, res) => {
       else if (reason) updatedData.description = `Top-up: ${reason}`;
     }
 
-    // Update the main entry
-    const updatedEntry = await Ledger.findByIdAndUpdate(
-      id,
-      { $set: updatedData },
-      { new: true }
-    );
+    if (updatedData.amount !== undefined && (isNaN(updatedData.amount) || updatedData.amount <= 0)) {
+      return res.status(400).json({ message: 'amount must be a positive number' });
+    }
 
-    // If it's an Agent Transfer, find and update the twin entry
-    if (entry.type === 'Agent Transfer' && entry.lrNumber) {
-      try {
-        const twinEntry = await Ledger.findOne({
-          lrNumber: entry.lrNumber,
-          _id: { $ne: entry._id },
-          type: 'Agent Transfer',
-          amount: entry.amount // Match original amount to be sure
-        });
-
-        if (twinEntry) {
-          const twinUpdatedData = { amount: updatedData.amount };
-          await Ledger.findByIdAndUpdate(twinEntry._id, { $set: twinUpdatedData });
-          console.log(`Updated twin transfer entry: ${twinEntry._id}`);
-        }
-      } catch (twinError) {
-        console.error('Error updating twin transfer entry:', twinError);
+    // The original is reversed and a corrected replacement posted - both halves
+    // of a transfer are corrected in the same transaction
+    const correction = { reason: reason || description || 'Ledger entry corrected', correctedBy: req.user._id, creditOverride: creditOverrideFromRequest(req) };
+    const { replacement, twinReplacement } = await withTransaction(async (session) => {
+      const original = await Ledger.findById(id).session(session);
+      const twinEntry = entry.type === 'Agent Transfer' && entry.lrNumber
+        ? await findTransferTwin(original, session)
+        : null;
+
+      const { replacement } = await replaceLedgerEntry(original, updatedData, session, correction);
+
+      let twinReplacement = null;
+      if (twinEntry) {
+        const twinChanges = updatedData.amount !== undefined ? { amount: updatedData.amount } : {};
+        ({ replacement: twinReplacement } = await replaceLedgerEntry(twinEntry, twinChanges, session, correction));
+        console.log(`Corrected twin transfer entry: ${twinEntry._id}`);
       }
-    }
+
+      return { replacement, twinReplacement };
+    });
 
     // Create audit log
     try {
-      const userId = req.body.userId || null;
-      const userRole = req.body.userRole || 'Admin';
       await createAuditLog(
-        userId,
-        userRole,
+        req.user._id,
+        req.user.role,
         'Update Ledger Entry',
         'Ledger',
         id,
         {
           previousAmount: entry.amount,
-          newAmount: updatedData.amount,
+          newAmount: replacement.amount,
           previousDescription: entry.description,
-          newDescription: updatedData.description,
+          newDescription: replacement.description,
+          replacementId: replacement._id,
+          twinReplacementId: twinReplacement?._id,
         },
         req.ip
       );
@@ -498,19 +533,23 @@ const updateLedgerEntry = async (req, res) => {
       console.error('Audit log error (non-critical):', auditError);
     }
 
-    res.json(updatedEntry);
+    res.json(replacement);
   } catch (error) {
     console.error('Update ledger entry error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 };
 
-// @desc    Delete ledger entry (Only for Top-ups)
+// @desc    Reverse ledger entry (Only for Top-ups and transfers)
 // @route   DELETE /api/ledger/:id
-// @access  Public (Should be restricted to Admin/Finance in production)
+// @access  Private/Finance, Admin
 const deleteLedgerEntry = async (req, res) => {
   try {
     const { id } = req.params;
+    const reason = req.body?.reason || 'Ledger entry reversed';
 
     const entry = await Ledger.findById(id);
 
@@ -518,41 +557,39 @@ const deleteLedgerEntry = async (req, res) => {
       return res.status(404).json({ message: 'Ledger entry not found' });
     }
 
-    // Only allow deleting Top-up or Agent Transfer types
+    // Only allow reversing Top-up or Agent Transfer types
     const allowedTypes = ['Top-up', 'Virtual Top-up', 'Agent Transfer'];
     if (!allowedTypes.includes(entry.type)) {
       return res.status(400).json({ message: 'This type of ledger entry cannot be deleted' });
     }
 
-    // If it's an Agent Transfer, find and delete the twin entry first
-    if (entry.type === 'Agent Transfer' && entry.lrNumber) {
-      try {
-        const twinEntry = await Ledger.findOne({
-          lrNumber: entry.lrNumber,
-          _id: { $ne: entry._id },
-          type: 'Agent Transfer',
-          amount: entry.amount
-        });
-
-        if (twinEntry) {
-          await Ledger.findByIdAndDelete(twinEntry._id);
-          console.log(`Deleted twin transfer entry: ${twinEntry._id}`);
-        }
-      } catch (twinError) {
-        console.error('Error deleting twin transfer entry:', twinError);
-      }
+    // Payment rows are corrected together through the trip's payment endpoints
+    if (entry.onTripPayment) {
+      return res.status(400).json({ message: 'This entry belongs to an on-trip payment. Edit or void the payment on its trip instead.' });
     }
 
-    await Ledger.findByIdAndDelete(id);
+    // The entry (and its transfer twin) stay on the ledger, offset by reversals
+    const correction = { reason, correctedBy: req.user._id, creditOverride: creditOverrideFromRequest(req) };
+    const reversals = await withTransaction(async (session) => {
+      const original = await Ledger.findById(id).session(session);
+      const twinEntry = entry.type === 'Agent Transfer' && entry.lrNumber
+        ? await findTransferTwin(original, session)
+        : null;
+
+      const posted = [await reverseLedgerEntry(original, session, correction)];
+      if (twinEntry) {
+        posted.push(await reverseLedgerEntry(twinEntry, session, correction));
+        console.log(`Reversed twin transfer entry: ${twinEntry._id}`);
+      }
+      return posted;
+    });
 
     // Create audit log
     try {
-      const userId = req.query.userId || null;
-      const userRole = req.query.userRole || 'Admin';
       await createAuditLog(
-        userId,
-        userRole,
-        'Delete Ledger Entry',
+        req.user._id,
+        req.user.role,
+        'Reverse Ledger Entry',
         'Ledger',
         id,
         {
@@ -560,6 +597,8 @@ const deleteLedgerEntry = async (req, res) => {
           type: entry.type,
           description: entry.description,
           agent: entry.agent,
+          reason,
+          reversalIds: reversals.map(r => r._id),
         },
         req.ip
       );
@@ -567,9 +606,53 @@ const deleteLedgerEntry = async (req, res) => {
       console.error('Audit log error (non-critical):', auditError);
     }
 
-    res.json({ message: 'Ledger entry deleted successfully' });
+    res.json({ message: 'Ledger entry reversed successfully', reversals });
   } catch (error) {
     console.error('Delete ledger entry error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get the correction chain of a ledger entry (original, reversals, replacements)
+// @route   GET /api/ledger/:id/chain
+// @access  Private (Agents: own entries only)
+const getLedgerEntryChain = async (req, res) => {
+  try {
+    let entry = await Ledger.findById(req.params.id);
+
+    // Agents only see their own entries; others' are reported as missing
+    if (!entry || (req.user.role === 'Agent' && !isOwner(req.user, entry.agent || entry.agentId))) {
+      return res.status(404).json({ message: 'Ledger entry not found' });
+    }
+
+    // Walk back to the first posting of the chain
+    while (entry.reversalOf || entry.replacementOf) {
+      const parent = await Ledger.findById(entry.reversalOf || entry.replacementOf);
+      if (!parent) break;
+      entry = parent;
+    }
+
+    // Then forward through every reversal and replacement
+    const chain = [];
+    let current = entry;
+    while (current) {
+      chain.push(current);
+      if (current.reversedBy) {
+        const reversal = await Ledger.findById(current.reversedBy);
+        if (reversal) chain.push(reversal);
+      }
+      current = current.replacedBy ? await Ledger.findById(current.replacedBy) : null;
+    }
+
+    res.json(chain.map(item => ({
+      ...item.toObject(),
+      id: item._id,
+    })));
+  } catch (error) {
+    console.error('Get ledger chain error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 };
@@ -577,9 +660,10 @@ const deleteLedgerEntry = async (req, res) => {
 module.exports = {
   getLedger,
   getAgentBalance,
+  getAgentStatement,
   addTopUp,
   transferToAgent,
   updateLedgerEntry,
   deleteLedgerEntry,
+  getLedgerEntryChain,
 };
-
@@ -0,0 +1,148 @@
+const LrSeries = require('../models/LrSeries');
+const Branch = require('../models/Branch');
+const { createAuditLog } = require('../middleware/auditLog');
+const { financialYearKey, findLrSeries, previewLrNumber } = require('../utils/lrSeries');
+
+const transformSeries = (series, date = new Date()) => ({
+  ...series.toObject(),
+  id: series._id,
+  scope: series.branch ? series.branch.name : 'Default',
+  nextLrNumber: previewLrNumber(series, date),
+});
+
+// @desc    Get LR number series
+// @route   GET /api/lr-series
+// @access  Private
+const getLrSeries = async (req, res) => {
+  try {
+    const series = await LrSeries.find()
+      .populate('branch', 'name _id')
+      .populate('updatedBy', 'name role _id')
+      .sort({ branch: 1 });
+
+    res.json(series.map(row => transformSeries(row)));
+  } catch (error) {
+    console.error('Get LR series error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Next LR number a new trip of the branch would get (nothing is allocated)
+// @route   GET /api/lr-series/preview?branchId=&date=
+// @access  Private
+const previewLrSeries = async (req, res) => {
+  try {
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({ message: 'Invalid date' });
+    }
+
+    const series = await findLrSeries(req.query.branchId || null);
+    if (!series) {
+      return res.json({ series: null, nextLrNumber: null, allowManual: true });
+    }
+
+    res.json({
+      series: series._id,
+      prefix: series.prefix,
+      nextLrNumber: previewLrNumber(series, date),
+      allowManual: series.allowManual,
+    });
+  } catch (error) {
+    console.error('Preview LR series error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Create or update the default series (no branchId) or a branch series
+// @route   PUT /api/lr-series
+// @access  Private/Admin
+const setLrSeries = async (req, res) => {
+  try {
+    const { branchId, prefix, includeFinancialYear, separator, padding, allowManual, nextNumber } = req.body;
+
+    if (!prefix || !String(prefix).trim()) {
+      return res.status(400).json({ message: 'prefix is required' });
+    }
+    if (padding !== undefined && (!Number.isInteger(Number(padding)) || padding < 1 || padding > 10)) {
+      return res.status(400).json({ message: 'padding must be a whole number from 1 to 10' });
+    }
+    if (separator !== undefined && String(separator).length > 1) {
+      return res.status(400).json({ message: 'separator must be a single character (or empty)' });
+    }
+    if (nextNumber !== undefined && (!Number.isInteger(Number(nextNumber)) || nextNumber < 1)) {
+      return res.status(400).json({ message: 'nextNumber must be a whole number of 1 or more' });
+    }
+
+    if (branchId) {
+      const branch = await Branch.findById(branchId);
+      if (!branch) {
+        return res.status(404).json({ message: 'Branch not found' });
+      }
+    }
+
+    const update = { prefix: String(prefix).trim(), updatedBy: req.user._id };
+    if (includeFinancialYear !== undefined) update.includeFinancialYear = Boolean(includeFinancialYear);
+    if (separator !== undefined) update.separator = String(separator);
+    if (padding !== undefined) update.padding = Number(padding);
+    if (allowManual !== undefined) update.allowManual = Boolean(allowManual);
+    // Continue an existing (e.g. paper) series: the next LR this year gets `nextNumber`
+    if (nextNumber !== undefined) update[`counters.${financialYearKey()}`] = Number(nextNumber) - 1;
+
+    const series = await LrSeries.findOneAndUpdate(
+      { branch: branchId || null },
+      { $set: update },
+      { new: true, upsert: true, runValidators: true }
+    ).populate('branch', 'name _id');
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Set LR Series',
+      'LrSeries',
+      series._id,
+      { branchId: branchId || null, prefix: series.prefix, includeFinancialYear: series.includeFinancialYear, separator: series.separator, padding: series.padding, allowManual: series.allowManual, nextNumber: nextNumber !== undefined ? Number(nextNumber) : undefined },
+      req.ip
+    );
+
+    res.json(transformSeries(series));
+  } catch (error) {
+    console.error('Set LR series error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Remove a series (branch falls back to the default; no default = manual LR numbers)
+// @route   DELETE /api/lr-series/:id
+// @access  Private/Admin
+const deleteLrSeries = async (req, res) => {
+  try {
+    const series = await LrSeries.findByIdAndDelete(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({ message: 'LR series not found' });
+    }
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Delete LR Series',
+      'LrSeries',
+      series._id,
+      { branchId: series.branch, prefix: series.prefix, counters: Object.fromEntries(series.counters || []) },
+      req.ip
+    );
+
+    res.json({ message: 'LR series removed' });
+  } catch (error) {
+    console.error('Delete LR series error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getLrSeries,
+  previewLrSeries,
+  setLrSeries,
+  deleteLrSeries,
+};
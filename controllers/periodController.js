@@ -0,0 +1,131 @@
+const AccountingPeriod = require('../models/AccountingPeriod');
+const { createAuditLog } = require('../middleware/auditLog');
+const { periodBounds } = require('../utils/accountingPeriod');
+
+// @desc    Get accounting periods
+// @route   GET /api/periods
+// @access  Private/Finance, Admin
+const getPeriods = async (req, res) => {
+  try {
+    const { status, periodType } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (periodType) query.periodType = periodType;
+
+    const periods = await AccountingPeriod.find(query)
+      .populate('closedBy', 'name role _id')
+      .populate('reopenedBy', 'name role _id')
+      .sort({ startDate: -1 });
+
+    res.json(periods.map(period => ({
+      ...period.toObject(),
+      id: period._id,
+    })));
+  } catch (error) {
+    console.error('Get periods error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Close a day or month of the ledger
+// @route   POST /api/periods/close
+// @access  Private/Finance, Admin
+const closePeriod = async (req, res) => {
+  try {
+    const { periodType, date, notes } = req.body;
+
+    if (!periodType || !date) {
+      return res.status(400).json({ message: 'periodType and date are required' });
+    }
+
+    const { key, startDate, endDate } = periodBounds(periodType, date);
+
+    const existing = await AccountingPeriod.findOne({ periodType, key });
+    if (existing && existing.status === 'Closed') {
+      return res.status(400).json({ message: `${periodType} ${key} is already closed` });
+    }
+
+    const period = await AccountingPeriod.findOneAndUpdate(
+      { periodType, key },
+      {
+        $set: {
+          startDate,
+          endDate,
+          status: 'Closed',
+          closedBy: req.user._id,
+          closedAt: new Date(),
+          notes: notes || null,
+        },
+      },
+      { new: true, upsert: true }
+    );
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Close Accounting Period',
+      'AccountingPeriod',
+      period._id,
+      { periodType, key, notes },
+      req.ip
+    );
+
+    res.json({ ...period.toObject(), id: period._id });
+  } catch (error) {
+    console.error('Close period error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Reopen a closed day or month
+// @route   POST /api/periods/open
+// @access  Private/Finance, Admin
+const openPeriod = async (req, res) => {
+  try {
+    const { periodType, date, notes } = req.body;
+
+    if (!periodType || !date) {
+      return res.status(400).json({ message: 'periodType and date are required' });
+    }
+
+    const { key } = periodBounds(periodType, date);
+
+    const period = await AccountingPeriod.findOne({ periodType, key });
+    if (!period || period.status === 'Open') {
+      return res.status(400).json({ message: `${periodType} ${key} is not closed` });
+    }
+
+    period.status = 'Open';
+    period.reopenedBy = req.user._id;
+    period.reopenedAt = new Date();
+    if (notes) period.notes = notes;
+    await period.save();
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Reopen Accounting Period',
+      'AccountingPeriod',
+      period._id,
+      { periodType, key, notes },
+      req.ip
+    );
+
+    res.json({ ...period.toObject(), id: period._id });
+  } catch (error) {
+    console.error('Open period error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getPeriods,
+  closePeriod,
+  openPeriod,
+};
@@ -0,0 +1,289 @@
+const mongoose = require('mongoose');
+const Receipt = require('../models/Receipt');
+const Invoice = require('../models/Invoice');
+const Company = require('../models/Company');
+const Bank = require('../models/Bank');
+const { createAuditLog } = require('../middleware/auditLog');
+const { withTransaction } = require('../utils/transaction');
+const HttpError = require('../utils/httpError');
+const { RECEIPT_MODES, allocateReceiptNumber, applyReceiptToInvoice } = require('../utils/receivables');
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Allocations from a create body. Returns { allocations } or { error }.
+const parseAllocations = (value) => {
+  if (!Array.isArray(value) || value.length === 0) {
+    return { error: 'allocations must list at least one { invoiceId, amount, tds }' };
+  }
+  const seen = new Set();
+  const allocations = [];
+  for (const row of value) {
+    const invoiceId = row && row.invoiceId;
+    if (!invoiceId || !mongoose.Types.ObjectId.isValid(invoiceId)) {
+      return { error: 'Each allocation needs a valid invoiceId' };
+    }
+    if (seen.has(String(invoiceId))) {
+      return { error: `Invoice ${invoiceId} is listed more than once` };
+    }
+    seen.add(String(invoiceId));
+
+    const amount = Number(row.amount || 0);
+    const tds = Number(row.tds || 0);
+    if (!(amount >= 0) || !(tds >= 0)) {
+      return { error: 'Allocation amount and tds must be numbers of zero or more' };
+    }
+    if (amount + tds <= 0) {
+      return { error: `Allocation to invoice ${invoiceId} must have an amount or tds` };
+    }
+    allocations.push({ invoiceId: String(invoiceId), amount: round2(amount), tds: round2(tds) });
+  }
+  return { allocations };
+};
+
+const transformReceipt = (receipt) => {
+  const obj = receipt.toObject ? receipt.toObject() : receipt;
+  return { ...obj, id: obj._id };
+};
+
+// @desc    List receipts
+// @route   GET /api/receipts?companyId=&invoiceId=&status=&mode=&bankId=&from=&to=
+// @access  Private/Admin, Finance
+const getReceipts = async (req, res) => {
+  try {
+    const { companyId, invoiceId, status, mode, bankId, from, to, page = 1, limit = 20 } = req.query;
+    const query = {};
+
+    if (companyId) query.company = companyId;
+    if (invoiceId) query['allocations.invoice'] = invoiceId;
+    if (status) query.status = status;
+    if (mode) query.mode = mode;
+    if (bankId) query.bank = bankId;
+    if (from || to) {
+      query.receiptDate = {};
+      if (from) query.receiptDate.$gte = new Date(from);
+      if (to) {
+        const end = new Date(to);
+        end.setUTCHours(23, 59, 59, 999);
+        query.receiptDate.$lte = end;
+      }
+    }
+
+    const [receipts, total] = await Promise.all([
+      Receipt.find(query)
+        .populate('createdBy', 'name role _id')
+        .sort({ receiptDate: -1, receiptNumber: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .lean(),
+      Receipt.countDocuments(query),
+    ]);
+
+    res.json({
+      data: receipts.map(transformReceipt),
+      pagination: {
+        total,
+        page: Number(page),
+        limit: Number(limit),
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('Get receipts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get a receipt
+// @route   GET /api/receipts/:id
+// @access  Private/Admin, Finance
+const getReceipt = async (req, res) => {
+  try {
+    const receipt = await Receipt.findById(req.params.id)
+      .populate('createdBy', 'name role _id')
+      .populate('voidedBy', 'name role _id');
+
+    if (!receipt) {
+      return res.status(404).json({ message: 'Receipt not found' });
+    }
+
+    res.json(transformReceipt(receipt));
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Record a customer payment against one or more of its invoices.
+//          Each allocation settles `amount` (cash) plus `tds` of an invoice.
+// @route   POST /api/receipts
+// @access  Private/Admin, Finance
+const createReceipt = async (req, res) => {
+  try {
+    const { companyId, receiptDate, mode, bankId, reference, notes } = req.body || {};
+
+    if (!companyId || !mongoose.Types.ObjectId.isValid(companyId)) {
+      return res.status(400).json({ message: 'A valid companyId is required' });
+    }
+    if (!RECEIPT_MODES.includes(mode)) {
+      return res.status(400).json({ message: `mode must be one of ${RECEIPT_MODES.join(', ')}` });
+    }
+    if (mode !== 'Cash' && !bankId) {
+      return res.status(400).json({ message: 'bankId (the account the payment landed in) is required' });
+    }
+    const date = receiptDate ? new Date(receiptDate) : new Date();
+    if (isNaN(date)) {
+      return res.status(400).json({ message: 'receiptDate must be a valid date' });
+    }
+    if (date > new Date()) {
+      return res.status(400).json({ message: 'receiptDate cannot be in the future' });
+    }
+    const { allocations, error } = parseAllocations((req.body || {}).allocations);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const company = await Company.findById(companyId);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+    let bank = null;
+    if (bankId) {
+      bank = mongoose.Types.ObjectId.isValid(bankId) ? await Bank.findById(bankId) : null;
+      if (!bank) {
+        return res.status(404).json({ message: 'Bank not found' });
+      }
+    }
+
+    // Invoices and the receipt are written together, so two receipts can't
+    // both settle the same outstanding amount
+    const receipt = await withTransaction(async (session) => {
+      const invoices = await Invoice.find({ _id: { $in: allocations.map(row => row.invoiceId) } }).session(session);
+      const byId = new Map(invoices.map(invoice => [String(invoice._id), invoice]));
+
+      const rows = [];
+      for (const allocation of allocations) {
+        const invoice = byId.get(allocation.invoiceId);
+        if (!invoice) {
+          throw new HttpError(404, `Invoice ${allocation.invoiceId} not found`);
+        }
+        if (String(invoice.company) !== String(company._id)) {
+          throw new HttpError(400, `Invoice ${invoice.invoiceNumber} belongs to another company`);
+        }
+        if (invoice.status !== 'Issued') {
+          throw new HttpError(400, `Invoice ${invoice.invoiceNumber} is ${invoice.status}`);
+        }
+        applyReceiptToInvoice(invoice, allocation, date);
+        await invoice.save({ session });
+        rows.push({ invoice: invoice._id, invoiceNumber: invoice.invoiceNumber, amount: allocation.amount, tds: allocation.tds });
+      }
+
+      const [created] = await Receipt.create([{
+        receiptNumber: await allocateReceiptNumber(date, session),
+        receiptDate: date,
+        company: company._id,
+        companyName: company.name,
+        mode,
+        bank: bank ? bank._id : null,
+        bankName: bank ? bank.name : '',
+        reference: reference ? String(reference).trim() : '',
+        amount: round2(rows.reduce((sum, row) => sum + row.amount, 0)),
+        tdsAmount: round2(rows.reduce((sum, row) => sum + row.tds, 0)),
+        allocations: rows,
+        notes: notes || '',
+        createdBy: req.user._id,
+      }], { session });
+      return created;
+    });
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Create Receipt',
+      'Receipt',
+      receipt._id,
+      {
+        receiptNumber: receipt.receiptNumber,
+        companyName: receipt.companyName,
+        amount: receipt.amount,
+        tdsAmount: receipt.tdsAmount,
+        bankName: receipt.bankName,
+        allocations: receipt.allocations,
+      },
+      req.ip
+    );
+
+    res.status(201).json(transformReceipt(receipt));
+  } catch (error) {
+    console.error('Create receipt error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Void a receipt; its invoices get the settled amounts back as outstanding
+// @route   POST /api/receipts/:id/void
+// @access  Private/Admin, Finance
+const voidReceipt = async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ message: 'reason is required' });
+    }
+
+    const receipt = await withTransaction(async (session) => {
+      const found = await Receipt.findById(req.params.id).session(session);
+      if (!found) {
+        throw new HttpError(404, 'Receipt not found');
+      }
+      if (found.status === 'Voided') {
+        throw new HttpError(400, 'Receipt is already voided');
+      }
+
+      for (const allocation of found.allocations) {
+        const invoice = await Invoice.findById(allocation.invoice).session(session);
+        if (!invoice) continue;
+        applyReceiptToInvoice(invoice, { amount: -allocation.amount, tds: -allocation.tds });
+        await invoice.save({ session });
+      }
+
+      found.status = 'Voided';
+      found.voidedAt = new Date();
+      found.voidedBy = req.user._id;
+      found.voidReason = String(reason).trim();
+      await found.save({ session });
+      return found;
+    });
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Void Receipt',
+      'Receipt',
+      receipt._id,
+      {
+        receiptNumber: receipt.receiptNumber,
+        amount: receipt.amount,
+        tdsAmount: receipt.tdsAmount,
+        reason: receipt.voidReason,
+      },
+      req.ip
+    );
+
+    res.json(transformReceipt(receipt));
+  } catch (error) {
+    console.error('Void receipt error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getReceipts,
+  getReceipt,
+  createReceipt,
+  voidReceipt,
+};
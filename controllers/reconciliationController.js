@@ -0,0 +1,297 @@
+const BankStatement = require('../models/BankStatement');
+const Bank = require('../models/Bank');
+const Ledger = require('../models/Ledger');
+const { createAuditLog } = require('../middleware/auditLog');
+const { withTransaction } = require('../utils/transaction');
+const { parseCsvWithHeader } = require('../utils/csv');
+const { parseStatementLines, matchStatementLines, bankEntryMismatch } = require('../utils/reconciliation');
+const HttpError = require('../utils/httpError');
+
+const LEDGER_FIELDS = 'lrNumber date description type amount direction bank agent reconciled _id';
+
+// Mark ledger entries reconciled against a statement. Fails if another
+// statement reconciled one of them first.
+const markReconciled = async (entryIds, statementId, userId, session) => {
+  if (entryIds.length === 0) return;
+  const result = await Ledger.updateMany(
+    { _id: { $in: entryIds }, reconciled: { $ne: true } },
+    { $set: { reconciled: true, reconciledAt: new Date(), reconciledBy: userId, bankStatement: statementId } },
+    { session }
+  );
+  if (result.modifiedCount !== entryIds.length) {
+    throw new HttpError(409, 'One or more ledger entries were reconciled by another statement. Please retry.');
+  }
+};
+
+// Statement summary with counts per line status
+const summarize = (statement) => {
+  const counts = { total: statement.lines.length, matched: 0, suggested: 0, unmatched: 0 };
+  statement.lines.forEach(line => {
+    counts[line.status.toLowerCase()] += 1;
+  });
+  const { lines, ...rest } = statement.toObject();
+  return { ...rest, id: statement._id, counts };
+};
+
+// Full statement with lines grouped by status
+const groupLines = (statement) => {
+  const lines = statement.lines.map(line => ({ ...line.toObject(), id: line._id }));
+  return {
+    ...summarize(statement),
+    matched: lines.filter(line => line.status === 'Matched'),
+    suggested: lines.filter(line => line.status === 'Suggested'),
+    unmatched: lines.filter(line => line.status === 'Unmatched'),
+  };
+};
+
+const loadStatement = (id) => {
+  return BankStatement.findById(id)
+    .populate('lines.ledgerEntry', LEDGER_FIELDS)
+    .populate('lines.suggestions', LEDGER_FIELDS)
+    .populate('uploadedBy', 'name role _id');
+};
+
+// @desc    Upload a bank statement CSV and auto-match it to ledger entries
+// @route   POST /api/reconciliation/statements
+// @access  Private/Finance, Admin
+const importStatement = async (req, res) => {
+  try {
+    const { bankId } = req.body;
+    const dateWindowDays = Math.max(0, parseInt(req.body.dateWindowDays, 10) || 3);
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'Statement file is required' });
+    }
+    if (!bankId) {
+      return res.status(400).json({ message: 'bankId is required' });
+    }
+
+    const bank = await Bank.findById(bankId);
+    if (!bank) {
+      return res.status(404).json({ message: 'Bank not found' });
+    }
+
+    const { headers, records } = parseCsvWithHeader(req.file.buffer.toString('utf8'));
+    const { lines, errors } = parseStatementLines(headers, records);
+    if (lines.length === 0) {
+      return res.status(400).json({ message: 'No valid lines found in statement', errors });
+    }
+
+    await matchStatementLines(lines, bank.name, { dateWindowDays });
+
+    const dates = lines.map(line => line.date.getTime());
+    const statement = await withTransaction(async (session) => {
+      const [created] = await BankStatement.create([{
+        bank: bank._id,
+        bankName: bank.name,
+        fileName: req.file.originalname,
+        fromDate: new Date(Math.min(...dates)),
+        toDate: new Date(Math.max(...dates)),
+        dateWindowDays,
+        lines: lines.map(line => (line.status === 'Matched' ? { ...line, matchedBy: req.user._id } : line)),
+        uploadedBy: req.user._id,
+      }], { session });
+
+      const matchedIds = lines.filter(line => line.status === 'Matched').map(line => line.ledgerEntry);
+      await markReconciled(matchedIds, created._id, req.user._id, session);
+      return created;
+    });
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Import Bank Statement',
+      'BankStatement',
+      statement._id,
+      { bank: bank.name, fileName: req.file.originalname, ...summarize(statement).counts },
+      req.ip
+    );
+
+    const populated = await loadStatement(statement._id);
+    res.status(201).json({ ...groupLines(populated), errors });
+  } catch (error) {
+    console.error('Import statement error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get imported bank statements
+// @route   GET /api/reconciliation/statements
+// @access  Private/Finance, Admin
+const getStatements = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.bankId) query.bank = req.query.bankId;
+
+    const statements = await BankStatement.find(query)
+      .populate('uploadedBy', 'name role _id')
+      .sort({ createdAt: -1 });
+
+    res.json(statements.map(summarize));
+  } catch (error) {
+    console.error('Get statements error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get a bank statement with matched, suggested and unmatched lines
+// @route   GET /api/reconciliation/statements/:id
+// @access  Private/Finance, Admin
+const getStatement = async (req, res) => {
+  try {
+    const statement = await loadStatement(req.params.id);
+
+    if (!statement) {
+      return res.status(404).json({ message: 'Bank statement not found' });
+    }
+
+    res.json(groupLines(statement));
+  } catch (error) {
+    console.error('Get statement error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Match a statement line to a ledger entry (confirm a suggestion or pick manually)
+// @route   POST /api/reconciliation/statements/:id/lines/:lineId/match
+// @access  Private/Finance, Admin
+const matchLine = async (req, res) => {
+  try {
+    const { ledgerEntryId } = req.body;
+
+    if (!ledgerEntryId) {
+      return res.status(400).json({ message: 'ledgerEntryId is required' });
+    }
+
+    await withTransaction(async (session) => {
+      const statement = await BankStatement.findById(req.params.id).session(session);
+      if (!statement) throw new HttpError(404, 'Bank statement not found');
+
+      const line = statement.lines.id(req.params.lineId);
+      if (!line) throw new HttpError(404, 'Statement line not found');
+      if (line.status === 'Matched') throw new HttpError(400, 'Statement line is already matched');
+
+      const entry = await Ledger.findById(ledgerEntryId).session(session);
+      if (!entry) throw new HttpError(404, 'Ledger entry not found');
+      const mismatch = bankEntryMismatch(entry, statement.bankName, line);
+      if (mismatch) throw new HttpError(400, mismatch);
+
+      await markReconciled([entry._id], statement._id, req.user._id, session);
+
+      line.status = 'Matched';
+      line.ledgerEntry = entry._id;
+      line.suggestions = [];
+      line.matchType = 'Manual';
+      line.matchedBy = req.user._id;
+      line.matchedAt = new Date();
+      await statement.save({ session });
+    });
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Match Statement Line',
+      'BankStatement',
+      req.params.id,
+      { lineId: req.params.lineId, ledgerEntryId },
+      req.ip
+    );
+
+    res.json(groupLines(await loadStatement(req.params.id)));
+  } catch (error) {
+    console.error('Match statement line error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Undo the match of a statement line
+// @route   POST /api/reconciliation/statements/:id/lines/:lineId/unmatch
+// @access  Private/Finance, Admin
+const unmatchLine = async (req, res) => {
+  try {
+    let ledgerEntryId;
+    await withTransaction(async (session) => {
+      const statement = await BankStatement.findById(req.params.id).session(session);
+      if (!statement) throw new HttpError(404, 'Bank statement not found');
+
+      const line = statement.lines.id(req.params.lineId);
+      if (!line) throw new HttpError(404, 'Statement line not found');
+      if (line.status !== 'Matched') throw new HttpError(400, 'Statement line is not matched');
+
+      ledgerEntryId = line.ledgerEntry;
+      await Ledger.updateOne(
+        { _id: ledgerEntryId, bankStatement: statement._id },
+        { $set: { reconciled: false, reconciledAt: null, reconciledBy: null, bankStatement: null } },
+        { session }
+      );
+
+      line.status = 'Unmatched';
+      line.ledgerEntry = null;
+      line.matchType = null;
+      line.matchedBy = null;
+      line.matchedAt = null;
+      await statement.save({ session });
+    });
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Unmatch Statement Line',
+      'BankStatement',
+      req.params.id,
+      { lineId: req.params.lineId, ledgerEntryId },
+      req.ip
+    );
+
+    res.json(groupLines(await loadStatement(req.params.id)));
+  } catch (error) {
+    console.error('Unmatch statement line error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Re-run auto-matching for lines that are not matched yet
+// @route   POST /api/reconciliation/statements/:id/rematch
+// @access  Private/Finance, Admin
+const rematchStatement = async (req, res) => {
+  try {
+    await withTransaction(async (session) => {
+      const statement = await BankStatement.findById(req.params.id).session(session);
+      if (!statement) throw new HttpError(404, 'Bank statement not found');
+
+      const pending = statement.lines.filter(line => line.status !== 'Matched');
+      await matchStatementLines(pending, statement.bankName, { dateWindowDays: statement.dateWindowDays });
+
+      const newlyMatched = pending.filter(line => line.status === 'Matched');
+      newlyMatched.forEach(line => { line.matchedBy = req.user._id; });
+      await markReconciled(newlyMatched.map(line => line.ledgerEntry), statement._id, req.user._id, session);
+      await statement.save({ session });
+    });
+
+    res.json(groupLines(await loadStatement(req.params.id)));
+  } catch (error) {
+    console.error('Rematch statement error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  importStatement,
+  getStatements,
+  getStatement,
+  matchLine,
+  unmatchLine,
+  rematchStatement,
+};
@@ -3,10 +3,15 @@ const Ledger = require('../models/Ledger');
 const Dispute = require('../models/Dispute');
 const User = require('../models/User');
 const AuditLog = require('../models/AuditLog');
+const Invoice = require('../models/Invoice');
+const { getWalletBalance } = require('../utils/wallet');
+const { normalizeRegistration } = require('../utils/vehicles');
+const { locationKey } = require('../utils/routeMaster');
+const { buildAgingReport } = require('../utils/receivables');
 
 // @desc    Get dashboard stats
 // @route   GET /api/reports/dashboard
-// @access  Public
+// @access  Private
 const getDashboardStats = async (req, res) => {
   try {
     const { agentId, branchId, startDate, endDate } = req.query; // Filters
@@ -50,9 +55,10 @@ const getDashboardStats = async (req, res) => {
     // 1. Trip Stats
     const activeTrips = await Trip.countDocuments({ ...tripQuery, status: 'Active' });
     const completedTrips = await Trip.countDocuments({ ...tripQuery, status: 'Completed' });
+    const cancelledTrips = await Trip.countDocuments({ ...tripQuery, status: 'Cancelled' });
     const tripsInDispute = await Trip.countDocuments({
       ...tripQuery,
-      status: { $in: ['In Dispute', 'Dispute'] }
+      status: 'In Dispute'
     });
     const lrNotReceived = await Trip.countDocuments({
       ...tripQuery,
@@ -68,7 +74,8 @@ const getDashboardStats = async (req, res) => {
 
     // 2. Unique Counts
     const uniqueAgents = (await Trip.distinct('agent', tripQuery)).length;
-    const uniqueTrucks = (await Trip.distinct('truckNumber', tripQuery)).length;
+    // "MH 12 AB 1234" and "mh12ab1234" are the same truck
+    const uniqueTrucks = new Set((await Trip.distinct('truckNumber', tripQuery)).map(normalizeRegistration).filter(Boolean)).size;
 
     let totalAgentsCount = uniqueAgents;
     if (!startDate && !endDate && !agentId) {
@@ -110,6 +117,7 @@ const getDashboardStats = async (req, res) => {
     const response = {
       activeTrips,
       completedTrips,
+      cancelledTrips,
       tripsInDispute,
       lrNotReceived,
       regularTrips,
@@ -186,7 +194,7 @@ const getDashboardStats = async (req, res) => {
 
 // @desc    Get trip report
 // @route   GET /api/reports/trips
-// @access  Public
+// @access  Private
 const getTripReport = async (req, res) => {
   try {
     const { startDate, endDate, agentId, branch, status } = req.query;
@@ -234,7 +242,7 @@ const getTripReport = async (req, res) => {
 
 // @desc    Get ledger report
 // @route   GET /api/reports/ledger
-// @access  Public
+// @access  Private
 const getLedgerReport = async (req, res) => {
   try {
     const { startDate, endDate, agentId, bank } = req.query;
@@ -280,7 +288,7 @@ const getLedgerReport = async (req, res) => {
 
 // @desc    Get agent performance report
 // @route   GET /api/reports/agents
-// @access  Public
+// @access  Private/Finance, Admin
 const getAgentPerformanceReport = async (req, res) => {
   try {
     const agents = await User.find({ role: 'Agent' });
@@ -288,15 +296,7 @@ const getAgentPerformanceReport = async (req, res) => {
 
     for (const agent of agents) {
       const trips = await Trip.find({ agent: agent._id });
-      const ledger = await Ledger.find({ agent: agent._id });
-
-      const balance = ledger.reduce((sum, entry) => {
-        if (entry.direction === 'Credit') {
-          return sum + (entry.amount || 0);
-        } else {
-          return sum - (entry.amount || 0);
-        }
-      }, 0);
+      const balance = await getWalletBalance(agent._id);
 
       performance.push({
         agent: {
@@ -312,7 +312,9 @@ const getAgentPerformanceReport = async (req, res) => {
           activeTrips: trips.filter(t => t.status === 'Active').length,
           completedTrips: trips.filter(t => t.status === 'Completed').length,
           disputedTrips: trips.filter(t => t.status === 'In Dispute').length,
-          totalFreight: trips.reduce((sum, t) => sum + (t.freight || 0), 0),
+          cancelledTrips: trips.filter(t => t.status === 'Cancelled').length,
+          // Cancelled trips stay listed but carry no freight
+          totalFreight: trips.filter(t => t.status !== 'Cancelled').reduce((sum, t) => sum + (t.freight || 0), 0),
           currentBalance: balance,
         },
       });
@@ -325,10 +327,93 @@ const getAgentPerformanceReport = async (req, res) => {
   }
 };
 
+// @desc    Get route-wise trip report. Trips are grouped by route master, or by
+//          from/to ignoring case and punctuation when not linked to one
+// @route   GET /api/reports/routes
+// @access  Private
+const getRouteReport = async (req, res) => {
+  try {
+    const { startDate, endDate, agentId, branch } = req.query;
+    const query = { status: { $ne: 'Cancelled' } };
+
+    if (agentId) {
+      query.agent = agentId;
+    }
+    if (branch) {
+      query.branch = branch;
+    }
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) {
+        query.date.$gte = new Date(startDate);
+      }
+      if (endDate) {
+        query.date.$lte = new Date(endDate);
+      }
+    }
+
+    const trips = await Trip.find(query)
+      .populate('routeMaster', 'from to distanceKm transitDays _id')
+      .select('routeFrom routeTo routeMaster freight tonnage')
+      .lean();
+
+    const groups = new Map();
+    trips.forEach(trip => {
+      const key = trip.routeMaster
+        ? String(trip.routeMaster._id)
+        : `${locationKey(trip.routeFrom)}|${locationKey(trip.routeTo)}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          routeId: trip.routeMaster ? trip.routeMaster._id : null,
+          route: trip.routeMaster ? `${trip.routeMaster.from} - ${trip.routeMaster.to}` : `${trip.routeFrom} - ${trip.routeTo}`,
+          distanceKm: trip.routeMaster ? trip.routeMaster.distanceKm : null,
+          transitDays: trip.routeMaster ? trip.routeMaster.transitDays : null,
+          trips: 0,
+          totalFreight: 0,
+          totalTonnage: 0,
+        });
+      }
+      const group = groups.get(key);
+      group.trips += 1;
+      group.totalFreight += trip.freight || 0;
+      group.totalTonnage += trip.tonnage || 0;
+    });
+
+    res.json([...groups.values()].sort((a, b) => b.trips - a.trips));
+  } catch (error) {
+    console.error('Get route report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Outstanding customer invoices per company, aged by invoice date
+//          into 0-30 / 31-60 / 61-90 / 90+ day buckets
+// @route   GET /api/reports/receivables?companyId=
+// @access  Private/Admin, Finance
+const getReceivablesReport = async (req, res) => {
+  try {
+    const query = { status: 'Issued', balance: { $gt: 0 } };
+    if (req.query.companyId) {
+      query.company = req.query.companyId;
+    }
+
+    const invoices = await Invoice.find(query)
+      .select('invoiceNumber company billTo.name invoiceDate dueDate balance')
+      .lean();
+
+    res.json(buildAgingReport(invoices, new Date()));
+  } catch (error) {
+    console.error('Get receivables report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 module.exports = {
   getDashboardStats,
   getTripReport,
   getLedgerReport,
   getAgentPerformanceReport,
+  getRouteReport,
+  getReceivablesReport,
 };
 
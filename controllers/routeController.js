@@ -0,0 +1,458 @@
+const Route = require('../models/Route');
+const Trip = require('../models/Trip');
+const Company = require('../models/Company');
+const { createAuditLog } = require('../middleware/auditLog');
+const { findCompanyByName } = require('../utils/companies');
+const {
+  locationKey,
+  companyKey,
+  tidyLocation,
+  activeRateCard,
+  checkTripRoute,
+} = require('../utils/routeMaster');
+
+const RATE_BASES = ['Per Tonne', 'Per Trip'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const transformRoute = (route) => {
+  const routeObj = route.toObject ? route.toObject() : route;
+  const defaultCard = activeRateCard(routeObj);
+  return {
+    ...routeObj,
+    id: routeObj._id,
+    name: `${routeObj.from} - ${routeObj.to}`,
+    activeDefaultRate: defaultCard ? { basis: defaultCard.basis, rate: defaultCard.rate } : null,
+  };
+};
+
+// Non-negative number or null; undefined when not sent, NaN when invalid
+const optionalNumber = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const num = Number(value);
+  return isNaN(num) || num < 0 ? NaN : num;
+};
+
+// Route fields from a create/update body. Returns { fields } or { error }.
+const routeFields = (body) => {
+  const fields = {};
+
+  ['from', 'to'].forEach(field => {
+    if (body[field] === undefined) return;
+    fields[field] = tidyLocation(body[field]);
+    fields[`${field}Key`] = locationKey(body[field]);
+  });
+  if ((fields.from !== undefined && !fields.fromKey) || (fields.to !== undefined && !fields.toKey)) {
+    return { error: 'from and to must not be blank' };
+  }
+  if (fields.fromKey && fields.fromKey === fields.toKey) {
+    return { error: 'from and to must be different locations' };
+  }
+
+  for (const field of ['distanceKm', 'transitDays']) {
+    const value = optionalNumber(body[field]);
+    if (Number.isNaN(value)) {
+      return { error: `${field} must be a number of zero or more` };
+    }
+    if (value !== undefined) fields[field] = value;
+  }
+  if (body.isActive !== undefined) fields.isActive = Boolean(body.isActive);
+
+  return { fields };
+};
+
+// Rate card fields from a body, checked against the route's other cards.
+// Returns { fields } or { error }.
+const rateCardFields = async (route, body, existing = null) => {
+  const fields = {
+    company: existing ? existing.company : null,
+    companyName: existing ? existing.companyName : null,
+    basis: existing ? existing.basis : undefined,
+    rate: existing ? existing.rate : undefined,
+    validFrom: existing ? existing.validFrom : undefined,
+    validTo: existing ? existing.validTo : null,
+  };
+
+  if (body.companyId !== undefined || body.companyName !== undefined) {
+    const name = String(body.companyName || '').trim();
+    if (body.companyId || name) {
+      // Cards link the company master entry and use its spelling
+      const company = body.companyId ? await Company.findById(body.companyId) : await findCompanyByName(name);
+      if (!company) {
+        return { error: `Company '${body.companyId || name}' not found` };
+      }
+      fields.company = company._id;
+      fields.companyName = company.name;
+    } else {
+      fields.company = null;
+      fields.companyName = null;
+    }
+  }
+  if (body.basis !== undefined) fields.basis = body.basis;
+  if (!RATE_BASES.includes(fields.basis)) {
+    return { error: `basis must be one of: ${RATE_BASES.join(', ')}` };
+  }
+  if (body.rate !== undefined) fields.rate = Number(body.rate);
+  if (fields.rate === undefined || isNaN(fields.rate) || fields.rate < 0) {
+    return { error: 'rate must be a number of zero or more' };
+  }
+  if (body.validFrom !== undefined) fields.validFrom = body.validFrom ? new Date(body.validFrom) : undefined;
+  if (!fields.validFrom || isNaN(new Date(fields.validFrom).getTime())) {
+    return { error: 'validFrom must be a valid date' };
+  }
+  if (body.validTo !== undefined) fields.validTo = body.validTo ? new Date(body.validTo) : null;
+  if (fields.validTo && isNaN(new Date(fields.validTo).getTime())) {
+    return { error: 'validTo must be a valid date' };
+  }
+  if (fields.validTo && fields.validTo < fields.validFrom) {
+    return { error: 'validTo must not be before validFrom' };
+  }
+  fields.companyKey = fields.companyName ? companyKey(fields.companyName) : null;
+
+  // Only one card per company (or default) may be valid on any day
+  const end = (card) => (card.validTo ? new Date(card.validTo) : new Date(8640000000000000));
+  const overlap = route.rateCards.find(card => (!existing || String(card._id) !== String(existing._id))
+    && card.companyKey === fields.companyKey
+    && new Date(card.validFrom) <= end(fields)
+    && new Date(fields.validFrom) <= end(card));
+  if (overlap) {
+    return { error: `Validity overlaps the existing ${fields.companyName || 'default'} rate card ${overlap._id} (set its validTo first)` };
+  }
+
+  return { fields };
+};
+
+// @desc    Get routes
+// @route   GET /api/routes?search=&active=
+// @access  Private
+const getRoutes = async (req, res) => {
+  try {
+    const { search, active } = req.query || {};
+    const filter = {};
+
+    const term = locationKey(search);
+    if (term) {
+      filter.$or = [
+        { fromKey: { $regex: escapeRegex(term) } },
+        { toKey: { $regex: escapeRegex(term) } },
+      ];
+    }
+    if (active !== undefined) {
+      filter.isActive = active !== 'false';
+    }
+
+    const routes = await Route.find(filter).sort({ fromKey: 1, toKey: 1 });
+    res.json(routes.map(transformRoute));
+  } catch (error) {
+    console.error('Get routes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Rate card freight for a trip (suggestion for the trip form)
+// @route   GET /api/routes/rate?from=&to=&companyId=&companyName=&tonnage=&date=
+// @access  Private
+const getRouteRate = async (req, res) => {
+  try {
+    const { from, to, companyId, companyName, tonnage, date } = req.query;
+    if (!from || !to) {
+      return res.status(400).json({ message: 'from and to are required' });
+    }
+
+    const check = await checkTripRoute({
+      routeFrom: from,
+      routeTo: to,
+      companyId,
+      companyName,
+      tonnage,
+      freightAmount: null,
+      date: date ? new Date(date) : new Date(),
+    });
+
+    res.json({
+      route: check.route ? transformRoute(check.route) : null,
+      routeFrom: check.from,
+      routeTo: check.to,
+      rate: check.rate,
+      suggestedFreight: check.rate ? check.freight : null,
+      warnings: check.warnings,
+    });
+  } catch (error) {
+    console.error('Get route rate error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get single route with its rate cards
+// @route   GET /api/routes/:id
+// @access  Private
+const getRoute = async (req, res) => {
+  try {
+    const route = await Route.findById(req.params.id).populate('rateCards.createdBy', 'name role _id');
+    if (!route) {
+      return res.status(404).json({ message: 'Route not found' });
+    }
+    res.json(transformRoute(route));
+  } catch (error) {
+    console.error('Get route error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Create a route
+// @route   POST /api/routes
+// @access  Private/Admin
+const createRoute = async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!body.from || !body.to) {
+      return res.status(400).json({ message: 'from and to are required' });
+    }
+
+    const { fields, error } = routeFields(body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const existing = await Route.findOne({ fromKey: fields.fromKey, toKey: fields.toKey });
+    if (existing) {
+      return res.status(400).json({ message: `Route ${existing.from} - ${existing.to} already exists`, existingRouteId: existing._id });
+    }
+
+    const route = await Route.create({ ...fields, createdBy: req.user._id, updatedBy: req.user._id });
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Create Route',
+      'Route',
+      route._id,
+      { from: route.from, to: route.to, distanceKm: route.distanceKm, transitDays: route.transitDays },
+      req.ip
+    );
+
+    res.status(201).json(transformRoute(route));
+  } catch (error) {
+    console.error('Create route error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Update a route (spelling, distance, transit days, isActive)
+// @route   PUT /api/routes/:id
+// @access  Private/Admin
+const updateRoute = async (req, res) => {
+  try {
+    const { fields, error } = routeFields(req.body || {});
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const route = await Route.findById(req.params.id);
+    if (!route) {
+      return res.status(404).json({ message: 'Route not found' });
+    }
+
+    const fromKey = fields.fromKey || route.fromKey;
+    const toKey = fields.toKey || route.toKey;
+    if (fromKey === toKey) {
+      return res.status(400).json({ message: 'from and to must be different locations' });
+    }
+    const duplicate = await Route.findOne({ fromKey, toKey, _id: { $ne: route._id } });
+    if (duplicate) {
+      return res.status(400).json({ message: `Route ${duplicate.from} - ${duplicate.to} already exists`, existingRouteId: duplicate._id });
+    }
+
+    const oldValues = {};
+    Object.keys(fields).forEach(field => {
+      oldValues[field] = route[field];
+    });
+    const renamed = (fields.from !== undefined && fields.from !== route.from) || (fields.to !== undefined && fields.to !== route.to);
+
+    Object.assign(route, fields, { updatedBy: req.user._id });
+    await route.save();
+
+    // Linked trips show the route's spelling
+    if (renamed) {
+      await Trip.updateMany(
+        { routeMaster: route._id },
+        { $set: { routeFrom: route.from, routeTo: route.to, route: `${route.from} - ${route.to}` } }
+      );
+    }
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Update Route',
+      'Route',
+      route._id,
+      { oldValues, newValues: fields },
+      req.ip
+    );
+
+    res.json(transformRoute(route));
+  } catch (error) {
+    console.error('Update route error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Delete a route that no trip is linked to
+// @route   DELETE /api/routes/:id
+// @access  Private/Admin
+const deleteRoute = async (req, res) => {
+  try {
+    const route = await Route.findById(req.params.id);
+    if (!route) {
+      return res.status(404).json({ message: 'Route not found' });
+    }
+
+    if (await Trip.exists({ routeMaster: route._id })) {
+      return res.status(400).json({ message: 'Route has trips and cannot be deleted. Deactivate it instead (isActive: false).' });
+    }
+
+    await route.deleteOne();
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Delete Route',
+      'Route',
+      route._id,
+      { from: route.from, to: route.to, rateCards: route.rateCards.length },
+      req.ip
+    );
+
+    res.json({ message: 'Route deleted', id: route._id });
+  } catch (error) {
+    console.error('Delete route error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Add a rate card to a route
+// @route   POST /api/routes/:id/rates
+// @access  Private/Admin, Finance
+const addRateCard = async (req, res) => {
+  try {
+    const route = await Route.findById(req.params.id);
+    if (!route) {
+      return res.status(404).json({ message: 'Route not found' });
+    }
+
+    const { fields, error } = await rateCardFields(route, req.body || {});
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    route.rateCards.push({ ...fields, createdBy: req.user._id });
+    route.updatedBy = req.user._id;
+    await route.save();
+    const card = route.rateCards[route.rateCards.length - 1];
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Add Rate Card',
+      'Route',
+      route._id,
+      { rateCardId: card._id, ...fields },
+      req.ip
+    );
+
+    res.status(201).json(transformRoute(route));
+  } catch (error) {
+    console.error('Add rate card error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Update a rate card (e.g. set validTo before adding the next rate)
+// @route   PUT /api/routes/:id/rates/:rateId
+// @access  Private/Admin, Finance
+const updateRateCard = async (req, res) => {
+  try {
+    const route = await Route.findById(req.params.id);
+    if (!route) {
+      return res.status(404).json({ message: 'Route not found' });
+    }
+    const card = route.rateCards.id(req.params.rateId);
+    if (!card) {
+      return res.status(404).json({ message: 'Rate card not found' });
+    }
+
+    const oldValues = { companyName: card.companyName, basis: card.basis, rate: card.rate, validFrom: card.validFrom, validTo: card.validTo };
+    const { fields, error } = await rateCardFields(route, req.body || {}, card);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    card.set(fields);
+    route.updatedBy = req.user._id;
+    await route.save();
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Update Rate Card',
+      'Route',
+      route._id,
+      { rateCardId: card._id, oldValues, newValues: fields },
+      req.ip
+    );
+
+    res.json(transformRoute(route));
+  } catch (error) {
+    console.error('Update rate card error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Remove a rate card (trips keep their freightRate snapshot)
+// @route   DELETE /api/routes/:id/rates/:rateId
+// @access  Private/Admin, Finance
+const deleteRateCard = async (req, res) => {
+  try {
+    const route = await Route.findById(req.params.id);
+    if (!route) {
+      return res.status(404).json({ message: 'Route not found' });
+    }
+    const card = route.rateCards.id(req.params.rateId);
+    if (!card) {
+      return res.status(404).json({ message: 'Rate card not found' });
+    }
+
+    const removed = card.toObject();
+    card.deleteOne();
+    route.updatedBy = req.user._id;
+    await route.save();
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Delete Rate Card',
+      'Route',
+      route._id,
+      { rateCardId: removed._id, companyName: removed.companyName, basis: removed.basis, rate: removed.rate, validFrom: removed.validFrom, validTo: removed.validTo },
+      req.ip
+    );
+
+    res.json(transformRoute(route));
+  } catch (error) {
+    console.error('Delete rate card error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getRoutes,
+  getRouteRate,
+  getRoute,
+  createRoute,
+  updateRoute,
+  deleteRoute,
+  addRateCard,
+  updateRateCard,
+  deleteRateCard,
+};
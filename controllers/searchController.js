@@ -3,7 +3,7 @@ const Ledger = require('../models/Ledger');
 
 // @desc    Global LR search - search across all trips and ledger entries
 // @route   GET /api/search/lr/:lrNumber
-// @access  Public (all users can search any LR)
+// @access  Private (all users can search any LR)
 const globalLRSearch = async (req, res) => {
   try {
     console.log('Global LR Search called:', req.params, req.query);
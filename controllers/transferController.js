@@ -0,0 +1,279 @@
+const TransferRequest = require('../models/TransferRequest');
+const TransferThreshold = require('../models/TransferThreshold');
+const Branch = require('../models/Branch');
+const User = require('../models/User');
+const { createAuditLog } = require('../middleware/auditLog');
+const { withTransaction } = require('../utils/transaction');
+const { releaseTransferHold } = require('../utils/wallet');
+const { postTransfer } = require('../utils/transfers');
+const { isOwner } = require('../utils/permissions');
+const HttpError = require('../utils/httpError');
+
+const transformRequest = (request) => ({
+  ...request.toObject(),
+  id: request._id,
+});
+
+const populateRequest = (query) => {
+  return query
+    .populate('sender', 'name email phone branch _id')
+    .populate('receiver', 'name email phone branch _id')
+    .populate('requestedBy', 'name role _id')
+    .populate('decidedBy', 'name role _id');
+};
+
+// @desc    Get transfer approval thresholds
+// @route   GET /api/transfers/thresholds
+// @access  Private/Finance, Admin
+const getThresholds = async (req, res) => {
+  try {
+    const thresholds = await TransferThreshold.find()
+      .populate('branch', 'name _id')
+      .populate('updatedBy', 'name role _id')
+      .sort({ branch: 1 });
+
+    res.json(thresholds.map(threshold => ({
+      ...threshold.toObject(),
+      id: threshold._id,
+      scope: threshold.branch ? threshold.branch.name : 'Global',
+    })));
+  } catch (error) {
+    console.error('Get thresholds error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Set the global threshold (no branchId) or a branch threshold
+// @route   PUT /api/transfers/thresholds
+// @access  Private/Finance, Admin
+const setThreshold = async (req, res) => {
+  try {
+    const { branchId, amount } = req.body;
+    const thresholdAmount = parseFloat(amount);
+
+    if (isNaN(thresholdAmount) || thresholdAmount < 0) {
+      return res.status(400).json({ message: 'amount must be zero or a positive number' });
+    }
+
+    if (branchId) {
+      const branch = await Branch.findById(branchId);
+      if (!branch) {
+        return res.status(404).json({ message: 'Branch not found' });
+      }
+    }
+
+    const threshold = await TransferThreshold.findOneAndUpdate(
+      { branch: branchId || null },
+      { $set: { amount: thresholdAmount, updatedBy: req.user._id } },
+      { new: true, upsert: true }
+    ).populate('branch', 'name _id');
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Set Transfer Threshold',
+      'TransferThreshold',
+      threshold._id,
+      { branchId: branchId || null, amount: thresholdAmount },
+      req.ip
+    );
+
+    res.json({
+      ...threshold.toObject(),
+      id: threshold._id,
+      scope: threshold.branch ? threshold.branch.name : 'Global',
+    });
+  } catch (error) {
+    console.error('Set threshold error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Remove a threshold (branch falls back to global; no global = no approval)
+// @route   DELETE /api/transfers/thresholds/:id
+// @access  Private/Finance, Admin
+const deleteThreshold = async (req, res) => {
+  try {
+    const threshold = await TransferThreshold.findByIdAndDelete(req.params.id);
+
+    if (!threshold) {
+      return res.status(404).json({ message: 'Threshold not found' });
+    }
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Delete Transfer Threshold',
+      'TransferThreshold',
+      threshold._id,
+      { branchId: threshold.branch, amount: threshold.amount },
+      req.ip
+    );
+
+    res.json({ message: 'Threshold removed' });
+  } catch (error) {
+    console.error('Delete threshold error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get transfer requests (Agents see transfers they send or receive)
+// @route   GET /api/transfers/requests?status=
+// @access  Private
+const getTransferRequests = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+    if (req.user.role === 'Agent') {
+      query.$or = [{ sender: req.user._id }, { receiver: req.user._id }];
+    }
+
+    const requests = await populateRequest(TransferRequest.find(query)).sort({ createdAt: -1 });
+
+    res.json(requests.map(transformRequest));
+  } catch (error) {
+    console.error('Get transfer requests error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Release the hold of a pending request and move it to `status`. `post`
+// runs inside the same transaction for approvals.
+const decideRequest = async (requestId, status, user, note, post = null) => {
+  return withTransaction(async (session) => {
+    const request = await TransferRequest.findById(requestId).session(session);
+    if (!request) throw new HttpError(404, 'Transfer request not found');
+    if (request.status !== 'Pending') {
+      throw new HttpError(400, `Transfer request is already ${request.status.toLowerCase()}`);
+    }
+
+    await releaseTransferHold(request.sender, request.receiver, request.amount, session);
+    if (post) await post(request, session);
+
+    request.status = status;
+    request.decidedBy = user._id;
+    request.decidedAt = new Date();
+    request.decisionNote = note || null;
+    await request.save({ session });
+    return request;
+  });
+};
+
+// @desc    Approve a pending transfer and post it to the ledger
+// @route   POST /api/transfers/requests/:id/approve
+// @access  Private/Finance, Admin
+const approveTransferRequest = async (req, res) => {
+  try {
+    const request = await decideRequest(req.params.id, 'Approved', req.user, req.body.note, async (pending, session) => {
+      const senderAgent = await User.findById(pending.sender).session(session);
+      const receiverAgent = await User.findById(pending.receiver).session(session);
+      if (!senderAgent || !receiverAgent) {
+        throw new HttpError(404, 'Sender or receiver agent not found');
+      }
+
+      const { lrNumber, debitEntry, creditEntry } = await postTransfer({
+        senderAgent,
+        receiverAgent,
+        amount: pending.amount,
+      }, session);
+      pending.lrNumber = lrNumber;
+      pending.ledgerEntries = [debitEntry._id, creditEntry._id];
+    });
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Approve Agent Transfer',
+      'TransferRequest',
+      request._id,
+      { senderAgentId: request.sender, receiverAgentId: request.receiver, amount: request.amount, lrNumber: request.lrNumber },
+      req.ip
+    );
+
+    res.json(transformRequest(await populateRequest(TransferRequest.findById(request._id))));
+  } catch (error) {
+    console.error('Approve transfer error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Reject a pending transfer (nothing is posted)
+// @route   POST /api/transfers/requests/:id/reject
+// @access  Private/Finance, Admin
+const rejectTransferRequest = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({ message: 'reason is required' });
+    }
+
+    const request = await decideRequest(req.params.id, 'Rejected', req.user, reason);
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Reject Agent Transfer',
+      'TransferRequest',
+      request._id,
+      { senderAgentId: request.sender, receiverAgentId: request.receiver, amount: request.amount, reason },
+      req.ip
+    );
+
+    res.json(transformRequest(await populateRequest(TransferRequest.findById(request._id))));
+  } catch (error) {
+    console.error('Reject transfer error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Cancel own pending transfer
+// @route   POST /api/transfers/requests/:id/cancel
+// @access  Private/Agent (sender), Admin
+const cancelTransferRequest = async (req, res) => {
+  try {
+    const existing = await TransferRequest.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Transfer request not found' });
+    }
+    if (req.user.role === 'Agent' && !isOwner(req.user, existing.sender)) {
+      return res.status(403).json({ message: 'Agents can only cancel their own transfers' });
+    }
+
+    const request = await decideRequest(req.params.id, 'Cancelled', req.user, req.body.reason);
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Cancel Agent Transfer',
+      'TransferRequest',
+      request._id,
+      { senderAgentId: request.sender, receiverAgentId: request.receiver, amount: request.amount },
+      req.ip
+    );
+
+    res.json(transformRequest(await populateRequest(TransferRequest.findById(request._id))));
+  } catch (error) {
+    console.error('Cancel transfer error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getThresholds,
+  setThreshold,
+  deleteThreshold,
+  getTransferRequests,
+  approveTransferRequest,
+  rejectTransferRequest,
+  cancelTransferRequest,
+};
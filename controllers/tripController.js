@@ -4,6 +4,32 @@ const Dispute = require('../models/Dispute');
 const User = require('../models/User');
 const Company = require('../models/Company');
 const { createAuditLog } = require('../middleware/auditLog');
+const { isOwner } = require('../utils/permissions');
+const { creditOverrideFromRequest } = require('../utils/creditLimit');
+const { findTransition, assertTransition, transitionTrip, initialTripState, assertTripUnchanged, describeLifecycle } = require('../utils/tripLifecycle');
+const { withTransaction } = require('../utils/transaction');
+const { calculateTripSettlement, applyTripSettlement } = require('../utils/tripSettlement');
+const { validateTripRows } = require('../utils/tripImport');
+const { parseSpreadsheet } = require('../utils/spreadsheet');
+const { allocateLrNumber, resolveLrNumberSource, findTripByLrNumber, duplicateLrNumberError } = require('../utils/lrSeries');
+const { checkTripVehicle, documentOverrideFromRequest } = require('../utils/vehicles');
+const { checkTripDriver, linkDriverVehicle } = require('../utils/drivers');
+const { checkTripRoute } = require('../utils/routeMaster');
+const { checkTripCompany } = require('../utils/companies');
+const HttpError = require('../utils/httpError');
+const { postLedgerEntries, getWalletBalance, replaceLedgerEntry, replaceLedgerEntries, reverseLedgerEntry } = require('../utils/wallet');
+
+// Deduction fields editable through PUT /api/trips/:id/deductions
+const DEDUCTION_FIELDS = ['cess', 'kata', 'excessTonnage', 'halting', 'expenses', 'beta', 'others', 'othersReason'];
+
+// Ledger bank for an on-trip payment
+const paymentBank = (payment) => payment.bank || (payment.mode === 'Cash' ? 'Cash' : 'HDFC Bank');
+
+// Description of a ledger entry posted for an on-trip payment
+const paymentEntryDescription = (entry, reason) => {
+  if (entry.type === 'Top-up') return entry.description;
+  return entry.isInformational ? `On-trip payment (by another agent): ${reason}` : `On-trip payment: ${reason}`;
+};
 
 // Helper function to transform trip for frontend
 const transformTrip = (trip) => {
@@ -39,7 +65,7 @@ const transformTrip = (trip) => {
 
 // @desc    Get distinct company names for dropdowns
 // @route   GET /api/trips/companies
-// @access  Public
+// @access  Private
 const getCompanyNames = async (req, res) => {
   try {
     const { search } = req.query || {};
@@ -50,17 +76,18 @@ const getCompanyNames = async (req, res) => {
       filter.companyName = { $regex: search.trim(), $options: 'i' };
     }
 
-    // Pull saved companies from admin list
-    const savedCompanies = await Company.find(
-      search && search.trim() ? { name: { $regex: search.trim(), $options: 'i' } } : {}
-    )
+    // Pull saved (active) companies from admin list
+    const savedCompanies = await Company.find({
+      isActive: { $ne: false },
+      ...(search && search.trim() ? { name: { $regex: search.trim(), $options: 'i' } } : {}),
+    })
       .collation({ locale: 'en', strength: 2 })
       .sort({ name: 1 })
       .select('name')
       .lean();
 
-    // Also include historic names from trips as fallback
-    const tripCompanies = await Trip.distinct('companyName', filter);
+    // Also include historic names of trips not linked to a company as fallback
+    const tripCompanies = await Trip.distinct('companyName', { ...filter, company: null });
 
     const merged = [
       ...savedCompanies.map(c => c.name),
@@ -82,10 +109,10 @@ const getCompanyNames = async (req, res) => {
 
 // @desc    Get all trips
 // @route   GET /api/trips
-// @access  Public
+// @access  Private
 const getTrips = async (req, res) => {
   try {
-    const { agentId, branch, status, lrNumber, page = 1, limit = 20, startDate, endDate, lrSheet } = req.query;
+    const { agentId, branch, status, lrNumber, page = 1, limit = 20, startDate, endDate, lrSheet, companyId } = req.query;
     let query = {};
 
     // No role-based filtering - all trips visible to all
@@ -99,6 +126,9 @@ const getTrips = async (req, res) => {
     if (status) {
       query.status = status;
     }
+    if (companyId) {
+      query.company = companyId;
+    }
     if (lrSheet) {
       // Use case-insensitive regex for more robust matching
       // If filtering for "Not Received", we should also include trips where the field is missing/null/empty
@@ -183,7 +213,7 @@ const getTrips = async (req, res) => {
 
 // @desc    Get single trip
 // @route   GET /api/trips/:id
-// @access  Public
+// @access  Private
 const getTrip = async (req, res) => {
   try {
     const trip = await Trip.findById(req.params.id)
@@ -216,9 +246,77 @@ const getTrip = async (req, res) => {
   }
 };
 
+// Create a trip and debit its advance from the agent's wallet inside `session`
+// (used by createTrip and the bulk import)
+const insertTrip = async (fields, user, session, ledgerOptions) => {
+  const { freight, advance, isBulk, agentId, routeFrom, routeTo } = fields;
+  const { finalBalance: balance } = calculateTripSettlement({ freight, advance });
+
+  let createdTrip;
+  try {
+    [createdTrip] = await Trip.create([{
+      lrNumber: fields.lrNumber,
+      lrNumberSource: fields.lrNumberSource || 'Manual',
+      tripId: fields.tripId || fields.lrNumber,
+      date: fields.date,
+      truckNumber: fields.truckNumber,
+      vehicle: fields.vehicle || null,
+      vehicleDocumentOverride: fields.vehicleDocumentOverride || null,
+      company: fields.company || null,
+      companyName: fields.companyName,
+      routeFrom,
+      routeTo,
+      route: `${routeFrom} - ${routeTo}`,
+      routeMaster: fields.routeMaster || null,
+      freightRate: fields.freightRate || null,
+      tonnage: parseFloat(fields.tonnage) || 0,
+      lrSheet: fields.lrSheet || 'Not Received',
+      isBulk: isBulk || false,
+      type: isBulk ? 'Bulk' : 'Normal',
+      freight,
+      freightAmount: freight,
+      advance,
+      advancePaid: advance,
+      balance,
+      balanceAmount: balance,
+      ...initialTripState(user),
+      agent: agentId,
+      agentId: agentId,
+      branch: fields.branch,
+      driver: fields.driver || null,
+      driverPhoneNumber: fields.driverPhoneNumber,
+      driverName: fields.driverName || '',
+    }], { session });
+  } catch (error) {
+    throw duplicateLrNumberError(error, fields.lrNumber) || error;
+  }
+
+  await linkDriverVehicle(createdTrip.driver, createdTrip.vehicle, session);
+
+  // Create ledger entry - Only debit the advance amount paid by agent, NOT the freight
+  // Freight is informational, not a wallet transaction
+  if (!isBulk && advance > 0) {
+    await postLedgerEntries([{
+      tripId: createdTrip._id,
+      lrNumber: createdTrip.lrNumber,
+      date: createdTrip.date,
+      description: `Trip created - ${routeFrom} to ${routeTo} (Advance paid: Rs ${advance})`,
+      type: 'Trip Created',
+      amount: advance, // Only debit the advance amount, not freight
+      advance: advance,
+      agent: agentId,
+      agentId: agentId,
+      bank: 'HDFC Bank',
+      direction: 'Debit',
+    }], session, { ...ledgerOptions, onClosedPeriod: 'reject' }); // Trip date is user-chosen
+  }
+
+  return createdTrip;
+};
+
 // @desc    Create trip
 // @route   POST /api/trips
-// @access  Public
+// @access  Private/Agent, Admin
 const createTrip = async (req, res) => {
   try {
     const {
@@ -226,6 +324,7 @@ const createTrip = async (req, res) => {
       tripId,
       date,
       truckNumber,
+      companyId, // Company from the company master (optional)
       companyName,
       routeFrom,
       routeTo,
@@ -234,33 +333,34 @@ const createTrip = async (req, res) => {
       isBulk,
       freightAmount,
       advancePaid,
-      agentId, // Frontend se agentId aayega
       branchId, // Frontend se branchId aayega (optional)
-      driverPhoneNumber, // Driver phone number (mandatory)
+      driverId, // Driver from the driver master (optional)
+      driverPhoneNumber, // Driver phone number (mandatory unless driverId is given)
     } = req.body;
 
+    // Agents book trips for themselves; Admin books on behalf of the selected agent
+    let agentId;
+    if (req.user.role === 'Agent') {
+      if (req.body.agentId && !isOwner(req.user, req.body.agentId)) {
+        return res.status(403).json({ message: 'Agents can only create trips for themselves' });
+      }
+      agentId = req.user._id;
+    } else {
+      agentId = req.body.agentId;
+    }
+
     if (!agentId) {
       return res.status(400).json({ message: 'agentId is required' });
     }
 
     // Validate driver phone number
-    if (!driverPhoneNumber || !driverPhoneNumber.trim()) {
+    if (!driverId && (!driverPhoneNumber || !driverPhoneNumber.trim())) {
       return res.status(400).json({ message: 'Driver phone number is required' });
     }
 
-    const trimmedDriverPhone = driverPhoneNumber.trim();
-    console.log('Creating trip with driverPhoneNumber:', trimmedDriverPhone); // Debug log
-
     // Check for duplicate LR number - Case insensitive and check both lrNumber and tripId
     if (lrNumber) {
-      const trimmedLrNumber = lrNumber.trim();
-      // Case-insensitive search for duplicate LR number
-      const existingTripByLR = await Trip.findOne({
-        $or: [
-          { lrNumber: { $regex: new RegExp(`^${trimmedLrNumber}$`, 'i') } },
-          { tripId: { $regex: new RegExp(`^${trimmedLrNumber}$`, 'i') } }
-        ]
-      });
+      const existingTripByLR = await findTripByLrNumber(lrNumber);
 
       if (existingTripByLR) {
         return res.status(400).json({
@@ -278,73 +378,68 @@ const createTrip = async (req, res) => {
       return res.status(404).json({ message: 'Agent not found' });
     }
 
+    // A typed LR number, or the next one from the branch's LR series
+    const { source: lrNumberSource, series } = await resolveLrNumberSource(lrNumber, branchId || agent.branch);
+
+    // Link the truck to the vehicle master; expired documents block the booking
+    const vehicleCheck = await checkTripVehicle(truckNumber, date, documentOverrideFromRequest(req));
+
+    // Link the driver (picked, or found by phone); the phone used is kept as a snapshot
+    const driverCheck = await checkTripDriver({ driverId, driverPhoneNumber }, date);
+    const trimmedDriverPhone = driverCheck.driverPhoneNumber;
+    console.log('Creating trip with driverPhoneNumber:', trimmedDriverPhone); // Debug log
+
+    // Link the company (picked, or found by name); the name is kept as a snapshot
+    const companyCheck = await checkTripCompany({ companyId, companyName });
+
+    // Canonical route names; freight is checked against (or taken from) the route's rate card
+    const routeCheck = await checkTripRoute({
+      routeFrom,
+      routeTo,
+      companyId: companyCheck.company ? companyCheck.company._id : null,
+      companyName: companyCheck.companyName,
+      tonnage,
+      freightAmount,
+      date,
+      isBulk,
+    });
+
     // Calculate balance
-    const freight = isBulk ? 0 : (parseFloat(freightAmount) || 0);
+    const freight = isBulk ? 0 : routeCheck.freight;
     const advance = isBulk ? 0 : (parseFloat(advancePaid) || 0);
-    const balance = freight - advance;
 
-    const trip = await Trip.create({
-      lrNumber,
-      tripId: tripId || lrNumber,
+    // Debits are checked against the agent's credit limit for the trip's branch
+    const ledgerOptions = { branch: branchId || agent.branch || null, creditOverride: creditOverrideFromRequest(req) };
+
+    // LR allocation, trip and its advance debit are written together - all or nothing
+    const trip = await withTransaction(async (session) => insertTrip({
+      lrNumber: lrNumberSource === 'Series' ? await allocateLrNumber(series, date || new Date(), session) : lrNumber,
+      lrNumberSource,
+      tripId,
       date,
-      truckNumber,
-      companyName,
-      routeFrom,
-      routeTo,
-      route: `${routeFrom} - ${routeTo}`,
-      tonnage: parseFloat(tonnage) || 0,
-      lrSheet: lrSheet || 'Not Received',
-      isBulk: isBulk || false,
-      type: isBulk ? 'Bulk' : 'Normal',
+      truckNumber: vehicleCheck.truckNumber,
+      vehicle: vehicleCheck.vehicle ? vehicleCheck.vehicle._id : null,
+      vehicleDocumentOverride: vehicleCheck.documentOverride,
+      company: companyCheck.company ? companyCheck.company._id : null,
+      companyName: companyCheck.companyName,
+      routeFrom: routeCheck.from,
+      routeTo: routeCheck.to,
+      routeMaster: routeCheck.route ? routeCheck.route._id : null,
+      freightRate: routeCheck.rate,
+      tonnage,
+      lrSheet,
+      isBulk,
       freight,
-      freightAmount: freight,
       advance,
-      advancePaid: advance,
-      balance,
-      balanceAmount: balance,
-      status: 'Active',
-      agent: agentId,
-      agentId: agentId,
+      agentId,
       branch: branchId || agent.branch || null,
+      driver: driverCheck.driver ? driverCheck.driver._id : null,
       driverPhoneNumber: trimmedDriverPhone,
-    });
+      driverName: driverCheck.driverName,
+    }, req.user, session, ledgerOptions));
 
     console.log('Trip created successfully with driverPhoneNumber:', trip.driverPhoneNumber); // Debug log
 
-    // Create ledger entry - Only debit the advance amount paid by agent, NOT the freight
-    // Freight is informational, not a wallet transaction
-    if (!isBulk && advance > 0) {
-      try {
-        const ledgerEntry = await Ledger.create({
-          tripId: trip._id,
-          lrNumber: trip.lrNumber,
-          date: trip.date,
-          description: `Trip created - ${routeFrom} to ${routeTo} (Advance paid: Rs ${advance})`,
-          type: 'Trip Created',
-          amount: advance, // Only debit the advance amount, not freight
-          advance: advance,
-          balance: balance,
-          agent: agentId,
-          agentId: agentId,
-          bank: 'HDFC Bank',
-          direction: 'Debit',
-        });
-        console.log('Ledger entry created successfully:', {
-          id: ledgerEntry._id,
-          type: ledgerEntry.type,
-          amount: ledgerEntry.amount,
-          lrNumber: ledgerEntry.lrNumber,
-          agentId: ledgerEntry.agentId
-        });
-      } catch (ledgerError) {
-        console.error('Error creating ledger entry for trip:', ledgerError);
-        // Don't fail the trip creation if ledger entry fails
-        // But log it for debugging
-      }
-    } else if (!isBulk && advance === 0) {
-      console.log('No ledger entry created: advance is 0 or trip is bulk');
-    }
-
     // Populate trip with error handling
     let populatedTrip;
     try {
@@ -387,17 +482,21 @@ const createTrip = async (req, res) => {
     // Create audit log (don't fail if this fails)
     try {
       await createAuditLog(
-        agentId,
-        agent?.role || 'Agent',
+        req.user._id,
+        req.user.role,
         'Create Trip',
         'Trip',
         trip._id,
         {
           lrNumber: trip.lrNumber,
+          lrNumberSource: trip.lrNumberSource,
           route: trip.route,
+          truckNumber: trip.truckNumber,
           freight: trip.freight,
+          freightRate: trip.freightRate || undefined,
           advance: trip.advance,
           status: trip.status,
+          vehicleDocumentOverride: trip.vehicleDocumentOverride || undefined,
         },
         req.ip
       );
@@ -406,33 +505,105 @@ const createTrip = async (req, res) => {
       // Continue even if audit log fails
     }
 
-    res.status(201).json(transformedTrip);
+    res.status(201).json({ ...transformedTrip, vehicleWarnings: vehicleCheck.warnings, driverWarnings: driverCheck.warnings, companyWarnings: companyCheck.warnings, freightWarnings: routeCheck.warnings });
   } catch (error) {
     console.error('Create trip error:', error);
     console.error('Error stack:', error.stack);
-    // If trip was created but response failed, still return success
-    try {
-      const existingTrip = await Trip.findOne({ lrNumber: req.body.lrNumber });
-      if (existingTrip) {
-        // Trip was created, return it even if there was an error
-        const basicTrip = {
-          ...existingTrip.toObject(),
-          id: existingTrip._id,
-          agentId: req.body.agentId,
-          agent: 'Unknown',
-        };
-        return res.status(201).json(basicTrip);
-      }
-    } catch (checkError) {
-      console.error('Error checking existing trip:', checkError);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
     }
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
 
+// @desc    Import trips from a CSV/Excel file. Validates every row; with
+//          dryRun=false also creates the valid rows with their advance debits
+// @route   POST /api/trips/import
+// @access  Private/Agent, Admin
+const importTrips = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Import file is required' });
+    }
+
+    const dryRun = String(req.body.dryRun ?? 'true').toLowerCase() !== 'false';
+    const { headers, records } = await parseSpreadsheet(req.file);
+    if (records.length === 0) {
+      return res.status(400).json({ message: 'Import file has no rows' });
+    }
+
+    const rows = await validateTripRows(headers, records, req.user, {
+      branchId: req.body.branchId || null,
+      documentOverride: documentOverrideFromRequest(req),
+    });
+    const creditOverride = creditOverrideFromRequest(req);
+
+    // Each valid row is created in its own transaction with its advance
+    // debit, so one failure (e.g. a credit limit) doesn't block the rest
+    if (!dryRun) {
+      for (const row of rows.filter(r => r.status === 'Valid')) {
+        const { agent, series, trip: fields } = row;
+        const { branch } = fields;
+        try {
+          const trip = await withTransaction(async (session) => insertTrip({
+            ...fields,
+            lrNumber: row.lrNumberSource === 'Series' ? await allocateLrNumber(series, fields.date, session) : fields.lrNumber,
+            lrNumberSource: row.lrNumberSource,
+            freight: fields.freightAmount,
+            advance: fields.advancePaid,
+            agentId: agent._id,
+            branch,
+          }, req.user, session, { branch, creditOverride }));
+
+          row.status = 'Created';
+          row.tripId = trip._id;
+          row.lrNumber = trip.lrNumber;
+
+          await createAuditLog(
+            req.user._id,
+            req.user.role,
+            'Import Trip',
+            'Trip',
+            trip._id,
+            { lrNumber: trip.lrNumber, fileName: req.file.originalname, row: row.row },
+            req.ip
+          );
+        } catch (error) {
+          console.error(`Import trip row ${row.row} error:`, error);
+          row.status = 'Failed';
+          row.errors.push(error.status ? error.message : 'Server error');
+        }
+      }
+    }
+
+    const count = (status) => rows.filter(r => r.status === status).length;
+    res.status(dryRun ? 200 : 201).json({
+      dryRun,
+      fileName: req.file.originalname,
+      summary: {
+        total: rows.length,
+        valid: rows.length - count('Invalid'),
+        invalid: count('Invalid'),
+        created: count('Created'),
+        failed: count('Failed'),
+      },
+      rows: rows.map(({ agent, series, trip, ...row }) => ({
+        ...row,
+        agent: agent ? agent.email : null,
+      })),
+    });
+  } catch (error) {
+    console.error('Import trips error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 // @desc    Update trip
 // @route   PUT /api/trips/:id
-// @access  Public
+// @access  Private/Finance, Admin
 const updateTrip = async (req, res) => {
   try {
     const trip = await Trip.findById(req.params.id);
@@ -441,16 +612,29 @@ const updateTrip = async (req, res) => {
       return res.status(404).json({ message: 'Trip not found' });
     }
 
-    // No permission checks - public access
+    const previousStatus = trip.status;
+
     // Update allowed fields
     console.log('Update Trip Body:', req.body); // Debug log
-    if (req.body.status !== undefined) {
-      trip.status = req.body.status;
+    // Status changes go through the lifecycle; most have their own endpoint
+    if (req.body.status !== undefined && req.body.status !== trip.status) {
+      const transition = findTransition(trip.status, req.body.status);
+      if (!transition) {
+        return res.status(400).json({ message: `Trip cannot move from ${trip.status} to ${req.body.status}` });
+      }
+      if (transition.action !== 'activate') {
+        return res.status(400).json({ message: `Use ${transition.endpoint} to move a trip from ${trip.status} to ${req.body.status}` });
+      }
+      transitionTrip(trip, transition.action, req.user);
     }
     if (req.body.lrSheet !== undefined) {
       trip.lrSheet = req.body.lrSheet;
     }
     if (req.body.invoiceNumber !== undefined) {
+      // Numbers stamped by POST /api/invoices change only by cancelling the invoice
+      if (trip.invoice && req.body.invoiceNumber !== trip.invoiceNumber) {
+        return res.status(400).json({ message: `Trip is billed on invoice ${trip.invoiceNumber}; cancel the invoice to change it` });
+      }
       trip.invoiceNumber = req.body.invoiceNumber;
     }
 
@@ -484,17 +668,15 @@ const updateTrip = async (req, res) => {
 
     // Create audit log (don't fail if this fails)
     try {
-      const userId = req.body.userId || trip.agent || null;
-      const userRole = req.body.userRole || 'Agent';
       await createAuditLog(
-        userId,
-        userRole,
+        req.user._id,
+        req.user.role,
         'Update Trip',
         'Trip',
         trip._id,
         {
           changes: req.body,
-          previousStatus: trip.status,
+          previousStatus,
         },
         req.ip
       );
@@ -506,6 +688,9 @@ const updateTrip = async (req, res) => {
   } catch (error) {
     console.error('Update trip error:', error);
     console.error('Error stack:', error.stack);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
     // If trip was updated but response failed, still return success
     try {
       const existingTrip = await Trip.findById(req.params.id);
@@ -527,7 +712,7 @@ const updateTrip = async (req, res) => {
 
 // @desc    Delete trip
 // @route   DELETE /api/trips/:id
-// @access  Public
+// @access  Private/Admin
 const deleteTrip = async (req, res) => {
   try {
     const trip = await Trip.findById(req.params.id);
@@ -536,12 +721,16 @@ const deleteTrip = async (req, res) => {
       return res.status(404).json({ message: 'Trip not found' });
     }
 
+    // Trips with ledger history are cancelled, not deleted, so their entries stay linked
+    const hasLedgerEntries = await Ledger.exists({ tripId: trip._id });
+    if (hasLedgerEntries) {
+      return res.status(400).json({ message: 'Trip has ledger entries and cannot be deleted. Use POST /api/trips/:id/cancel instead.' });
+    }
+
     // Create audit log before deleting
-    const userId = req.body.userId || trip.agent || null;
-    const userRole = req.body.userRole || 'Agent';
     await createAuditLog(
-      userId,
-      userRole,
+      req.user._id,
+      req.user.role,
       'Delete Trip',
       'Trip',
       trip._id,
@@ -563,7 +752,7 @@ const deleteTrip = async (req, res) => {
 
 // @desc    Add on-trip payment
 // @route   POST /api/trips/:id/payments
-// @access  Public
+// @access  Private
 const addPayment = async (req, res) => {
   try {
     const trip = await Trip.findById(req.params.id);
@@ -576,14 +765,16 @@ const addPayment = async (req, res) => {
     if (trip.status !== 'Active') {
       return res.status(400).json({ message: 'Mid-trip payments can only be added for Active trips' });
     }
+    const loadedAt = trip.updatedAt;
 
-    const { amount, reason, mode, bank, agentId, userRole, userId } = req.body;
+    const { amount, reason, mode, bank, agentId } = req.body;
+    const userId = req.user._id;
+    const userRole = req.user.role;
 
     // IMPORTANT: Payment should be deducted from the agent who is making the payment, NOT the trip creator
     // Rule: 
     // - If Finance is adding payment: Use agentId from body (selected agent)
-    // - If Agent is adding payment: Use userId (logged-in agent making the payment)
-    // - Fallback: trip.agent (only if agentId and userId both not available)
+    // - If Agent is adding payment: Use the logged-in agent (who is making the payment)
     let targetAgentId;
     if (userRole === 'Finance') {
       // Finance payment: Use selected agent from dropdown
@@ -592,10 +783,6 @@ const addPayment = async (req, res) => {
       }
       targetAgentId = agentId;
     } else {
-      // Agent payment: Use logged-in agent (who is making the payment)
-      if (!userId) {
-        return res.status(400).json({ message: 'User ID is required for Agent payments' });
-      }
       targetAgentId = userId;
     }
 
@@ -609,87 +796,67 @@ const addPayment = async (req, res) => {
       reason,
       mode: mode || 'Cash',
       bank: bank || (mode === 'Cash' ? 'Cash' : ''),
-      addedBy: userId || targetAgentId, // Use userId if Finance, otherwise agentId
-      addedByRole: userRole || 'Agent', // Store who made the payment
+      addedBy: userId,
+      addedByRole: userRole, // Store who made the payment
+      agent: targetAgentId,
     };
 
     trip.onTripPayments.push(payment);
+    const addedPayment = trip.onTripPayments[trip.onTripPayments.length - 1];
 
-    // Recalculate balance with new logic:
-    // Cess, Kata, Excess Tonnage, Halting, Expenses, Others are ADDED to initial balance
-    // Beta is SUBTRACTED from final balance
-    const totalPayments = trip.onTripPayments.reduce((sum, p) => sum + (p.amount || 0), 0);
-    const deductions = trip.deductions || {};
-    const totalAdditions = (parseFloat(deductions.cess) || 0) +
-      (parseFloat(deductions.kata) || 0) +
-      (parseFloat(deductions.excessTonnage) || 0) +
-      (parseFloat(deductions.halting) || 0) +
-      (parseFloat(deductions.expenses) || 0) +
-      (parseFloat(deductions.others) || 0);
-    const betaAmount = parseFloat(deductions.beta) || 0;
-    const initialBalance = trip.freight - trip.advance;
-    trip.balance = initialBalance + totalAdditions - betaAmount - totalPayments;
-    trip.balanceAmount = trip.balance;
+    applyTripSettlement(trip);
 
-    await trip.save();
+    // Debits are checked against the agent's credit limit for the trip's branch
+    const ledgerOptions = { branch: trip.branch, creditOverride: creditOverrideFromRequest(req) };
 
-    // If Finance makes payment on behalf of agent, create TWO ledger entries
-    if (isFinancePayment) {
-      try {
-        // Entry 1: Finance → Agent (Credit) - Top-up
-        // Calculate agent's current balance before adding credit
-        const agentLedger = await Ledger.find({ agent: targetAgentId });
-        const agentBalance = agentLedger.reduce((sum, entry) => {
-          if (entry.direction === 'Credit') {
-            return sum + (entry.amount || 0);
-          } else {
-            return sum - (entry.amount || 0);
-          }
-        }, 0);
+    // Payment on the trip and its ledger entries commit together
+    await withTransaction(async (session) => {
+      await assertTripUnchanged(trip, loadedAt, ['Active'], session);
 
-        await Ledger.create({
-          tripId: trip._id,
-          lrNumber: trip.lrNumber,
-          date: new Date(),
-          description: `Top-up: Top up`,
-          type: 'Top-up',
-          amount: paymentAmount,
-          advance: 0,
-          balance: agentBalance + paymentAmount,
-          agent: targetAgentId,
-          agentId: targetAgentId,
-          bank: bank || (mode === 'Cash' ? 'Cash' : 'HDFC Bank'),
-          direction: 'Credit',
-          paymentMadeBy: 'Finance', // Mark as Finance payment
-        });
-        console.log(`Ledger entry created for Finance Credit (Top-up): LR ${trip.lrNumber}, Amount ${paymentAmount}, Agent ${targetAgentId}`);
+      // Each entry links back to the payment, and the payment lists its entries
+      const linkedEntries = [];
 
-        // Entry 2: Agent → Trip Expense (Debit) - On-Trip Payment
-        await Ledger.create({
-          tripId: trip._id,
-          lrNumber: trip.lrNumber,
-          date: new Date(),
-          description: `On-trip payment: ${reason}`,
-          type: 'On-Trip Payment',
-          amount: paymentAmount,
-          advance: 0,
-          balance: trip.balance,
-          agent: targetAgentId,
-          agentId: targetAgentId,
-          bank: bank || (mode === 'Cash' ? 'Cash' : 'HDFC Bank'),
-          direction: 'Debit',
-          paymentMadeBy: 'Finance', // Mark as Finance payment
-        });
-        console.log(`Ledger entry created for Finance Debit (On-Trip Payment): LR ${trip.lrNumber}, Amount ${paymentAmount}, Agent ${targetAgentId}`);
-      } catch (ledgerError) {
-        console.error(`Error creating ledger entries for Finance payment (non-critical): LR ${trip.lrNumber}, Agent ${targetAgentId}, Error:`, ledgerError);
-        // Continue even if ledger entry creation fails - trip payment is already saved
-      }
-    } else {
-      // Agent makes payment - create debit entry for payment maker AND informational entry for trip creator
-      try {
+      // If Finance makes payment on behalf of agent, create TWO ledger entries
+      if (isFinancePayment) {
+        // Entry 1: Finance → Agent (Credit) - Top-up
+        linkedEntries.push(...await postLedgerEntries([
+          {
+            tripId: trip._id,
+            lrNumber: trip.lrNumber,
+            date: new Date(),
+            description: `Top-up: Top up`,
+            type: 'Top-up',
+            amount: paymentAmount,
+            advance: 0,
+            agent: targetAgentId,
+            agentId: targetAgentId,
+            bank: bank || (mode === 'Cash' ? 'Cash' : 'HDFC Bank'),
+            direction: 'Credit',
+            paymentMadeBy: 'Finance', // Mark as Finance payment
+            onTripPayment: addedPayment._id,
+          },
+          // Entry 2: Agent → Trip Expense (Debit) - On-Trip Payment
+          {
+            tripId: trip._id,
+            lrNumber: trip.lrNumber,
+            date: new Date(),
+            description: `On-trip payment: ${reason}`,
+            type: 'On-Trip Payment',
+            amount: paymentAmount,
+            advance: 0,
+            agent: targetAgentId,
+            agentId: targetAgentId,
+            bank: bank || (mode === 'Cash' ? 'Cash' : 'HDFC Bank'),
+            direction: 'Debit',
+            paymentMadeBy: 'Finance', // Mark as Finance payment
+            onTripPayment: addedPayment._id,
+          },
+        ], session, ledgerOptions));
+        console.log(`Ledger entries created for Finance payment (Top-up + On-Trip Payment): LR ${trip.lrNumber}, Amount ${paymentAmount}, Agent ${targetAgentId}`);
+      } else {
+        // Agent makes payment - create debit entry for payment maker AND informational entry for trip creator
         // Entry 1: Payment maker's account - Debit (balance affected)
-        await Ledger.create({
+        linkedEntries.push(...await postLedgerEntries([{
           tripId: trip._id,
           lrNumber: trip.lrNumber,
           date: new Date(),
@@ -697,29 +864,19 @@ const addPayment = async (req, res) => {
           type: 'On-Trip Payment',
           amount: paymentAmount,
           advance: 0,
-          balance: trip.balance,
           agent: targetAgentId,
           agentId: targetAgentId,
           bank: bank || (mode === 'Cash' ? 'Cash' : 'HDFC Bank'),
           direction: 'Debit',
           paymentMadeBy: 'Agent', // Mark as Agent payment
-        });
+          onTripPayment: addedPayment._id,
+        }], session, ledgerOptions));
         console.log(`Ledger entry created for Agent On-Trip Payment (Payment Maker): LR ${trip.lrNumber}, Amount ${paymentAmount}, Agent ${targetAgentId}`);
 
         // Entry 2: Trip creator's account - Informational entry (if different from payment maker)
         const tripCreatorId = trip.agent || trip.agentId;
         if (tripCreatorId && String(tripCreatorId) !== String(targetAgentId)) {
-          // Calculate trip creator's balance (don't affect it, just show reference)
-          const tripCreatorLedger = await Ledger.find({ agent: tripCreatorId });
-          const tripCreatorBalance = tripCreatorLedger.reduce((sum, entry) => {
-            if (entry.direction === 'Credit') {
-              return sum + (entry.amount || 0);
-            } else {
-              return sum - (entry.amount || 0);
-            }
-          }, 0);
-
-          await Ledger.create({
+          linkedEntries.push(...await postLedgerEntries([{
             tripId: trip._id,
             lrNumber: trip.lrNumber,
             date: new Date(),
@@ -727,21 +884,21 @@ const addPayment = async (req, res) => {
             type: 'On-Trip Payment',
             amount: paymentAmount,
             advance: 0,
-            balance: tripCreatorBalance, // No change to balance, just informational
             agent: tripCreatorId,
             agentId: tripCreatorId,
             bank: bank || (mode === 'Cash' ? 'Cash' : 'HDFC Bank'),
             direction: 'Debit',
             paymentMadeBy: 'Agent', // Mark as Agent payment
             isInformational: true, // Flag to indicate this entry is informational only (balance not affected)
-          });
+            onTripPayment: addedPayment._id,
+          }], session, ledgerOptions));
           console.log(`Ledger entry created for Trip Creator (Informational): LR ${trip.lrNumber}, Amount ${paymentAmount}, Trip Creator ${tripCreatorId}`);
         }
-      } catch (ledgerError) {
-        console.error(`Error creating ledger entries for Agent On-Trip Payment (non-critical): LR ${trip.lrNumber}, Agent ${targetAgentId}, Error:`, ledgerError);
-        // Continue even if ledger entry creation fails - trip payment is already saved
       }
-    }
+
+      addedPayment.ledgerEntries = linkedEntries.map(entry => entry._id);
+      await trip.save({ session });
+    });
 
     // Populate trip with error handling
     let populatedTrip;
@@ -774,8 +931,8 @@ const addPayment = async (req, res) => {
     // Create audit log (don't fail if this fails)
     try {
       await createAuditLog(
-        userId || targetAgentId,
-        userRole || 'Agent',
+        userId,
+        userRole,
         'Add Payment',
         'Trip',
         trip._id,
@@ -797,29 +954,198 @@ const addPayment = async (req, res) => {
   } catch (error) {
     console.error('Add payment error:', error);
     console.error('Error stack:', error.stack);
-    // If payment was added but response failed, still return success
-    try {
-      const existingTrip = await Trip.findById(req.params.id);
-      if (existingTrip && existingTrip.onTripPayments.length > 0) {
-        // Payment was added, return trip even if there was an error
-        const basicTrip = {
-          ...existingTrip.toObject(),
-          id: existingTrip._id,
-          agentId: targetAgentId || existingTrip.agent,
-          agent: 'Unknown',
-        };
-        return res.json(basicTrip);
-      }
-    } catch (checkError) {
-      console.error('Error checking existing trip:', checkError);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
     }
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
 
+// Ledger entries of a payment that are currently in effect
+const paymentEntriesQuery = (payment) => ({
+  onTripPayment: payment._id,
+  type: { $ne: 'Reversal' },
+  isReversed: { $ne: true },
+});
+
+// Load a trip and one of its on-trip payments for editing or voiding
+const loadTripPayment = async (tripId, paymentId) => {
+  const trip = await Trip.findById(tripId);
+  if (!trip) throw new HttpError(404, 'Trip not found');
+  if (trip.status !== 'Active') {
+    throw new HttpError(400, 'On-trip payments can only be changed on Active trips');
+  }
+
+  const payment = trip.onTripPayments.id(paymentId);
+  if (!payment) throw new HttpError(404, 'Payment not found');
+  if (payment.isVoided) throw new HttpError(400, 'Payment has been voided');
+  if (!payment.ledgerEntries || payment.ledgerEntries.length === 0) {
+    throw new HttpError(400, 'Payment is not linked to its ledger entries yet. Run npm run payments:link first.');
+  }
+
+  return { trip, payment };
+};
+
+// @desc    Edit an on-trip payment (its ledger entries are replaced)
+// @route   PUT /api/trips/:id/payments/:paymentId
+// @access  Private/Finance, Admin
+const updatePayment = async (req, res) => {
+  try {
+    const { amount, reason, mode, bank, correctionReason } = req.body;
+    const { trip, payment } = await loadTripPayment(req.params.id, req.params.paymentId);
+
+    const previous = { amount: payment.amount, reason: payment.reason, mode: payment.mode, bank: payment.bank };
+    if (amount !== undefined) {
+      const paymentAmount = parseFloat(amount);
+      if (isNaN(paymentAmount) || paymentAmount <= 0) {
+        return res.status(400).json({ message: 'amount must be a positive number' });
+      }
+      payment.amount = paymentAmount;
+    }
+    if (reason !== undefined) {
+      if (!String(reason).trim()) {
+        return res.status(400).json({ message: 'reason cannot be empty' });
+      }
+      payment.reason = reason;
+    }
+    if (mode !== undefined) {
+      if (!['Cash', 'Online'].includes(mode)) {
+        return res.status(400).json({ message: "mode must be 'Cash' or 'Online'" });
+      }
+      payment.mode = mode;
+    }
+    if (bank !== undefined) payment.bank = bank;
+
+    const changed = ['amount', 'reason', 'mode', 'bank'].some(field => payment[field] !== previous[field]);
+    if (!changed) {
+      return res.status(400).json({ message: 'No changes to the payment' });
+    }
+
+    payment.editedAt = new Date();
+    payment.editedBy = req.user._id;
+    applyTripSettlement(trip);
+
+    const ledgerOptions = { branch: trip.branch, creditOverride: creditOverrideFromRequest(req) };
+
+    // Replacement entries and the edited payment commit together
+    await withTransaction(async (session) => {
+      const entries = await Ledger.find(paymentEntriesQuery(payment)).session(session);
+      const results = await replaceLedgerEntries(entries, entry => ({
+        description: paymentEntryDescription(entry, payment.reason),
+        amount: payment.amount,
+        bank: paymentBank(payment),
+      }), session, { reason: correctionReason || 'On-trip payment edited', correctedBy: req.user._id, ...ledgerOptions });
+
+      payment.ledgerEntries = results.map(result => result.replacement._id);
+      await trip.save({ session });
+    });
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Edit Payment',
+      'Trip',
+      trip._id,
+      {
+        lrNumber: trip.lrNumber,
+        paymentId: payment._id,
+        previous,
+        updated: { amount: payment.amount, reason: payment.reason, mode: payment.mode, bank: payment.bank },
+        correctionReason: correctionReason || null,
+      },
+      req.ip
+    );
+
+    const populatedTrip = await Trip.findById(trip._id)
+      .populate('agent', 'name email phone branch _id')
+      .populate('agentId', 'name email phone branch _id')
+      .populate('onTripPayments.addedBy', 'name role _id');
+
+    res.json(transformTrip(populatedTrip));
+  } catch (error) {
+    console.error('Edit payment error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Void an on-trip payment (its ledger entries are reversed)
+// @route   POST /api/trips/:id/payments/:paymentId/void
+// @access  Private/Finance, Admin
+const voidPayment = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ message: 'reason is required' });
+    }
+
+    const { trip, payment } = await loadTripPayment(req.params.id, req.params.paymentId);
+    const voidReason = String(reason).trim();
+
+    payment.isVoided = true;
+    payment.voidedAt = new Date();
+    payment.voidedBy = req.user._id;
+    payment.voidReason = voidReason;
+    applyTripSettlement(trip);
+
+    const ledgerOptions = { branch: trip.branch, creditOverride: creditOverrideFromRequest(req) };
+
+    // Reversals and the voided payment commit together
+    const reversals = await withTransaction(async (session) => {
+      const entries = await Ledger.find(paymentEntriesQuery(payment))
+        .sort({ direction: -1, createdAt: 1 }) // Debits first, so the top-up is taken back last
+        .session(session);
+
+      const posted = [];
+      for (const entry of entries) {
+        posted.push(await reverseLedgerEntry(entry, session, {
+          reason: `On-trip payment voided: ${voidReason}`,
+          correctedBy: req.user._id,
+          ...ledgerOptions,
+        }));
+      }
+
+      await trip.save({ session });
+      return posted;
+    });
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Void Payment',
+      'Trip',
+      trip._id,
+      {
+        lrNumber: trip.lrNumber,
+        paymentId: payment._id,
+        amount: payment.amount,
+        reason: voidReason,
+        reversedEntries: reversals.map(reversal => reversal.reversalOf),
+      },
+      req.ip
+    );
+
+    const populatedTrip = await Trip.findById(trip._id)
+      .populate('agent', 'name email phone branch _id')
+      .populate('agentId', 'name email phone branch _id')
+      .populate('onTripPayments.addedBy', 'name role _id');
+
+    res.json({ ...transformTrip(populatedTrip), reversals });
+  } catch (error) {
+    console.error('Void payment error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 // @desc    Update deductions
 // @route   PUT /api/trips/:id/deductions
-// @access  Public
+// @access  Private/Agent
 const updateDeductions = async (req, res) => {
   try {
     const trip = await Trip.findById(req.params.id);
@@ -829,9 +1155,10 @@ const updateDeductions = async (req, res) => {
     }
 
     // Can only update deductions for Active trips
-    if (trip.status === 'Completed') {
-      return res.status(400).json({ message: 'Cannot update deductions for completed trips' });
+    if (trip.status === 'Completed' || trip.status === 'Cancelled') {
+      return res.status(400).json({ message: `Cannot update deductions for ${trip.status.toLowerCase()} trips` });
     }
+    const loadedAt = trip.updatedAt;
 
     // Store old deductions to calculate difference
     const oldDeductions = trip.deductions || {};
@@ -840,165 +1167,146 @@ const updateDeductions = async (req, res) => {
       return sum + (parseFloat(val) || 0);
     }, 0);
 
-    trip.deductions = { ...trip.deductions, ...req.body };
+    // Only accept deduction amounts from the body - who added them comes from the token
+    const deductionUpdates = {};
+    DEDUCTION_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) deductionUpdates[field] = req.body[field];
+    });
+    trip.deductions = {
+      ...(trip.deductions?.toObject ? trip.deductions.toObject() : trip.deductions),
+      ...deductionUpdates,
+      addedBy: req.user._id,
+      addedByRole: req.user.role,
+    };
 
-    // Calculate new totals for logging
-    const newTotalAdditions = (parseFloat(trip.deductions.cess) || 0) +
-      (parseFloat(trip.deductions.kata) || 0) +
-      (parseFloat(trip.deductions.excessTonnage) || 0) +
-      (parseFloat(trip.deductions.halting) || 0) +
-      (parseFloat(trip.deductions.expenses) || 0) +
-      (parseFloat(trip.deductions.others) || 0);
-    const newBetaAmount = parseFloat(trip.deductions.beta) || 0;
+    // Recalculate the trip balance with the new deductions
+    const deductions = trip.deductions || {};
+    const settlement = applyTripSettlement(trip);
+    const totalAdditions = settlement.additions.total;
+    const betaAmount = settlement.beta;
 
     // Debug: Log deductions to verify addedBy is saved
     console.log('Saving deductions for LR:', trip.lrNumber, {
       addedBy: trip.deductions.addedBy,
       addedByRole: trip.deductions.addedByRole,
-      totalAdditions: newTotalAdditions,
-      betaAmount: newBetaAmount
+      totalAdditions,
+      betaAmount
     });
 
-    // Recalculate balance with new logic:
-    // Cess, Kata, Excess Tonnage, Halting, Expenses, Others are ADDED to initial balance
-    // Beta is SUBTRACTED from final balance
-    const deductions = trip.deductions || {};
-    const totalAdditions = (parseFloat(deductions.cess) || 0) +
-      (parseFloat(deductions.kata) || 0) +
-      (parseFloat(deductions.excessTonnage) || 0) +
-      (parseFloat(deductions.halting) || 0) +
-      (parseFloat(deductions.expenses) || 0) +
-      (parseFloat(deductions.others) || 0);
-    const betaAmount = parseFloat(deductions.beta) || 0;
-    const totalPayments = trip.onTripPayments.reduce((sum, p) => sum + (p.amount || 0), 0);
-    const initialBalance = trip.freight - trip.advance;
-    trip.balance = initialBalance + totalAdditions - betaAmount - totalPayments;
-    trip.balanceAmount = trip.balance;
-
-    await trip.save();
-
-    // Create ledger entry for agent who added deductions (whenever deductions are saved)
-    // Get who added the deductions - prioritize req.body (current save) over existing trip data
-    const deductionsAddedBy = req.body.addedBy || trip.deductions?.addedBy || trip.agent;
-    const deductionsAddedByRole = req.body.addedByRole || trip.deductions?.addedByRole || 'Agent';
-
-    // Always create/update ledger entry when deductions are saved (even if updating existing deductions)
-    // This ensures the agent who saved deductions gets the entry in their ledger
-    // New logic: Create separate entries for additions (Credit) and Beta (Debit)
-    if ((totalAdditions > 0 || betaAmount > 0) && deductionsAddedBy && trip.status === 'Active') {
-      try {
-        // Get agent name who added deductions
-        const deductionsAddedByUser = await User.findById(deductionsAddedBy);
-        const deductionsAddedByName = deductionsAddedByUser?.name || 'Unknown Agent';
-
-        // Helper function to get agent balance
-        const getAgentBalance = async (agentId) => {
-          const agentLedger = await Ledger.find({ agent: agentId });
-          return agentLedger.reduce((sum, entry) => {
-            if (entry.direction === 'Credit') {
-              return sum + (entry.amount || 0);
-            } else {
-              return sum - (entry.amount || 0);
-            }
-          }, 0);
-        };
-
-        // Create/update Debit entry for additions (Cess, Kata, Excess Tonnage, Halting, Expenses, Others)
-        if (totalAdditions > 0) {
-          const existingDebitEntry = await Ledger.findOne({
-            $or: [
-              { tripId: trip._id },
-              { lrNumber: trip.lrNumber }
-            ],
-            agent: deductionsAddedBy,
-            agentId: deductionsAddedBy,
-            type: 'Settlement',
-            direction: 'Debit',
-            description: { $not: /Beta|Batta/i }, // Ensure it's not the Beta entry
-          });
-
-          const agentBalance = await getAgentBalance(deductionsAddedBy);
-
-          if (existingDebitEntry) {
-            existingDebitEntry.amount = totalAdditions;
-            existingDebitEntry.description = `Closing additions for ${trip.lrNumber} by ${deductionsAddedByName} (Cess: ${deductions.cess || 0}, Kata: ${deductions.kata || 0}, Excess Tonnage: ${deductions.excessTonnage || 0}, Halting: ${deductions.halting || 0}, Expenses: ${deductions.expenses || 0}, Others: ${deductions.others || 0})`;
-            existingDebitEntry.deductionsAddedBy = deductionsAddedBy;
-            existingDebitEntry.paymentMadeBy = deductionsAddedByRole;
-            await existingDebitEntry.save();
-            const newBalance = await getAgentBalance(deductionsAddedBy);
-            existingDebitEntry.balance = newBalance;
-            await existingDebitEntry.save();
-            console.log(`Debit entry updated for Closing Additions: LR ${trip.lrNumber}, Amount ${totalAdditions}`);
-          } else {
-            await Ledger.create({
-              tripId: trip._id,
-              lrNumber: trip.lrNumber,
+    // Deductions are attributed to the logged-in user who saved them
+    const deductionsAddedBy = req.user._id;
+    const deductionsAddedByRole = req.user.role;
+    const deductionsAddedByName = req.user.name || 'Unknown Agent';
+
+    // Debits are checked against the agent's credit limit for the trip's branch
+    const ledgerOptions = { branch: trip.branch, creditOverride: creditOverrideFromRequest(req) };
+
+    // Trip deductions, their ledger entries and the agent's wallet commit together
+    await withTransaction(async (session) => {
+      await assertTripUnchanged(trip, loadedAt, ['Pending', 'Active', 'In Dispute'], session);
+      await trip.save({ session });
+
+      // Always create/update ledger entry when deductions are saved (even if updating existing deductions)
+      // This ensures the agent who saved deductions gets the entry in their ledger
+      // New logic: Create separate entries for additions (Credit) and Beta (Debit)
+      if (!(totalAdditions > 0 || betaAmount > 0) || trip.status !== 'Active') return;
+
+      // Create/update Debit entry for additions (Cess, Kata, Excess Tonnage, Halting, Expenses, Others)
+      if (totalAdditions > 0) {
+        const additionsDescription = `Closing additions for ${trip.lrNumber} by ${deductionsAddedByName} (Cess: ${deductions.cess || 0}, Kata: ${deductions.kata || 0}, Excess Tonnage: ${deductions.excessTonnage || 0}, Halting: ${deductions.halting || 0}, Expenses: ${deductions.expenses || 0}, Others: ${deductions.others || 0})`;
+        const existingDebitEntry = await Ledger.findOne({
+          $or: [
+            { tripId: trip._id },
+            { lrNumber: trip.lrNumber }
+          ],
+          agent: deductionsAddedBy,
+          agentId: deductionsAddedBy,
+          type: 'Settlement',
+          direction: 'Debit',
+          description: { $not: /Beta|Batta/i }, // Ensure it's not the Beta entry
+          isReversed: { $ne: true },
+        }).session(session);
+
+        if (existingDebitEntry) {
+          // Posted entries are never edited - reverse and re-post with the new figures
+          if (existingDebitEntry.amount !== totalAdditions || existingDebitEntry.description !== additionsDescription) {
+            await replaceLedgerEntry(existingDebitEntry, {
               date: new Date(),
-              description: `Closing additions for ${trip.lrNumber} by ${deductionsAddedByName} (Cess: ${deductions.cess || 0}, Kata: ${deductions.kata || 0}, Excess Tonnage: ${deductions.excessTonnage || 0}, Halting: ${deductions.halting || 0}, Expenses: ${deductions.expenses || 0}, Others: ${deductions.others || 0})`,
-              type: 'Settlement',
+              description: additionsDescription,
               amount: totalAdditions,
-              advance: 0,
-              balance: agentBalance - totalAdditions, // Debit reduces balance
-              agent: deductionsAddedBy,
-              agentId: deductionsAddedBy,
-              bank: 'HDFC Bank',
-              direction: 'Debit',
               paymentMadeBy: deductionsAddedByRole,
               deductionsAddedBy: deductionsAddedBy,
-            });
-            console.log(`Debit entry created for Closing Additions: LR ${trip.lrNumber}, Amount ${totalAdditions}`);
+            }, session, { reason: 'Closing deductions updated', correctedBy: req.user._id, ...ledgerOptions });
+            console.log(`Debit entry updated for Closing Additions: LR ${trip.lrNumber}, Amount ${totalAdditions}`);
           }
-        }
-
-        // Create/update Debit entry for Beta
-        if (betaAmount > 0) {
-          const existingBetaEntry = await Ledger.findOne({
-            $or: [
-              { tripId: trip._id },
-              { lrNumber: trip.lrNumber }
-            ],
+        } else {
+          await postLedgerEntries([{
+            tripId: trip._id,
+            lrNumber: trip.lrNumber,
+            date: new Date(),
+            description: additionsDescription,
+            type: 'Settlement',
+            amount: totalAdditions,
+            advance: 0,
             agent: deductionsAddedBy,
             agentId: deductionsAddedBy,
-            type: 'Settlement',
+            bank: 'HDFC Bank',
             direction: 'Debit',
-            description: { $regex: /Beta|Batta/i },
-          });
-
-          const agentBalance = await getAgentBalance(deductionsAddedBy);
+            paymentMadeBy: deductionsAddedByRole,
+            deductionsAddedBy: deductionsAddedBy,
+          }], session, ledgerOptions);
+          console.log(`Debit entry created for Closing Additions: LR ${trip.lrNumber}, Amount ${totalAdditions}`);
+        }
+      }
 
-          if (existingBetaEntry) {
-            existingBetaEntry.amount = betaAmount;
-            existingBetaEntry.description = `Beta/Batta deduction for ${trip.lrNumber} by ${deductionsAddedByName} (Beta: ${betaAmount})`;
-            existingBetaEntry.deductionsAddedBy = deductionsAddedBy;
-            existingBetaEntry.paymentMadeBy = deductionsAddedByRole;
-            const newBalance = await getAgentBalance(deductionsAddedBy);
-            existingBetaEntry.balance = newBalance;
-            await existingBetaEntry.save();
-            console.log(`Debit entry updated for Beta: LR ${trip.lrNumber}, Amount ${betaAmount}`);
-          } else {
-            await Ledger.create({
-              tripId: trip._id,
-              lrNumber: trip.lrNumber,
+      // Create/update Debit entry for Beta
+      if (betaAmount > 0) {
+        const betaDescription = `Beta/Batta deduction for ${trip.lrNumber} by ${deductionsAddedByName} (Beta: ${betaAmount})`;
+        const existingBetaEntry = await Ledger.findOne({
+          $or: [
+            { tripId: trip._id },
+            { lrNumber: trip.lrNumber }
+          ],
+          agent: deductionsAddedBy,
+          agentId: deductionsAddedBy,
+          type: 'Settlement',
+          direction: 'Debit',
+          description: { $regex: /Beta|Batta/i },
+          isReversed: { $ne: true },
+        }).session(session);
+
+        if (existingBetaEntry) {
+          // Posted entries are never edited - reverse and re-post with the new figures
+          if (existingBetaEntry.amount !== betaAmount || existingBetaEntry.description !== betaDescription) {
+            await replaceLedgerEntry(existingBetaEntry, {
               date: new Date(),
-              description: `Beta/Batta deduction for ${trip.lrNumber} by ${deductionsAddedByName} (Beta: ${betaAmount})`,
-              type: 'Settlement',
+              description: betaDescription,
               amount: betaAmount,
-              advance: 0,
-              balance: agentBalance - betaAmount,
-              agent: deductionsAddedBy,
-              agentId: deductionsAddedBy,
-              bank: 'HDFC Bank',
-              direction: 'Debit',
               paymentMadeBy: deductionsAddedByRole,
               deductionsAddedBy: deductionsAddedBy,
-            });
-            console.log(`Debit entry created for Beta: LR ${trip.lrNumber}, Amount ${betaAmount}`);
+            }, session, { reason: 'Closing deductions updated', correctedBy: req.user._id, ...ledgerOptions });
+            console.log(`Debit entry updated for Beta: LR ${trip.lrNumber}, Amount ${betaAmount}`);
           }
+        } else {
+          await postLedgerEntries([{
+            tripId: trip._id,
+            lrNumber: trip.lrNumber,
+            date: new Date(),
+            description: betaDescription,
+            type: 'Settlement',
+            amount: betaAmount,
+            advance: 0,
+            agent: deductionsAddedBy,
+            agentId: deductionsAddedBy,
+            bank: 'HDFC Bank',
+            direction: 'Debit',
+            paymentMadeBy: deductionsAddedByRole,
+            deductionsAddedBy: deductionsAddedBy,
+          }], session, ledgerOptions);
+          console.log(`Debit entry created for Beta: LR ${trip.lrNumber}, Amount ${betaAmount}`);
         }
-      } catch (ledgerError) {
-        console.error(`Error creating ledger entry for Closing Deductions (non-critical): LR ${trip.lrNumber}, Error:`, ledgerError);
       }
-    }
+    });
 
     // Populate trip with error handling
     let populatedTrip;
@@ -1027,16 +1335,14 @@ const updateDeductions = async (req, res) => {
 
     // Create audit log (don't fail if this fails)
     try {
-      const userId = req.body.userId || trip.agent || null;
-      const userRole = req.body.userRole || 'Agent';
       await createAuditLog(
-        userId,
-        userRole,
+        req.user._id,
+        req.user.role,
         'Update Deductions',
         'Trip',
         trip._id,
         {
-          deductions: req.body,
+          deductions: deductionUpdates,
           lrNumber: trip.lrNumber,
         },
         req.ip
@@ -1049,28 +1355,49 @@ const updateDeductions = async (req, res) => {
   } catch (error) {
     console.error('Update deductions error:', error);
     console.error('Error stack:', error.stack);
-    // If trip was updated but response failed, still return success
-    try {
-      const existingTrip = await Trip.findById(req.params.id);
-      if (existingTrip) {
-        const basicTrip = {
-          ...existingTrip.toObject(),
-          id: existingTrip._id,
-          agentId: existingTrip.agent,
-          agent: 'Unknown',
-        };
-        return res.json(basicTrip);
-      }
-    } catch (checkError) {
-      console.error('Error checking existing trip:', checkError);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
     }
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
 
+// @desc    Get trip lifecycle (statuses, allowed transitions, roles and side effects)
+// @route   GET /api/trips/lifecycle
+// @access  Private
+const getTripLifecycle = async (req, res) => {
+  res.json(describeLifecycle());
+};
+
+// @desc    Preview trip settlement (balance breakdown as closing would compute it)
+// @route   GET /api/trips/:id/settlement
+// @access  Private
+const getTripSettlement = async (req, res) => {
+  try {
+    const trip = await Trip.findById(req.params.id);
+
+    if (!trip) {
+      return res.status(404).json({ message: 'Trip not found' });
+    }
+
+    res.json({
+      tripId: trip._id,
+      lrNumber: trip.lrNumber,
+      status: trip.status,
+      isBulk: trip.isBulk,
+      ...calculateTripSettlement(trip),
+      // What was recorded when the trip was closed, if it has been
+      closedFinalBalance: trip.status === 'Completed' ? trip.finalBalance : null,
+    });
+  } catch (error) {
+    console.error('Get trip settlement error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 // @desc    Close trip
 // @route   POST /api/trips/:id/close
-// @access  Public
+// @access  Private/Agent (own trip), Admin
 const closeTrip = async (req, res) => {
   try {
     const trip = await Trip.findById(req.params.id);
@@ -1079,7 +1406,19 @@ const closeTrip = async (req, res) => {
       return res.status(404).json({ message: 'Trip not found' });
     }
 
-    const { forceClose, closedBy, closedByRole } = req.body;
+    // Agents may only close their own trips
+    if (req.user.role === 'Agent' && !isOwner(req.user, trip.agent)) {
+      return res.status(403).json({ message: 'Agents can only close their own trips' });
+    }
+
+    // Only Admin may override an open dispute
+    const forceClose = Boolean(req.body.forceClose) && req.user.role === 'Admin';
+    const closeAction = forceClose && trip.status === 'In Dispute' ? 'forceClose' : 'close';
+    assertTransition(trip, closeAction, req.user);
+    const loadedStatus = trip.status;
+    const loadedAt = trip.updatedAt;
+    const closedBy = req.user._id;
+    const closedByRole = req.user.role;
     const tripCreatorId = trip.agent || trip.agentId;
 
     // Check if trip has open dispute
@@ -1090,14 +1429,14 @@ const closeTrip = async (req, res) => {
 
     // Allow force close if forceClose flag is set (for Admin/Finance)
     if (openDispute && !forceClose) {
-      return res.status(400).json({ message: 'Cannot close trip with open dispute. Use forceClose=true for Admin/Finance override.' });
+      return res.status(400).json({ message: 'Cannot close trip with open dispute. Use forceClose=true for Admin override.' });
     }
 
     // Handle Bulk trips - mark as Completed directly
     if (trip.isBulk) {
-      trip.status = 'Completed';
+      transitionTrip(trip, closeAction, req.user);
       trip.closedAt = new Date();
-      trip.closedBy = trip.agent; // Use trip's agent
+      trip.closedBy = closedBy;
       await trip.save();
 
       // Populate trip with error handling
@@ -1128,52 +1467,19 @@ const closeTrip = async (req, res) => {
       return res.json(transformedTrip);
     }
 
-    // For Regular trips - calculate final balance with new logic:
-    // Cess, Kata, Excess Tonnage, Halting, Expenses, Others are ADDED to initial balance
-    // Beta is SUBTRACTED from final balance
+    // For Regular trips - final balance from the shared settlement calculator
     const deductions = trip.deductions || {};
-    const betaAmount = parseFloat(deductions.beta) || 0;
-
-    // Calculate total additions (Cess, Kata, Excess Tonnage, Halting, Expenses, Others)
-    const totalAdditions = (parseFloat(deductions.cess) || 0) +
-      (parseFloat(deductions.kata) || 0) +
-      (parseFloat(deductions.excessTonnage) || 0) +
-      (parseFloat(deductions.halting) || 0) +
-      (parseFloat(deductions.expenses) || 0) +
-      (parseFloat(deductions.others) || 0);
-
-    // Separate Finance payments from Agent payments
-    // Finance payments are already credited to agent wallet, so don't deduct from finalBalance
-    const agentPayments = trip.onTripPayments
-      .filter(p => p.addedByRole !== 'Finance')
-      .reduce((sum, p) => sum + (p.amount || 0), 0);
-
-    const financePayments = trip.onTripPayments
-      .filter(p => p.addedByRole === 'Finance')
-      .reduce((sum, p) => sum + (p.amount || 0), 0);
-
-    const totalPayments = trip.onTripPayments.reduce((sum, p) => sum + (p.amount || 0), 0);
-    const initialBalance = trip.freight - trip.advance;
-
-    // Final balance calculation with new logic:
-    // Initial Balance + (Cess + Kata + Excess Tonnage + Halting + Expenses + Others) - Beta - Agent Payments + Finance Payments
-    // Finance payments are NOT deducted because they're already credited to agent wallet
-    // Finance payments should INCREASE the final settlement amount
-    const finalBalance = initialBalance + totalAdditions - betaAmount - agentPayments + financePayments;
+    const settlement = applyTripSettlement(trip);
+    const betaAmount = settlement.beta;
+    const totalAdditions = settlement.additions.total;
+    const finalBalance = settlement.finalBalance;
 
     // Validation: Agent can only close when finalBalance === 0
     // If finalBalance > 0, closing agent must have enough balance to pay
     if (closedByRole === 'Agent' && Math.abs(finalBalance) > 0.01) {
       if (finalBalance > 0.01) {
         // Need to pay final amount - check closing agent's balance
-        const closingAgentLedger = await Ledger.find({ agent: closedBy });
-        const closingAgentBalance = closingAgentLedger.reduce((sum, entry) => {
-          if (entry.direction === 'Credit') {
-            return sum + (entry.amount || 0);
-          } else {
-            return sum - (entry.amount || 0);
-          }
-        }, 0);
+        const closingAgentBalance = await getWalletBalance(closedBy);
 
         if (closingAgentBalance < finalBalance) {
           return res.status(400).json({
@@ -1195,33 +1501,20 @@ const closeTrip = async (req, res) => {
     // Get who added closing deductions
     const deductionsAddedBy = deductions.addedBy || trip.agent;
     const deductionsAddedByRole = deductions.addedByRole || 'Agent';
-    // tripCreatorId already declared above (line 774)
-
-    // Create ledger entries for closing deductions (if any deductions were added)
-    // Note: Entry for agent who added deductions is already created in updateDeductions
-    // Here we only create entry for trip creator (if different from agent who added deductions)
-    // New logic: Entries are already created in updateDeductions with separate Credit (additions) and Debit (beta) entries
-    // So we just need to verify/update balances here if needed
-    if ((totalAdditions > 0 || betaAmount > 0) && String(tripCreatorId).trim() !== String(deductionsAddedBy).trim()) {
-      try {
-        // Get agent name who added deductions for description
-        const deductionsAddedByUser = await User.findById(deductionsAddedBy);
-        const deductionsAddedByName = deductionsAddedByUser?.name || 'Unknown Agent';
-
-        // Create entries for trip creator (if different from agent who added deductions)
-        // New logic: Create separate Credit (additions) and Debit (beta) entries
-        // Helper function to get agent balance
-        const getAgentBalance = async (agentId) => {
-          const agentLedger = await Ledger.find({ agent: agentId });
-          return agentLedger.reduce((sum, entry) => {
-            if (entry.direction === 'Credit') {
-              return sum + (entry.amount || 0);
-            } else {
-              return sum - (entry.amount || 0);
-            }
-          }, 0);
-        };
+    const deductionsAddedByUser = await User.findById(deductionsAddedBy);
+    const deductionsAddedByName = deductionsAddedByUser?.name || 'Unknown Agent';
+
+    // Debits are checked against the agent's credit limit for the trip's branch
+    const ledgerOptions = { branch: trip.branch, creditOverride: creditOverrideFromRequest(req) };
+
+    // Closing the trip and all settlement entries commit together
+    await withTransaction(async (session) => {
+      const current = await assertTripUnchanged(trip, loadedAt, [loadedStatus], session);
 
+      // Create ledger entries for closing deductions (if any deductions were added)
+      // Note: Entry for agent who added deductions is already created in updateDeductions
+      // Here we only create entry for trip creator (if different from agent who added deductions)
+      if ((totalAdditions > 0 || betaAmount > 0) && String(tripCreatorId).trim() !== String(deductionsAddedBy).trim()) {
         // Create Debit entry for additions (if any)
         if (totalAdditions > 0) {
           const existingDebitEntry = await Ledger.findOne({
@@ -1230,11 +1523,11 @@ const closeTrip = async (req, res) => {
             type: 'Settlement',
             direction: 'Debit',
             description: { $not: /Beta|Batta/i },
-          });
+            isReversed: { $ne: true },
+          }).session(session);
 
           if (!existingDebitEntry) {
-            const tripCreatorBalance = await getAgentBalance(tripCreatorId);
-            await Ledger.create({
+            await postLedgerEntries([{
               tripId: trip._id,
               lrNumber: trip.lrNumber,
               date: new Date(),
@@ -1242,14 +1535,13 @@ const closeTrip = async (req, res) => {
               type: 'Settlement',
               amount: totalAdditions,
               advance: 0,
-              balance: tripCreatorBalance - totalAdditions,
               agent: tripCreatorId,
               agentId: tripCreatorId,
               bank: 'HDFC Bank',
               direction: 'Debit',
               paymentMadeBy: deductionsAddedByRole,
               deductionsAddedBy: deductionsAddedBy,
-            });
+            }], session, ledgerOptions);
             console.log(`Debit entry created for Trip Creator: LR ${trip.lrNumber}, Amount ${totalAdditions}`);
           }
         }
@@ -1262,11 +1554,11 @@ const closeTrip = async (req, res) => {
             type: 'Settlement',
             direction: 'Debit',
             description: { $regex: /Beta|Batta/i },
-          });
+            isReversed: { $ne: true },
+          }).session(session);
 
           if (!existingBetaEntry) {
-            const tripCreatorBalance = await getAgentBalance(tripCreatorId);
-            await Ledger.create({
+            await postLedgerEntries([{
               tripId: trip._id,
               lrNumber: trip.lrNumber,
               date: new Date(),
@@ -1274,88 +1566,62 @@ const closeTrip = async (req, res) => {
               type: 'Settlement',
               amount: betaAmount,
               advance: 0,
-              balance: tripCreatorBalance - betaAmount,
               agent: tripCreatorId,
               agentId: tripCreatorId,
               bank: 'HDFC Bank',
               direction: 'Debit',
               paymentMadeBy: deductionsAddedByRole,
               deductionsAddedBy: deductionsAddedBy,
-            });
+            }], session, ledgerOptions);
             console.log(`Debit entry created for Trip Creator (Beta): LR ${trip.lrNumber}, Amount ${betaAmount}`);
           }
         }
-      } catch (ledgerError) {
-        console.error(`Error creating ledger entries for Closing Deductions (non-critical): LR ${trip.lrNumber}, Error:`, ledgerError);
       }
-    }
 
-    trip.status = 'Completed';
-    trip.finalBalance = finalBalance;
-    trip.closedAt = new Date();
-    trip.closedBy = closedBy || trip.agent; // Store who closed the trip
-    await trip.save();
-
-    // Create final settlement ledger entry (Trip Closed)
-    // This entry goes to the agent who closed the trip (not trip creator)
-    const closingAgentId = closedBy || trip.agent;
-    try {
-      const closingAgentLedger = await Ledger.find({ agent: closingAgentId });
-      const closingAgentBalance = closingAgentLedger.reduce((sum, entry) => {
-        if (entry.direction === 'Credit') {
-          return sum + (entry.amount || 0);
-        } else {
-          return sum - (entry.amount || 0);
-        }
-      }, 0);
-
-      await Ledger.create({
+      applyTripSettlement(current);
+      transitionTrip(current, closeAction, req.user);
+      current.finalBalance = finalBalance;
+      current.closedAt = new Date();
+      current.closedBy = closedBy; // Store who closed the trip
+      await current.save({ session });
+
+      // Create final settlement ledger entry (Trip Closed)
+      // This entry goes to the agent who closed the trip (not trip creator)
+      const closingAgentId = closedBy;
+      await postLedgerEntries([{
         tripId: trip._id,
         lrNumber: trip.lrNumber,
         date: new Date(),
-        description: `Trip closed - Final settlement for ${trip.lrNumber} (Closed by: ${closedByRole || 'Agent'})`,
+        description: `Trip closed - Final settlement for ${trip.lrNumber} (Closed by: ${closedByRole})`,
         type: 'Trip Closed',
         amount: finalBalance,
         advance: 0,
-        balance: closingAgentBalance, // No change to balance (informational only)
         agent: closingAgentId,
         agentId: closingAgentId,
         bank: 'HDFC Bank',
         direction: 'Debit',
-        paymentMadeBy: closedByRole || 'Agent', // Track who closed the trip
+        paymentMadeBy: closedByRole, // Track who closed the trip
         isInformational: true, // Mark as informational (balance not affected)
-      });
+      }], session, ledgerOptions);
       console.log(`Ledger entry created for Trip Closed: LR ${trip.lrNumber}, Amount ${finalBalance}, Closed by ${closingAgentId}`);
-    } catch (ledgerError) {
-      console.error(`Error creating ledger entry for Trip Closed (non-critical): LR ${trip.lrNumber}, Error:`, ledgerError);
-    }
 
-    // Beta/Batta Credit Back
-    if (betaAmount > 0) {
-      const agentLedger = await Ledger.find({ agent: trip.agent });
-      const agentBalance = agentLedger.reduce((sum, entry) => {
-        if (entry.direction === 'Credit') {
-          return sum + (entry.amount || 0);
-        } else {
-          return sum - (entry.amount || 0);
-        }
-      }, 0);
-
-      await Ledger.create({
-        tripId: trip._id,
-        lrNumber: trip.lrNumber,
-        date: new Date(),
-        description: `Beta/Batta credited back for ${trip.lrNumber}`,
-        type: 'Beta/Batta Credit',
-        amount: betaAmount,
-        advance: 0,
-        balance: agentBalance + betaAmount,
-        agent: trip.agent,
-        agentId: trip.agent,
-        bank: 'HDFC Bank',
-        direction: 'Credit',
-      });
-    }
+      // Beta/Batta Credit Back
+      if (betaAmount > 0) {
+        await postLedgerEntries([{
+          tripId: trip._id,
+          lrNumber: trip.lrNumber,
+          date: new Date(),
+          description: `Beta/Batta credited back for ${trip.lrNumber}`,
+          type: 'Beta/Batta Credit',
+          amount: betaAmount,
+          advance: 0,
+          agent: trip.agent,
+          agentId: trip.agent,
+          bank: 'HDFC Bank',
+          direction: 'Credit',
+        }], session, ledgerOptions);
+      }
+    });
 
     // Populate trip with error handling
     let populatedTrip;
@@ -1384,18 +1650,16 @@ const closeTrip = async (req, res) => {
 
     // Create audit log (don't fail if this fails)
     try {
-      const userId = req.body.userId || trip.agent || null;
-      const userRole = req.body.userRole || 'Agent';
       await createAuditLog(
-        userId,
-        userRole,
+        req.user._id,
+        req.user.role,
         'Close Trip',
         'Trip',
         trip._id,
         {
           lrNumber: trip.lrNumber,
           finalBalance,
-          forceClose: forceClose || false,
+          forceClose,
         },
         req.ip
       );
@@ -1407,29 +1671,192 @@ const closeTrip = async (req, res) => {
   } catch (error) {
     console.error('Close trip error:', error);
     console.error('Error stack:', error.stack);
-    // If trip was closed but response failed, still return success
-    try {
-      const existingTrip = await Trip.findById(req.params.id);
-      if (existingTrip && existingTrip.status === 'Completed') {
-        // Trip was closed, return it even if there was an error
-        const basicTrip = {
-          ...existingTrip.toObject(),
-          id: existingTrip._id,
-          agentId: existingTrip.agent,
-          agent: 'Unknown',
-        };
-        return res.json(basicTrip);
-      }
-    } catch (checkError) {
-      console.error('Error checking existing trip:', checkError);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
     }
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
 
+// @desc    Reopen a completed trip for corrections
+// @route   POST /api/trips/:id/reopen
+// @access  Private/Admin
+const reopenTrip = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ message: 'reason is required' });
+    }
+
+    const trip = await Trip.findById(req.params.id);
+
+    if (!trip) {
+      return res.status(404).json({ message: 'Trip not found' });
+    }
+
+    assertTransition(trip, 'reopen', req.user);
+    const loadedAt = trip.updatedAt;
+
+    // Corrections would no longer match what the customer was billed
+    if (trip.invoice) {
+      return res.status(400).json({ message: `Trip is billed on invoice ${trip.invoiceNumber}; cancel the invoice before reopening it` });
+    }
+
+    const reopenReason = String(reason).trim();
+    const ledgerOptions = { branch: trip.branch, creditOverride: creditOverrideFromRequest(req) };
+
+    // Undo what closeTrip posted so closing again starts from a clean slate
+    const reversals = await withTransaction(async (session) => {
+      const current = await assertTripUnchanged(trip, loadedAt, ['Completed'], session);
+      const closingEntries = await Ledger.find({
+        tripId: trip._id,
+        isReversed: { $ne: true },
+        $or: [
+          { type: { $in: ['Trip Closed', 'Beta/Batta Credit'] } },
+          // Trip creator's settlement debits - those saved through
+          // updateDeductions belong to the agent who added the deductions
+          { type: 'Settlement', deductionsAddedBy: { $ne: null }, $expr: { $ne: ['$agent', '$deductionsAddedBy'] } },
+        ],
+      }).sort({ direction: -1, createdAt: 1 }).session(session); // Debits first, so credits are taken back last
+
+      const posted = [];
+      for (const entry of closingEntries) {
+        posted.push(await reverseLedgerEntry(entry, session, {
+          reason: `Trip ${trip.lrNumber} reopened: ${reopenReason}`,
+          correctedBy: req.user._id,
+          ...ledgerOptions,
+        }));
+      }
+
+      transitionTrip(current, 'reopen', req.user, reopenReason);
+      current.finalBalance = 0;
+      current.closedAt = undefined;
+      current.closedBy = undefined;
+      current.reopenedAt = new Date();
+      current.reopenedBy = req.user._id;
+      current.reopenReason = reopenReason;
+      await current.save({ session });
+
+      return posted;
+    });
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Reopen Trip',
+      'Trip',
+      trip._id,
+      {
+        lrNumber: trip.lrNumber,
+        reason: reopenReason,
+        reversedEntries: reversals.map(reversal => reversal.reversalOf),
+      },
+      req.ip
+    );
+
+    const populatedTrip = await Trip.findById(trip._id)
+      .populate('agent', 'name email phone branch _id')
+      .populate('agentId', 'name email phone branch _id');
+
+    res.json({ ...transformTrip(populatedTrip), reversals });
+  } catch (error) {
+    console.error('Reopen trip error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Cancel trip and reverse its ledger entries
+// @route   POST /api/trips/:id/cancel
+// @access  Private/Admin
+const cancelTrip = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ message: 'reason is required' });
+    }
+
+    const trip = await Trip.findById(req.params.id);
+
+    if (!trip) {
+      return res.status(404).json({ message: 'Trip not found' });
+    }
+
+    assertTransition(trip, 'cancel', req.user);
+    const loadedStatus = trip.status;
+    const loadedAt = trip.updatedAt;
+
+    const openDispute = await Dispute.findOne({ tripId: trip._id, status: 'Open' });
+    if (openDispute) {
+      return res.status(400).json({ message: 'Cannot cancel trip with open dispute. Resolve the dispute first.' });
+    }
+
+    const cancellationReason = String(reason).trim();
+    const ledgerOptions = { branch: trip.branch, creditOverride: creditOverrideFromRequest(req) };
+
+    // Reversals and the status change commit together
+    const reversals = await withTransaction(async (session) => {
+      const current = await assertTripUnchanged(trip, loadedAt, [loadedStatus], session);
+      const entries = await Ledger.find({
+        tripId: trip._id,
+        type: { $ne: 'Reversal' },
+        isReversed: { $ne: true },
+        isInformational: { $ne: true },
+      }).sort({ direction: -1, createdAt: 1 }).session(session); // Debits first, so credits are taken back last
+
+      const posted = [];
+      for (const entry of entries) {
+        posted.push(await reverseLedgerEntry(entry, session, {
+          reason: `Trip ${trip.lrNumber} cancelled: ${cancellationReason}`,
+          correctedBy: req.user._id,
+          ...ledgerOptions,
+        }));
+      }
+
+      transitionTrip(current, 'cancel', req.user, cancellationReason);
+      current.cancelledAt = new Date();
+      current.cancelledBy = req.user._id;
+      current.cancellationReason = cancellationReason;
+      await current.save({ session });
+
+      return posted;
+    });
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Cancel Trip',
+      'Trip',
+      trip._id,
+      {
+        lrNumber: trip.lrNumber,
+        reason: cancellationReason,
+        reversedEntries: reversals.map(reversal => reversal.reversalOf),
+      },
+      req.ip
+    );
+
+    const populatedTrip = await Trip.findById(trip._id)
+      .populate('agent', 'name email phone branch _id')
+      .populate('agentId', 'name email phone branch _id');
+
+    res.json({ ...transformTrip(populatedTrip), reversals });
+  } catch (error) {
+    console.error('Cancel trip error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 // @desc    Add attachment
 // @route   POST /api/trips/:id/attachments
-// @access  Public
+// @access  Private/Finance, Admin
 const addAttachment = async (req, res) => {
   try {
     const trip = await Trip.findById(req.params.id);
@@ -1450,13 +1877,11 @@ const addAttachment = async (req, res) => {
     console.log('DEBUG: addAttachment called');
     console.log('DEBUG: req.file:', req.file);
 
-    const { uploadedBy } = req.body; // Get uploadedBy from body
-
     const attachment = {
       filename: req.file.filename,
       originalName: req.file.originalname,
       path: req.file.path,
-      uploadedBy: uploadedBy || trip.agent, // Use uploadedBy from body or trip's agent
+      uploadedBy: req.user._id,
     };
 
     console.log('DEBUG: Attachment object to push:', attachment);
@@ -1509,11 +1934,18 @@ module.exports = {
   getTrips,
   getTrip,
   createTrip,
+  importTrips,
   updateTrip,
   deleteTrip,
   addPayment,
+  updatePayment,
+  voidPayment,
   updateDeductions,
   closeTrip,
+  reopenTrip,
+  cancelTrip,
+  getTripLifecycle,
+  getTripSettlement,
   addAttachment,
   deleteAttachment,
   getCompanyNames,
@@ -1,5 +1,7 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const { createAuditLog } = require('../middleware/auditLog');
+const { isOwner } = require('../utils/permissions');
 
 // @desc    Get all users
 // @route   GET /api/users
@@ -31,7 +33,7 @@ const getUsers = async (req, res) => {
 
 // @desc    Get all agents (for dropdowns/filters)
 // @route   GET /api/users/agents
-// @access  Public
+// @access  Private
 const getAgents = async (req, res) => {
   try {
     const { branchId } = req.query; // Optional branch filter
@@ -93,7 +95,7 @@ const getUser = async (req, res) => {
 
 // @desc    Create user
 // @route   POST /api/users
-// @access  Public
+// @access  Private/Admin
 const createUser = async (req, res) => {
   try {
     const { name, email, password, phone, role, branchId } = req.body; // Frontend se branchId aayega (not branch name)
@@ -131,11 +133,9 @@ const createUser = async (req, res) => {
 
     // Create audit log (don't fail if this fails)
     try {
-      const userId = req.body.userId || null;
-      const userRole = req.body.userRole || 'Admin';
       await createAuditLog(
-        userId,
-        userRole,
+        req.user._id,
+        req.user.role,
         'Create User',
         'User',
         user._id,
@@ -191,10 +191,21 @@ const createUser = async (req, res) => {
 
 // @desc    Update user
 // @route   PUT /api/users/:id
-// @access  Public
+// @access  Private/Admin, self
 const updateUser = async (req, res) => {
   try {
     const { name, email, password, phone, role, branchId } = req.body; // Frontend se branchId aayega
+
+    // Non-admins may only update their own profile and cannot change roles
+    if (req.user.role !== 'Admin') {
+      if (!isOwner(req.user, req.params.id)) {
+        return res.status(403).json({ message: 'You can only update your own profile' });
+      }
+      if (role && role !== req.user.role) {
+        return res.status(403).json({ message: 'You cannot change your own role' });
+      }
+    }
+
     const user = await User.findById(req.params.id);
 
     if (!user) {
@@ -209,21 +220,30 @@ const updateUser = async (req, res) => {
       }
     }
 
-    user.name = name || user.name;
-    user.email = email ? email.toLowerCase() : user.email;
-    user.phone = phone || user.phone;
-    user.role = role || user.role;
-
-    // Update branch based on role and branchId
-    if (role === 'Agent' && branchId) {
+    // Branch changes only when the body asks for one: a profile update without
+    // role/branchId keeps the agent's branch (LR series, credit limits, ...)
+    let branchName;
+    if (branchId) {
       const Branch = require('../models/Branch');
       const branch = await Branch.findById(branchId);
       if (!branch) {
         return res.status(404).json({ message: 'Branch not found' });
       }
-      user.branch = branch.name;
-    } else if (role !== 'Agent') {
+      branchName = branch.name;
+      if (req.user.role !== 'Admin' && branchName !== user.branch) {
+        return res.status(403).json({ message: 'You cannot change your own branch' });
+      }
+    }
+
+    user.name = name || user.name;
+    user.email = email ? email.toLowerCase() : user.email;
+    user.phone = phone || user.phone;
+    user.role = role || user.role;
+
+    if (role && user.role !== 'Agent') {
       user.branch = null;
+    } else if (branchName && user.role === 'Agent') {
+      user.branch = branchName;
     }
 
     // Update password if provided
@@ -241,12 +261,9 @@ const updateUser = async (req, res) => {
 
     // Create audit log - wrap in try/catch to prevent failure if audit log fails
     try {
-      const userId = req.body.userId || updatedUser._id;
-      const userRole = req.body.userRole || user.role;
-
       await createAuditLog(
-        userId,
-        userRole,
+        req.user._id,
+        req.user.role,
         'Update User',
         'User',
         updatedUser._id,
@@ -284,7 +301,7 @@ const updateUser = async (req, res) => {
 
 // @desc    Delete user
 // @route   DELETE /api/users/:id
-// @access  Public
+// @access  Private/Admin
 const deleteUser = async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
@@ -294,14 +311,9 @@ const deleteUser = async (req, res) => {
     }
 
     // Create audit log before deleting
-    // Try to get userId and userRole from body (for DELETE requests, body might be empty)
-    // Also check query params as fallback
-    const userId = req.body?.userId || req.query?.userId || null;
-    const userRole = req.body?.userRole || req.query?.userRole || 'Admin';
-
     await createAuditLog(
-      userId,
-      userRole,
+      req.user._id,
+      req.user.role,
       'Delete User',
       'User',
       user._id,
@@ -322,6 +334,181 @@ const deleteUser = async (req, res) => {
   }
 };
 
+// @desc    Set an agent's credit limit (default and per branch)
+// @route   PUT /api/users/:id/credit-limit
+// @access  Private/Finance, Admin
+const setCreditLimit = async (req, res) => {
+  try {
+    const { creditLimit, branchLimits } = req.body;
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user.role !== 'Agent') {
+      return res.status(400).json({ message: 'Credit limits apply to agents only' });
+    }
+    const previous = { creditLimit: user.creditLimit, branchCreditLimits: user.branchCreditLimits.toObject() };
+
+    // null/'' clears the default limit
+    if (creditLimit !== undefined) {
+      const limit = creditLimit === null || creditLimit === '' ? null : parseFloat(creditLimit);
+      if (limit !== null && (isNaN(limit) || limit < 0)) {
+        return res.status(400).json({ message: 'creditLimit must be zero, a positive number or null' });
+      }
+      user.creditLimit = limit;
+    }
+
+    // Replaces the whole list of branch limits
+    if (branchLimits !== undefined) {
+      if (!Array.isArray(branchLimits)) {
+        return res.status(400).json({ message: 'branchLimits must be an array of { branchId, limit }' });
+      }
+      const Branch = require('../models/Branch');
+      const limits = [];
+      for (const item of branchLimits) {
+        const limit = parseFloat(item.limit);
+        if (isNaN(limit) || limit < 0) {
+          return res.status(400).json({ message: 'Each branch limit must be zero or a positive number' });
+        }
+        const branch = await Branch.findById(item.branchId);
+        if (!branch) {
+          return res.status(404).json({ message: `Branch not found: ${item.branchId}` });
+        }
+        limits.push({ branch: branch._id, limit });
+      }
+      user.branchCreditLimits = limits;
+    }
+
+    await user.save();
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Set Credit Limit',
+      'User',
+      user._id,
+      { previous, creditLimit: user.creditLimit, branchCreditLimits: user.branchCreditLimits },
+      req.ip
+    );
+
+    res.json({
+      id: user._id,
+      name: user.name,
+      creditLimit: user.creditLimit,
+      branchCreditLimits: user.branchCreditLimits,
+    });
+  } catch (error) {
+    console.error('Set credit limit error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Advance credit override grants last a day unless given another expiry, at most a week
+const DEFAULT_GRANT_MS = 24 * 60 * 60 * 1000;
+const MAX_GRANT_MS = 7 * DEFAULT_GRANT_MS;
+
+// @desc    Grant an agent a one-time credit limit override in advance. Their
+//          next debit that would cross the limit (on `tripId`, if given) goes
+//          through and uses it up. Replaces any unused grant.
+// @route   POST /api/users/:id/credit-override
+// @access  Private/Finance, Admin
+const grantCreditOverride = async (req, res) => {
+  try {
+    const { reason, expiresAt, tripId } = req.body || {};
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ message: 'reason is required' });
+    }
+    const now = Date.now();
+    const expiry = expiresAt ? new Date(expiresAt) : new Date(now + DEFAULT_GRANT_MS);
+    if (isNaN(expiry) || expiry.getTime() <= now || expiry.getTime() > now + MAX_GRANT_MS) {
+      return res.status(400).json({ message: 'expiresAt must be a date within the next 7 days' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user.role !== 'Agent') {
+      return res.status(400).json({ message: 'Credit limits apply to agents only' });
+    }
+
+    let trip = null;
+    if (tripId) {
+      const Trip = require('../models/Trip');
+      trip = mongoose.Types.ObjectId.isValid(tripId) ? await Trip.findById(tripId).select('lrNumber') : null;
+      if (!trip) {
+        return res.status(404).json({ message: 'Trip not found' });
+      }
+    }
+
+    const previous = user.creditOverrideGrant ? user.creditOverrideGrant.toObject() : null;
+    user.creditOverrideGrant = {
+      reason: String(reason).trim(),
+      grantedBy: req.user._id,
+      grantedByRole: req.user.role,
+      grantedAt: new Date(now),
+      expiresAt: expiry,
+      trip: trip ? trip._id : null,
+    };
+    await user.save();
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Grant Credit Override',
+      'User',
+      user._id,
+      { previous, grant: user.creditOverrideGrant, lrNumber: trip ? trip.lrNumber : null },
+      req.ip
+    );
+
+    res.status(201).json({
+      id: user._id,
+      name: user.name,
+      creditOverrideGrant: user.creditOverrideGrant,
+    });
+  } catch (error) {
+    console.error('Grant credit override error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Withdraw an agent's unused credit override grant
+// @route   DELETE /api/users/:id/credit-override
+// @access  Private/Finance, Admin
+const revokeCreditOverride = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!user.creditOverrideGrant) {
+      return res.status(404).json({ message: 'Agent has no credit override grant' });
+    }
+
+    const previous = user.creditOverrideGrant.toObject();
+    user.creditOverrideGrant = null;
+    await user.save();
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Revoke Credit Override',
+      'User',
+      user._id,
+      { previous },
+      req.ip
+    );
+
+    res.json({ message: 'Credit override grant withdrawn' });
+  } catch (error) {
+    console.error('Revoke credit override error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 module.exports = {
   getUsers,
   getUser,
@@ -329,5 +516,8 @@ module.exports = {
   updateUser,
   deleteUser,
   getAgents,
+  setCreditLimit,
+  grantCreditOverride,
+  revokeCreditOverride,
 };
 
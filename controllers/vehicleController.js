@@ -0,0 +1,354 @@
+const Vehicle = require('../models/Vehicle');
+const Trip = require('../models/Trip');
+const { createAuditLog } = require('../middleware/auditLog');
+const {
+  VEHICLE_DOCUMENTS,
+  EXPIRY_WARNING_DAYS,
+  normalizeRegistration,
+  registrationPattern,
+  vehicleDocumentStatus,
+} = require('../utils/vehicles');
+
+const TEXT_FIELDS = ['ownerName', 'ownerPhone', 'transporter', 'vehicleType'];
+const OWNERSHIP_TYPES = ['Own', 'Attached', 'Market'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const transformVehicle = (vehicle) => {
+  const vehicleObj = vehicle.toObject ? vehicle.toObject() : vehicle;
+  return {
+    ...vehicleObj,
+    id: vehicleObj._id,
+    documents: vehicleDocumentStatus(vehicleObj),
+  };
+};
+
+// Vehicle fields from a create/update body. Returns { fields } or { error }.
+const vehicleFields = (body) => {
+  const fields = {};
+
+  if (body.registrationNumber !== undefined) {
+    const registrationNumber = normalizeRegistration(body.registrationNumber);
+    if (registrationNumber.length < 4 || registrationNumber.length > 15) {
+      return { error: 'registrationNumber must have 4 to 15 letters/digits' };
+    }
+    fields.registrationNumber = registrationNumber;
+  }
+  if (body.ownershipType !== undefined) {
+    if (!OWNERSHIP_TYPES.includes(body.ownershipType)) {
+      return { error: `ownershipType must be one of: ${OWNERSHIP_TYPES.join(', ')}` };
+    }
+    fields.ownershipType = body.ownershipType;
+  }
+  TEXT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = String(body[field] || '').trim();
+  });
+  if (body.capacityTons !== undefined) {
+    const capacity = body.capacityTons === null || body.capacityTons === '' ? null : Number(body.capacityTons);
+    if (capacity !== null && (isNaN(capacity) || capacity < 0)) {
+      return { error: 'capacityTons must be a number of zero or more' };
+    }
+    fields.capacityTons = capacity;
+  }
+  for (const field of Object.keys(VEHICLE_DOCUMENTS)) {
+    if (body[field] === undefined) continue;
+    const expiry = body[field] ? new Date(body[field]) : null;
+    if (expiry && isNaN(expiry.getTime())) {
+      return { error: `Invalid ${field}` };
+    }
+    fields[field] = expiry;
+  }
+  if (body.isActive !== undefined) fields.isActive = Boolean(body.isActive);
+
+  return { fields };
+};
+
+// @desc    Get vehicles (autocomplete with ?search=)
+// @route   GET /api/vehicles?search=&active=&limit=
+// @access  Private
+const getVehicles = async (req, res) => {
+  try {
+    const { search, active, limit = 50 } = req.query || {};
+    const filter = {};
+
+    const term = normalizeRegistration(search);
+    if (term) {
+      filter.registrationNumber = { $regex: escapeRegex(term) };
+    }
+    if (active !== undefined) {
+      filter.isActive = active !== 'false';
+    }
+
+    const vehicles = await Vehicle.find(filter)
+      .sort({ registrationNumber: 1 })
+      .limit(Math.min(Number(limit) || 50, 500));
+
+    res.json(vehicles.map(transformVehicle));
+  } catch (error) {
+    console.error('Get vehicles error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Active vehicles with documents expired or expiring within `days`
+// @route   GET /api/vehicles/expiring?days=
+// @access  Private/Admin, Finance
+const getExpiringVehicles = async (req, res) => {
+  try {
+    const days = req.query.days !== undefined ? Number(req.query.days) : EXPIRY_WARNING_DAYS;
+    if (!Number.isInteger(days) || days < 0) {
+      return res.status(400).json({ message: 'days must be a whole number of zero or more' });
+    }
+
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+    const until = new Date(today);
+    until.setUTCDate(until.getUTCDate() + days);
+
+    const vehicles = await Vehicle.find({
+      isActive: true,
+      $or: Object.keys(VEHICLE_DOCUMENTS).map(field => ({ [field]: { $ne: null, $lte: until } })),
+    }).sort({ registrationNumber: 1 });
+
+    res.json(vehicles.map(vehicle => {
+      const expiring = Object.keys(VEHICLE_DOCUMENTS)
+        .filter(field => vehicle[field] && vehicle[field] <= until)
+        .map(field => ({ document: VEHICLE_DOCUMENTS[field], field, expiry: vehicle[field], expired: vehicle[field] < today }))
+        .sort((a, b) => a.expiry - b.expiry);
+      return {
+        id: vehicle._id,
+        registrationNumber: vehicle.registrationNumber,
+        ownerName: vehicle.ownerName,
+        ownerPhone: vehicle.ownerPhone,
+        transporter: vehicle.transporter,
+        documents: expiring,
+      };
+    }));
+  } catch (error) {
+    console.error('Get expiring vehicles error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get single vehicle
+// @route   GET /api/vehicles/:id
+// @access  Private
+const getVehicle = async (req, res) => {
+  try {
+    const vehicle = await Vehicle.findById(req.params.id);
+    if (!vehicle) {
+      return res.status(404).json({ message: 'Vehicle not found' });
+    }
+    res.json(transformVehicle(vehicle));
+  } catch (error) {
+    console.error('Get vehicle error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Trip history of a vehicle (linked trips, plus older unlinked trips with the same number)
+// @route   GET /api/vehicles/:id/trips?status=&startDate=&endDate=&page=&limit=
+// @access  Private
+const getVehicleTrips = async (req, res) => {
+  try {
+    const { status, startDate, endDate, page = 1, limit = 20 } = req.query;
+
+    const vehicle = await Vehicle.findById(req.params.id);
+    if (!vehicle) {
+      return res.status(404).json({ message: 'Vehicle not found' });
+    }
+
+    const query = {
+      $or: [
+        { vehicle: vehicle._id },
+        { vehicle: null, truckNumber: registrationPattern(vehicle.registrationNumber) },
+      ],
+    };
+    if (status) {
+      query.status = status;
+    }
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) {
+        const endDateTime = new Date(endDate);
+        endDateTime.setHours(23, 59, 59, 999);
+        query.date.$lte = endDateTime;
+      }
+    }
+
+    const [trips, total, totals] = await Promise.all([
+      Trip.find(query)
+        .populate('agent', 'name email phone branch _id')
+        .select('lrNumber tripId date route routeFrom routeTo companyName tonnage freight advance balance status agent branch driverPhoneNumber vehicle')
+        .sort({ date: -1, createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .lean(),
+      Trip.countDocuments(query),
+      Trip.aggregate([
+        { $match: status ? query : { ...query, status: { $ne: 'Cancelled' } } },
+        { $group: { _id: null, freight: { $sum: '$freight' }, tonnage: { $sum: '$tonnage' }, lastTripDate: { $max: '$date' } } },
+      ]),
+    ]);
+
+    res.json({
+      vehicle: transformVehicle(vehicle),
+      summary: {
+        totalTrips: total,
+        totalFreight: totals[0] ? totals[0].freight : 0,
+        totalTonnage: totals[0] ? totals[0].tonnage : 0,
+        lastTripDate: totals[0] ? totals[0].lastTripDate : null,
+      },
+      data: trips.map(trip => ({
+        ...trip,
+        id: trip._id,
+        agentId: trip.agent?._id || trip.agent,
+        agent: trip.agent?.name || trip.agent,
+        linked: Boolean(trip.vehicle),
+      })),
+      pagination: {
+        total,
+        page: Number(page),
+        limit: Number(limit),
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('Get vehicle trips error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Create a vehicle
+// @route   POST /api/vehicles
+// @access  Private/Admin
+const createVehicle = async (req, res) => {
+  try {
+    if (!req.body || !req.body.registrationNumber) {
+      return res.status(400).json({ message: 'registrationNumber is required' });
+    }
+
+    const { fields, error } = vehicleFields(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const existing = await Vehicle.findOne({ registrationNumber: fields.registrationNumber });
+    if (existing) {
+      return res.status(400).json({ message: `Vehicle ${fields.registrationNumber} already exists`, existingVehicleId: existing._id });
+    }
+
+    const vehicle = await Vehicle.create({ ...fields, createdBy: req.user._id, updatedBy: req.user._id });
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Create Vehicle',
+      'Vehicle',
+      vehicle._id,
+      fields,
+      req.ip
+    );
+
+    res.status(201).json(transformVehicle(vehicle));
+  } catch (error) {
+    console.error('Create vehicle error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Update a vehicle (ownership, documents, deactivate with isActive: false)
+// @route   PUT /api/vehicles/:id
+// @access  Private/Admin
+const updateVehicle = async (req, res) => {
+  try {
+    const { fields, error } = vehicleFields(req.body || {});
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const vehicle = await Vehicle.findById(req.params.id);
+    if (!vehicle) {
+      return res.status(404).json({ message: 'Vehicle not found' });
+    }
+
+    if (fields.registrationNumber && fields.registrationNumber !== vehicle.registrationNumber) {
+      const duplicate = await Vehicle.findOne({ registrationNumber: fields.registrationNumber });
+      if (duplicate) {
+        return res.status(400).json({ message: `Vehicle ${fields.registrationNumber} already exists`, existingVehicleId: duplicate._id });
+      }
+    }
+
+    const oldValues = {};
+    Object.keys(fields).forEach(field => {
+      oldValues[field] = vehicle[field];
+    });
+
+    Object.assign(vehicle, fields, { updatedBy: req.user._id });
+    await vehicle.save();
+
+    // Linked trips show the master's registration number
+    if (fields.registrationNumber && fields.registrationNumber !== oldValues.registrationNumber) {
+      await Trip.updateMany({ vehicle: vehicle._id }, { $set: { truckNumber: vehicle.registrationNumber } });
+    }
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Update Vehicle',
+      'Vehicle',
+      vehicle._id,
+      { oldValues, newValues: fields },
+      req.ip
+    );
+
+    res.json(transformVehicle(vehicle));
+  } catch (error) {
+    console.error('Update vehicle error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Delete a vehicle that no trip is linked to
+// @route   DELETE /api/vehicles/:id
+// @access  Private/Admin
+const deleteVehicle = async (req, res) => {
+  try {
+    const vehicle = await Vehicle.findById(req.params.id);
+    if (!vehicle) {
+      return res.status(404).json({ message: 'Vehicle not found' });
+    }
+
+    if (await Trip.exists({ vehicle: vehicle._id })) {
+      return res.status(400).json({ message: 'Vehicle has trips and cannot be deleted. Deactivate it instead (isActive: false).' });
+    }
+
+    await vehicle.deleteOne();
+
+    await createAuditLog(
+      req.user._id,
+      req.user.role,
+      'Delete Vehicle',
+      'Vehicle',
+      vehicle._id,
+      { registrationNumber: vehicle.registrationNumber },
+      req.ip
+    );
+
+    res.json({ message: 'Vehicle deleted', id: vehicle._id });
+  } catch (error) {
+    console.error('Delete vehicle error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getVehicles,
+  getExpiringVehicles,
+  getVehicle,
+  getVehicleTrips,
+  createVehicle,
+  updateVehicle,
+  deleteVehicle,
+};
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { can } = require('../utils/permissions');
 
 const protect = async (req, res, next) => {
   let token;
@@ -29,6 +30,9 @@ const protect = async (req, res, next) => {
 
 const authorize = (...roles) => {
   return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Not authorized, no token' });
+    }
     if (!roles.includes(req.user.role)) {
       return res.status(403).json({ 
         message: `User role '${req.user.role}' is not authorized to access this route` 
@@ -38,5 +42,20 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { protect, authorize };
+// Check the logged-in user's role against the permission matrix (utils/permissions.js)
+const permit = (permission) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Not authorized, no token' });
+    }
+    if (!can(req.user.role, permission)) {
+      return res.status(403).json({
+        message: `User role '${req.user.role}' is not authorized to access this route`
+      });
+    }
+    next();
+  };
+};
+
+module.exports = { protect, authorize, permit };
 
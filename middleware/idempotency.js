@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const KEY_TTL_MS = 24 * 60 * 60 * 1000; // Keys are remembered for 24 hours
+
+const hashRequest = (body) => {
+  return crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+};
+
+// Honour the Idempotency-Key header. The first request with a key runs
+// normally and its successful response is stored; a replay of the same key
+// returns that response without calling the handler again. Requests without
+// the header are not affected. Must run after `protect`.
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > 255) {
+    return res.status(400).json({ message: 'Idempotency-Key must be at most 255 characters' });
+  }
+
+  const scope = {
+    key,
+    userId: req.user._id,
+    route: `${req.method} ${req.originalUrl.split('?')[0]}`,
+  };
+  const requestHash = hashRequest(req.body);
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      ...scope,
+      requestHash,
+      expiresAt: new Date(Date.now() + KEY_TTL_MS),
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      console.error('Idempotency key error:', error);
+      return res.status(500).json({ message: 'Server error' });
+    }
+
+    // Key already seen for this user and endpoint
+    const existing = await IdempotencyKey.findOne(scope);
+    if (!existing) {
+      return res.status(409).json({ message: 'Idempotency-Key conflict, please retry' });
+    }
+    if (existing.requestHash !== requestHash) {
+      return res.status(422).json({ message: 'Idempotency-Key was already used for a different request' });
+    }
+    if (existing.status === 'Pending') {
+      return res.status(409).json({ message: 'A request with this Idempotency-Key is still being processed' });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  // Store successful responses; forget the key on failure so the client can
+  // retry (failed money operations roll back and write nothing)
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    const finish = res.statusCode < 400
+      ? IdempotencyKey.updateOne(
+        { _id: record._id },
+        { $set: { status: 'Completed', responseStatus: res.statusCode, responseBody: body } }
+      )
+      : IdempotencyKey.deleteOne({ _id: record._id });
+
+    finish
+      .catch(error => console.error('Idempotency key save error:', error))
+      .then(() => originalJson(body));
+    return res;
+  };
+
+  next();
+};
+
+module.exports = { idempotent };
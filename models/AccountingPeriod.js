@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// A day or month of the ledger that Finance can close. While closed, no
+// ledger entry dated inside [startDate, endDate] can be posted or corrected.
+const accountingPeriodSchema = new mongoose.Schema({
+  periodType: {
+    type: String,
+    required: true,
+    enum: ['Day', 'Month'],
+  },
+  // 'YYYY-MM-DD' for days, 'YYYY-MM' for months (in BUSINESS_TIMEZONE)
+  key: {
+    type: String,
+    required: true,
+  },
+  startDate: {
+    type: Date,
+    required: true,
+  },
+  endDate: {
+    type: Date,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['Open', 'Closed'],
+    default: 'Closed',
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  closedAt: {
+    type: Date,
+    default: null,
+  },
+  reopenedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  reopenedAt: {
+    type: Date,
+    default: null,
+  },
+  notes: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+accountingPeriodSchema.index({ periodType: 1, key: 1 }, { unique: true });
+accountingPeriodSchema.index({ status: 1, startDate: 1, endDate: 1 });
+
+module.exports = mongoose.model('AccountingPeriod', accountingPeriodSchema);
@@ -8,7 +8,7 @@ const auditLogSchema = new mongoose.Schema({
   entityType: {
     type: String,
     required: true,
-    enum: ['Trip', 'User', 'Ledger', 'Dispute', 'Branch'],
+    enum: ['Trip', 'User', 'Ledger', 'Dispute', 'Branch', 'AccountingPeriod', 'BankStatement', 'TransferRequest', 'TransferThreshold', 'LrSeries', 'Vehicle', 'Driver', 'Route', 'Company', 'Invoice', 'Receipt'],
   },
   entityId: {
     type: mongoose.Schema.Types.ObjectId,
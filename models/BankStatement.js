@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const statementLineSchema = new mongoose.Schema({
+  lineNo: {
+    type: Number,
+    required: true,
+  },
+  date: {
+    type: Date,
+    required: true,
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  reference: {
+    type: String,
+    default: '',
+  },
+  amount: {
+    type: Number,
+    required: true,
+  },
+  // From the bank's point of view: Debit = withdrawal, Credit = deposit
+  direction: {
+    type: String,
+    enum: ['Credit', 'Debit'],
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['Matched', 'Suggested', 'Unmatched'],
+    default: 'Unmatched',
+  },
+  ledgerEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger',
+    default: null,
+  },
+  // Candidate ledger entries when more than one could match
+  suggestions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger',
+  }],
+  matchType: {
+    type: String,
+    enum: ['Auto', 'Manual', null],
+    default: null,
+  },
+  matchedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  matchedAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+const bankStatementSchema = new mongoose.Schema({
+  bank: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bank',
+    required: true,
+  },
+  bankName: {
+    type: String,
+    required: true,
+  },
+  fileName: {
+    type: String,
+    default: null,
+  },
+  fromDate: {
+    type: Date,
+    default: null,
+  },
+  toDate: {
+    type: Date,
+    default: null,
+  },
+  dateWindowDays: {
+    type: Number,
+    default: 3,
+  },
+  lines: [statementLineSchema],
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+bankStatementSchema.index({ bank: 1, createdAt: -1 });
+bankStatementSchema.index({ 'lines.ledgerEntry': 1 });
+
+module.exports = mongoose.model('BankStatement', bankStatementSchema);
@@ -1,5 +1,28 @@
 const mongoose = require('mongoose');
 
+const addressSchema = new mongoose.Schema(
+  {
+    label: { type: String, trim: true, default: '' }, // Shipping addresses: plant/site name
+    line1: { type: String, trim: true, default: '' },
+    line2: { type: String, trim: true, default: '' },
+    city: { type: String, trim: true, default: '' },
+    state: { type: String, trim: true, default: '' },
+    pincode: { type: String, trim: true, default: '' },
+  },
+  { _id: true }
+);
+
+const contactSchema = new mongoose.Schema(
+  {
+    name: { type: String, trim: true, required: true },
+    designation: { type: String, trim: true, default: '' },
+    phone: { type: String, trim: true, default: '' },
+    email: { type: String, trim: true, lowercase: true, default: '' },
+    isPrimary: { type: Boolean, default: false },
+  },
+  { _id: true }
+);
+
 const companySchema = new mongoose.Schema(
   {
     name: {
@@ -8,11 +31,56 @@ const companySchema = new mongoose.Schema(
       unique: true,
       trim: true,
     },
+    // Validated with its checksum (utils/gstin.js); stateCode is its first two digits
+    gstin: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: null,
+    },
+    pan: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: null,
+    },
+    stateCode: {
+      type: String,
+      default: null,
+    },
+    billingAddress: {
+      type: addressSchema,
+      default: null,
+    },
+    shippingAddresses: {
+      type: [addressSchema],
+      default: [],
+    },
+    contacts: {
+      type: [contactSchema],
+      default: [],
+    },
+    // Payment terms: invoices are due this many days after the invoice date
+    creditDays: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Inactive companies can't be booked on new trips
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       default: null,
     },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -21,6 +89,6 @@ const companySchema = new mongoose.Schema(
 
 // Case-insensitive unique index on name
 companySchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+companySchema.index({ gstin: 1 }, { unique: true, partialFilterExpression: { gstin: { $type: 'string' } } });
 
 module.exports = mongoose.model('Company', companySchema);
-
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Undo record of a company merge: the canonical company, every trip that was
+// rewritten with its previous company/companyName, and the duplicate company
+// records that were deactivated. Undoing restores them from here.
+const companyMergeSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true,
+  },
+  // Name the trips were rewritten to
+  companyName: {
+    type: String,
+    required: true,
+  },
+  // Free-text names that were merged
+  names: {
+    type: [String],
+    default: [],
+  },
+  trips: [{
+    _id: false,
+    trip: { type: mongoose.Schema.Types.ObjectId, ref: 'Trip' },
+    previousCompany: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', default: null },
+    previousCompanyName: { type: String },
+  }],
+  // Duplicate company records merged into `company` (deactivated)
+  mergedCompanies: [{
+    _id: false,
+    company: { type: mongoose.Schema.Types.ObjectId, ref: 'Company' },
+    name: { type: String },
+    wasActive: { type: Boolean },
+  }],
+  reason: {
+    type: String,
+    default: '',
+  },
+  status: {
+    type: String,
+    enum: ['Applied', 'Undone'],
+    default: 'Applied',
+  },
+  mergedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  undoneBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  undoneAt: {
+    type: Date,
+    default: null,
+  },
+  // Trips changed again after the merge and therefore left alone by the undo
+  undoSkippedTrips: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+  }],
+}, {
+  timestamps: true,
+});
+
+companyMergeSchema.index({ company: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CompanyMerge', companyMergeSchema);
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Named sequence (e.g. 'invoice:26-27'), only ever changed with an atomic $inc
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Driver master. Phone numbers are stored as 10 digits (no +91/0 prefix) so
+// a trip's driver phone can be matched however it was typed. Trips reference
+// the driver and keep the phone number used for that trip as a snapshot.
+const driverSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  phones: {
+    type: [String],
+    default: [],
+  },
+  licenceNumber: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: null,
+  },
+  licenceExpiry: {
+    type: Date,
+    default: null,
+  },
+  // Trucks the driver drives; trips add their vehicle automatically
+  vehicles: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+  }],
+  // Inactive drivers can't be booked on new trips
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+driverSchema.index({ phones: 1 });
+driverSchema.index(
+  { licenceNumber: 1 },
+  { unique: true, partialFilterExpression: { licenceNumber: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('Driver', driverSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// First response of a money-moving request, stored under the client's
+// Idempotency-Key so a retried request can be answered without re-posting.
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // HTTP method and path, e.g. 'POST /api/ledger/topup'
+  route: {
+    type: String,
+    required: true,
+  },
+  // Hash of the request body - a key may not be reused for a different request
+  requestHash: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['Pending', 'Completed'],
+    default: 'Pending',
+  },
+  responseStatus: {
+    type: Number,
+    default: null,
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+idempotencyKeySchema.index({ key: 1, userId: 1, route: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+// Party details as printed on the invoice
+const partySchema = new mongoose.Schema({
+  name: { type: String, default: '' },
+  gstin: { type: String, default: null },
+  stateCode: { type: String, default: null },
+  address: { type: String, default: '' },
+}, { _id: false });
+
+const invoiceLineSchema = new mongoose.Schema({
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: true,
+  },
+  lrNumber: { type: String },
+  date: { type: Date },
+  truckNumber: { type: String },
+  route: { type: String },
+  tonnage: { type: Number, default: 0 },
+  freight: { type: Number, default: 0 },
+  // Trip deduction fields billed to the customer, e.g. { halting: 1500 }
+  charges: { type: Map, of: Number, default: {} },
+  amount: { type: Number, default: 0 },
+}, { _id: false });
+
+// Freight invoice for completed trips of one company. Party details, lines
+// and GST are snapshots taken when the invoice is issued; every trip on it
+// carries `invoice`/`invoiceNumber` until the invoice is cancelled. Payments
+// are recorded as receipts, which keep amountReceived/balance up to date.
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  invoiceDate: {
+    type: Date,
+    required: true,
+  },
+  dueDate: {
+    type: Date,
+    required: true,
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true,
+  },
+  billTo: partySchema,
+  supplier: partySchema,
+  periodFrom: { type: Date },
+  periodTo: { type: Date },
+  lines: [invoiceLineSchema],
+  chargeFields: {
+    type: [String],
+    default: [],
+  },
+  taxableValue: { type: Number, default: 0 },
+  gstRate: { type: Number, default: 0 },
+  // Reverse charge: GST is shown but paid by the customer, not added to the total
+  reverseCharge: { type: Boolean, default: false },
+  interState: { type: Boolean, default: false },
+  cgst: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  igst: { type: Number, default: 0 },
+  totalTax: { type: Number, default: 0 },
+  roundOff: { type: Number, default: 0 },
+  total: { type: Number, default: 0 },
+  // Settled by active receipts; balance = total - amountReceived - tdsDeducted
+  amountReceived: { type: Number, default: 0 },
+  tdsDeducted: { type: Number, default: 0 },
+  balance: { type: Number, default: 0 },
+  paymentStatus: {
+    type: String,
+    enum: ['Unpaid', 'Partially Paid', 'Paid'],
+    default: 'Unpaid',
+  },
+  lastReceiptDate: { type: Date, default: null },
+  status: {
+    type: String,
+    enum: ['Issued', 'Cancelled'],
+    default: 'Issued',
+  },
+  cancelledAt: { type: Date },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  cancellationReason: { type: String },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+invoiceSchema.index({ company: 1, invoiceDate: -1 });
+invoiceSchema.index({ status: 1, paymentStatus: 1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
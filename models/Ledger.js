@@ -41,6 +41,7 @@ const ledgerSchema = new mongoose.Schema({
       'Dispute - Expenses Correction',
       'Dispute - Beta Correction',
       'Dispute - Others Correction',
+      'Reversal',
     ],
   },
   amount: {
@@ -82,6 +83,78 @@ const ledgerSchema = new mongoose.Schema({
     required: false,
     default: 'Admin'
   },
+  // Correction chain - entries are never edited or deleted once posted.
+  // A correction posts a 'Reversal' of the original and, for edits, a
+  // replacement entry carrying the corrected values.
+  isReversed: {
+    type: Boolean,
+    default: false,
+  },
+  reversalOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger',
+    default: null,
+  },
+  reversedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger',
+    default: null,
+  },
+  replacementOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger',
+    default: null,
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger',
+    default: null,
+  },
+  correctionReason: {
+    type: String,
+    default: null,
+  },
+  correctedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  // Bank reconciliation - set when a bank statement line is matched to this entry
+  reconciled: {
+    type: Boolean,
+    default: false,
+  },
+  reconciledAt: {
+    type: Date,
+    default: null,
+  },
+  reconciledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  bankStatement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankStatement',
+    default: null,
+  },
+  // Set when Finance posted this debit past the agent's credit limit:
+  // { reason, overriddenBy, overriddenByRole, creditLimit, availableAfter },
+  // plus `grantedAt` when it came from an override granted in advance
+  creditLimitOverride: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  // Requested date when the posting was moved out of a closed accounting period
+  rolledFromDate: {
+    type: Date,
+    default: null,
+  },
+  // On-trip payment (Trip.onTripPayments subdocument) this entry was posted for
+  onTripPayment: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
 }, {
   timestamps: true,
   strict: false, // Allow fields not in schema to be saved
@@ -93,6 +166,10 @@ ledgerSchema.index({ tripId: 1 });
 ledgerSchema.index({ date: -1 });
 ledgerSchema.index({ createdAt: -1 });
 ledgerSchema.index({ lrNumber: 1 });
+ledgerSchema.index({ reversalOf: 1 });
+ledgerSchema.index({ replacementOf: 1 });
+ledgerSchema.index({ onTripPayment: 1 });
+ledgerSchema.index({ bank: 1, amount: 1, date: 1 });
 
 // Note: paymentMadeBy field removed from schema to avoid enum validation errors
 // It can still be saved to documents due to strict: false option
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// LR number series. One default row (branch: null) and optional per-branch
+// rows that override it. Numbers look like BLR/26-27/00042: prefix, optional
+// financial-year segment and a zero-padded counter that restarts every
+// financial year (April-March). `counters` holds the last number issued per
+// financial year and is only ever changed with an atomic $inc.
+const lrSeriesSchema = new mongoose.Schema({
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null,
+  },
+  prefix: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+  },
+  includeFinancialYear: {
+    type: Boolean,
+    default: true,
+  },
+  separator: {
+    type: String,
+    default: '/',
+    maxlength: 1,
+  },
+  padding: {
+    type: Number,
+    default: 5,
+    min: 1,
+    max: 10,
+  },
+  // Whether LR numbers may still be typed by hand for this branch
+  allowManual: {
+    type: Boolean,
+    default: true,
+  },
+  counters: {
+    type: Map,
+    of: Number,
+    default: {},
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+lrSeriesSchema.index({ branch: 1 }, { unique: true });
+
+module.exports = mongoose.model('LrSeries', lrSeriesSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Part of a receipt settling one invoice: cash received plus TDS the
+// customer deducted (and will deposit with the government on our behalf)
+const allocationSchema = new mongoose.Schema({
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true,
+  },
+  invoiceNumber: { type: String },
+  amount: { type: Number, default: 0 },
+  tds: { type: Number, default: 0 },
+}, { _id: false });
+
+// Customer payment against one or more invoices of a company. Receipts are
+// never edited; a wrong receipt is voided (which gives the invoices their
+// balance back) and entered again.
+const receiptSchema = new mongoose.Schema({
+  receiptNumber: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  receiptDate: {
+    type: Date,
+    required: true,
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true,
+  },
+  companyName: { type: String },
+  mode: {
+    type: String,
+    enum: ['NEFT', 'RTGS', 'IMPS', 'UPI', 'Cheque', 'Cash'],
+    required: true,
+  },
+  // Bank account the money landed in (not for cash)
+  bank: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bank',
+    default: null,
+  },
+  bankName: { type: String, default: '' },
+  reference: { type: String, default: '' }, // UTR / cheque number
+  amount: { type: Number, required: true }, // Cash received
+  tdsAmount: { type: Number, default: 0 },
+  allocations: [allocationSchema],
+  notes: { type: String, default: '' },
+  status: {
+    type: String,
+    enum: ['Active', 'Voided'],
+    default: 'Active',
+  },
+  voidedAt: { type: Date },
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  voidReason: { type: String },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+receiptSchema.index({ company: 1, receiptDate: -1 });
+receiptSchema.index({ 'allocations.invoice': 1 });
+
+module.exports = mongoose.model('Receipt', receiptSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// Freight rate for a company on a route. `company: null` is the route's
+// default rate for companies without their own card. `validTo: null` means
+// open-ended; cards of the same company may not overlap.
+const rateCardSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    default: null,
+  },
+  companyName: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  companyKey: {
+    type: String,
+    default: null,
+  },
+  basis: {
+    type: String,
+    enum: ['Per Tonne', 'Per Trip'],
+    required: true,
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  validFrom: {
+    type: Date,
+    required: true,
+  },
+  validTo: {
+    type: Date,
+    default: null,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Route master. `from`/`to` are the canonical spellings shown on trips;
+// `fromKey`/`toKey` (lowercase, letters and digits only) identify the route,
+// so "Raipur - Nagpur" and "RAIPUR-NAGPUR" are the same route. Routes are
+// directional: Nagpur -> Raipur is a separate route.
+const routeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  to: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  fromKey: {
+    type: String,
+    required: true,
+  },
+  toKey: {
+    type: String,
+    required: true,
+  },
+  distanceKm: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  transitDays: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  rateCards: [rateCardSchema],
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+routeSchema.index({ fromKey: 1, toKey: 1 }, { unique: true });
+
+module.exports = mongoose.model('Route', routeSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Agent-to-agent transfer above the approval threshold. The amount is held on
+// the sender's wallet while Pending and posted to the ledger only on approval.
+const transferRequestSchema = new mongoose.Schema({
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  receiver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01,
+  },
+  status: {
+    type: String,
+    enum: ['Pending', 'Approved', 'Rejected', 'Cancelled'],
+    default: 'Pending',
+  },
+  // Threshold that sent this transfer for approval
+  threshold: {
+    type: Number,
+    required: true,
+  },
+  thresholdBranch: {
+    type: String,
+    default: null, // null = global threshold
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  requestedByRole: {
+    type: String,
+    required: true,
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  decidedAt: {
+    type: Date,
+    default: null,
+  },
+  decisionNote: {
+    type: String,
+    default: null,
+  },
+  // Ledger postings made on approval
+  lrNumber: {
+    type: String,
+    default: null,
+  },
+  ledgerEntries: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger',
+  }],
+}, {
+  timestamps: true,
+});
+
+transferRequestSchema.index({ status: 1, createdAt: -1 });
+transferRequestSchema.index({ sender: 1, status: 1 });
+transferRequestSchema.index({ receiver: 1, status: 1 });
+
+module.exports = mongoose.model('TransferRequest', transferRequestSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Transfers strictly above `amount` need Finance approval. One global row
+// (branch: null) and optional per-branch rows that override it.
+const transferThresholdSchema = new mongoose.Schema({
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+transferThresholdSchema.index({ branch: 1 }, { unique: true });
+
+module.exports = mongoose.model('TransferThreshold', transferThresholdSchema);
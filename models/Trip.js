@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { TRIP_STATUSES } = require('../utils/tripLifecycle');
 
 const attachmentSchema = new mongoose.Schema({
   filename: String,
@@ -14,6 +15,23 @@ const attachmentSchema = new mongoose.Schema({
   },
 });
 
+// One row per lifecycle transition (see utils/tripLifecycle.js)
+const statusHistorySchema = new mongoose.Schema({
+  from: String,
+  to: String,
+  action: String,
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  byRole: String,
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+  note: String,
+}, { _id: false });
+
 const onTripPaymentSchema = new mongoose.Schema({
   amount: {
     type: Number,
@@ -38,6 +56,31 @@ const onTripPaymentSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
+  // Agent whose wallet the payment was posted to, and the ledger entries
+  // currently in effect for it (replaced on edit, reversed on void)
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  ledgerEntries: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger',
+  }],
+  editedAt: Date,
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  isVoided: {
+    type: Boolean,
+    default: false,
+  },
+  voidedAt: Date,
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  voidReason: String,
 });
 
 const tripSchema = new mongoose.Schema({
@@ -45,6 +88,12 @@ const tripSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // 'Series' when the LR number was allocated from the branch's LR series
+  lrNumberSource: {
+    type: String,
+    enum: ['Manual', 'Series'],
+    default: 'Manual',
+  },
   tripId: {
     type: String,
     required: true,
@@ -57,10 +106,37 @@ const tripSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Vehicle master entry of the truck (null for trucks not in the master)
+  vehicle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    default: null,
+  },
+  // Set when Admin booked a vehicle whose documents had expired
+  vehicleDocumentOverride: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  // Driver master entry; the phone and name used for the trip are kept as snapshots
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver',
+    default: null,
+  },
   driverPhoneNumber: {
     type: String,
     required: true,
   },
+  driverName: {
+    type: String,
+    default: '',
+  },
+  // Company master entry; companyName is the name as it was at booking
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    default: null,
+  },
   companyName: {
     type: String,
     required: true,
@@ -77,6 +153,17 @@ const tripSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Route master entry (null for routes not in the master)
+  routeMaster: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route',
+    default: null,
+  },
+  // Rate card the freight was checked against, as it was at booking
+  freightRate: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
   tonnage: {
     type: Number,
     default: 0,
@@ -89,6 +176,12 @@ const tripSchema = new mongoose.Schema({
     type: String,
     default: '',
   },
+  // Invoice this trip was billed on; cleared when the invoice is cancelled
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    default: null,
+  },
   isBulk: {
     type: Boolean,
     default: false,
@@ -124,9 +217,10 @@ const tripSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['Active', 'Completed', 'In Dispute', 'Dispute', 'Pending', 'Cancelled'],
+    enum: TRIP_STATUSES, // Changed only through utils/tripLifecycle.js
     default: 'Active',
   },
+  statusHistory: [statusHistorySchema],
   agent: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -151,6 +245,8 @@ const tripSchema = new mongoose.Schema({
     beta: { type: Number, default: 0 },
     others: { type: Number, default: 0 },
     othersReason: { type: String, default: '' },
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    addedByRole: { type: String, default: null },
   },
   attachments: [attachmentSchema],
   finalBalance: {
@@ -164,6 +260,26 @@ const tripSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
   },
+  reopenedAt: {
+    type: Date,
+  },
+  reopenedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  reopenReason: {
+    type: String,
+  },
+  cancelledAt: {
+    type: Date,
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  cancellationReason: {
+    type: String,
+  },
 }, {
   timestamps: true,
 });
@@ -172,8 +288,15 @@ const tripSchema = new mongoose.Schema({
 tripSchema.index({ agent: 1 });
 tripSchema.index({ branch: 1 });
 tripSchema.index({ status: 1 });
-tripSchema.index({ lrNumber: 1 });
+// One trip per LR number, ignoring case (backs the checks in createTrip and the LR series)
+// Named, so it doesn't collide with the old non-unique lrNumber_1 index; see
+// scripts/buildLrNumberIndex.js for deployed databases
+tripSchema.index({ lrNumber: 1 }, { name: 'lrNumber_unique_ci', unique: true, collation: { locale: 'en', strength: 2 } });
 tripSchema.index({ createdAt: -1 });
+tripSchema.index({ vehicle: 1, date: -1 });
+tripSchema.index({ driver: 1, date: -1 });
+tripSchema.index({ routeMaster: 1 });
+tripSchema.index({ company: 1 });
 
 module.exports = mongoose.model('Trip', tripSchema);
 
@@ -34,6 +34,40 @@ const userSchema = new mongoose.Schema({
     default: null,
     // Only required for Agent role
   },
+  // How far below zero the wallet may go (null = no limit). Per-branch
+  // limits apply to trips of that branch and win over the default.
+  creditLimit: {
+    type: Number,
+    default: null,
+    min: 0,
+  },
+  branchCreditLimits: [{
+    _id: false,
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+      required: true,
+    },
+    limit: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  }],
+  // One-time credit limit override granted in advance by Finance/Admin. The
+  // agent's next debit that would cross the limit uses it up (only a debit
+  // on `trip` when one is given), unless it has expired.
+  creditOverrideGrant: {
+    type: new mongoose.Schema({
+      reason: { type: String, required: true },
+      grantedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+      grantedByRole: { type: String, required: true },
+      grantedAt: { type: Date, required: true },
+      expiresAt: { type: Date, required: true },
+      trip: { type: mongoose.Schema.Types.ObjectId, ref: 'Trip', default: null },
+    }, { _id: false }),
+    default: null,
+  },
   isActive: {
     type: Boolean,
     default: true,
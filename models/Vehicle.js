@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Vehicle (truck) master. `registrationNumber` is stored normalized
+// (uppercase, letters and digits only, e.g. MH12AB1234) so "MH 12 AB-1234"
+// and "mh12ab1234" are the same truck. Document expiry dates are checked when
+// trips are booked (see utils/vehicles.js).
+const vehicleSchema = new mongoose.Schema({
+  registrationNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+  },
+  ownershipType: {
+    type: String,
+    enum: ['Own', 'Attached', 'Market'],
+    default: 'Market',
+  },
+  ownerName: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  ownerPhone: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  transporter: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  vehicleType: {
+    type: String,
+    trim: true,
+    default: '', // e.g. Open Body, Trailer, Container, Tipper, Tanker
+  },
+  capacityTons: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  rcExpiry: {
+    type: Date,
+    default: null,
+  },
+  insuranceExpiry: {
+    type: Date,
+    default: null,
+  },
+  permitExpiry: {
+    type: Date,
+    default: null,
+  },
+  fitnessExpiry: {
+    type: Date,
+    default: null,
+  },
+  // Inactive vehicles (sold, scrapped) can't be booked on new trips
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('Vehicle', vehicleSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Materialized agent balance. Updated in the same transaction as every
+// wallet-affecting Ledger entry (see utils/wallet.js); `version` is bumped on
+// every change and used as an optimistic concurrency check.
+const walletSchema = new mongoose.Schema({
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true,
+  },
+  balance: {
+    type: Number,
+    default: 0,
+  },
+  // Outgoing transfers awaiting approval - reserved, not spendable
+  held: {
+    type: Number,
+    default: 0,
+  },
+  // Incoming transfers awaiting approval - shown, not yet credited
+  pendingIncoming: {
+    type: Number,
+    default: 0,
+  },
+  version: {
+    type: Number,
+    default: 0,
+  },
+  lastEntryAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('Wallet', walletSchema);
@@ -1,9 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const { getAuditLogs } = require('../controllers/auditLogController');
+const { protect, permit } = require('../middleware/auth');
 
-// All routes are public - no authentication required
-router.get('/', getAuditLogs);
+router.get('/', protect, permit('auditLogs.read'), getAuditLogs);
 
 module.exports = router;
-
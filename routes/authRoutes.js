@@ -1,9 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const { login, getMe } = require('../controllers/authController');
+const { protect } = require('../middleware/auth');
 
 router.post('/login', login);
-router.get('/me', getMe);
+router.get('/me', protect, getMe);
 
 module.exports = router;
-
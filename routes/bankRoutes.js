@@ -6,14 +6,14 @@ const {
     updateBank,
     deleteBank
 } = require('../controllers/bankController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, permit } = require('../middleware/auth');
 
-// Public route - all authenticated users can view banks
-router.get('/', protect, getAllBanks);
+// All authenticated users can view banks
+router.get('/', protect, permit('banks.read'), getAllBanks);
 
 // Admin only routes
-router.post('/', protect, authorize('Admin'), createBank);
-router.put('/:id', protect, authorize('Admin'), updateBank);
-router.delete('/:id', protect, authorize('Admin'), deleteBank);
+router.post('/', protect, permit('banks.manage'), createBank);
+router.put('/:id', protect, permit('banks.manage'), updateBank);
+router.delete('/:id', protect, permit('banks.manage'), deleteBank);
 
 module.exports = router;
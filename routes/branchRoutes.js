@@ -6,15 +6,14 @@ const {
   updateBranch,
   deleteBranch,
 } = require('../controllers/branchController');
+const { protect, permit } = require('../middleware/auth');
 
-// All routes are public - no authentication required
 router.route('/')
-  .get(getBranches)
-  .post(createBranch);
+  .get(protect, permit('branches.read'), getBranches)
+  .post(protect, permit('branches.manage'), createBranch);
 
 router.route('/:id')
-  .put(updateBranch)
-  .delete(deleteBranch);
+  .put(protect, permit('branches.manage'), updateBranch)
+  .delete(protect, permit('branches.manage'), deleteBranch);
 
 module.exports = router;
-
@@ -7,21 +7,29 @@ const {
   createCompany,
   updateCompany,
   deleteCompany,
+  getCompanyDuplicates,
+  mergeCompanies,
+  getCompanyMerges,
+  undoCompanyMerge,
 } = require('../controllers/companyController');
+const { protect, permit } = require('../middleware/auth');
 
 console.log('Company controller loaded successfully');
 
-// All routes are public - UI will restrict to admins
 router.route('/')
-  .get(getCompanies)
-  .post(createCompany);
+  .get(protect, permit('companies.read'), getCompanies)
+  .post(protect, permit('companies.manage'), createCompany);
+
+router.get('/duplicates', protect, permit('companies.merge'), getCompanyDuplicates);
+router.post('/merge', protect, permit('companies.merge'), mergeCompanies);
+router.get('/merges', protect, permit('companies.merge'), getCompanyMerges);
+router.post('/merges/:id/undo', protect, permit('companies.merge'), undoCompanyMerge);
 
 router.route('/:id')
-  .get(getCompany)
-  .put(updateCompany)
-  .delete(deleteCompany);
+  .get(protect, permit('companies.read'), getCompany)
+  .put(protect, permit('companies.manage'), updateCompany)
+  .delete(protect, permit('companies.manage'), deleteCompany);
 
-console.log('Company routes defined: GET/POST /api/companies, GET/PUT/DELETE /api/companies/:id');
+console.log('Company routes defined: GET/POST /api/companies, GET/PUT/DELETE /api/companies/:id, duplicates/merge/merges');
 
 module.exports = router;
-
@@ -6,16 +6,15 @@ const {
   createDispute,
   resolveDispute,
 } = require('../controllers/disputeController');
+const { protect, permit } = require('../middleware/auth');
 
-// All routes are public - no authentication required
 router.route('/')
-  .get(getDisputes)
-  .post(createDispute);
+  .get(protect, permit('disputes.read'), getDisputes)
+  .post(protect, permit('disputes.create'), createDispute);
 
 router.route('/:id')
-  .get(getDispute);
+  .get(protect, permit('disputes.read'), getDispute);
 
-router.put('/:id/resolve', resolveDispute);
+router.put('/:id/resolve', protect, permit('disputes.resolve'), resolveDispute);
 
 module.exports = router;
-
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getDrivers,
+  getDriver,
+  getDriverHistory,
+  createDriver,
+  updateDriver,
+  deleteDriver,
+} = require('../controllers/driverController');
+const { protect, permit } = require('../middleware/auth');
+
+router.route('/')
+  .get(protect, permit('drivers.read'), getDrivers)
+  .post(protect, permit('drivers.manage'), createDriver);
+
+router.get('/:id/history', protect, permit('drivers.read'), getDriverHistory);
+
+router.route('/:id')
+  .get(protect, permit('drivers.read'), getDriver)
+  .put(protect, permit('drivers.manage'), updateDriver)
+  .delete(protect, permit('drivers.delete'), deleteDriver);
+
+module.exports = router;
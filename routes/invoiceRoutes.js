@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  getBillableTrips,
+  createInvoice,
+  getInvoices,
+  getInvoice,
+  cancelInvoice,
+} = require('../controllers/invoiceController');
+const { protect, permit } = require('../middleware/auth');
+
+router.route('/')
+  .get(protect, permit('invoices.read'), getInvoices)
+  .post(protect, permit('invoices.manage'), createInvoice);
+
+router.get('/billable', protect, permit('invoices.read'), getBillableTrips);
+router.get('/:id', protect, permit('invoices.read'), getInvoice);
+router.post('/:id/cancel', protect, permit('invoices.manage'), cancelInvoice);
+
+module.exports = router;
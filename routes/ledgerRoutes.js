@@ -3,23 +3,28 @@ const router = express.Router();
 const {
   getLedger,
   getAgentBalance,
+  getAgentStatement,
   addTopUp,
   transferToAgent,
   updateLedgerEntry,
   deleteLedgerEntry,
+  getLedgerEntryChain,
 } = require('../controllers/ledgerController');
+const { protect, permit } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 
-// All routes are public - no authentication required
 router.route('/')
-  .get(getLedger);
+  .get(protect, permit('ledger.read'), getLedger);
 
-router.get('/balance/:agentId?', getAgentBalance);
-router.post('/topup', addTopUp);
-router.post('/transfer', transferToAgent);
+router.get('/balance/:agentId?', protect, permit('ledger.read'), getAgentBalance);
+router.get('/statement/:agentId', protect, permit('ledger.read'), getAgentStatement);
+router.post('/topup', protect, permit('ledger.topup'), idempotent, addTopUp);
+router.post('/transfer', protect, permit('ledger.transfer'), idempotent, transferToAgent);
+
+router.get('/:id/chain', protect, permit('ledger.read'), getLedgerEntryChain);
 
 router.route('/:id')
-  .put(updateLedgerEntry)
-  .delete(deleteLedgerEntry);
+  .put(protect, permit('ledger.edit'), updateLedgerEntry)
+  .delete(protect, permit('ledger.edit'), deleteLedgerEntry);
 
 module.exports = router;
-
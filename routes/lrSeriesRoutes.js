@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getLrSeries,
+  previewLrSeries,
+  setLrSeries,
+  deleteLrSeries,
+} = require('../controllers/lrSeriesController');
+const { protect, permit } = require('../middleware/auth');
+
+router.route('/')
+  .get(protect, permit('lrSeries.read'), getLrSeries)
+  .put(protect, permit('lrSeries.manage'), setLrSeries);
+router.get('/preview', protect, permit('lrSeries.read'), previewLrSeries);
+router.delete('/:id', protect, permit('lrSeries.manage'), deleteLrSeries);
+
+module.exports = router;
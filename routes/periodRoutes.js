@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPeriods,
+  closePeriod,
+  openPeriod,
+} = require('../controllers/periodController');
+const { protect, permit } = require('../middleware/auth');
+
+router.get('/', protect, permit('periods.read'), getPeriods);
+router.post('/close', protect, permit('periods.manage'), closePeriod);
+router.post('/open', protect, permit('periods.manage'), openPeriod);
+
+module.exports = router;
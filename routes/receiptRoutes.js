@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  getReceipts,
+  getReceipt,
+  createReceipt,
+  voidReceipt,
+} = require('../controllers/receiptController');
+const { protect, permit } = require('../middleware/auth');
+
+router.route('/')
+  .get(protect, permit('receipts.read'), getReceipts)
+  .post(protect, permit('receipts.manage'), createReceipt);
+
+router.get('/:id', protect, permit('receipts.read'), getReceipt);
+router.post('/:id/void', protect, permit('receipts.manage'), voidReceipt);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  importStatement,
+  getStatements,
+  getStatement,
+  matchLine,
+  unmatchLine,
+  rematchStatement,
+} = require('../controllers/reconciliationController');
+const { protect, permit } = require('../middleware/auth');
+const { csvUpload } = require('../utils/importUpload');
+
+router.route('/statements')
+  .get(protect, permit('reconciliation.read'), getStatements)
+  .post(protect, permit('reconciliation.manage'), csvUpload.single('file'), importStatement);
+
+router.get('/statements/:id', protect, permit('reconciliation.read'), getStatement);
+router.post('/statements/:id/rematch', protect, permit('reconciliation.manage'), rematchStatement);
+router.post('/statements/:id/lines/:lineId/match', protect, permit('reconciliation.manage'), matchLine);
+router.post('/statements/:id/lines/:lineId/unmatch', protect, permit('reconciliation.manage'), unmatchLine);
+
+module.exports = router;
@@ -5,13 +5,16 @@ const {
   getTripReport,
   getLedgerReport,
   getAgentPerformanceReport,
+  getRouteReport,
+  getReceivablesReport,
 } = require('../controllers/reportController');
+const { protect, permit } = require('../middleware/auth');
 
-// All routes are public - no authentication required
-router.get('/dashboard', getDashboardStats);
-router.get('/trips', getTripReport);
-router.get('/ledger', getLedgerReport);
-router.get('/agents', getAgentPerformanceReport);
+router.get('/dashboard', protect, permit('reports.read'), getDashboardStats);
+router.get('/trips', protect, permit('reports.read'), getTripReport);
+router.get('/ledger', protect, permit('reports.read'), getLedgerReport);
+router.get('/agents', protect, permit('reports.agents'), getAgentPerformanceReport);
+router.get('/routes', protect, permit('reports.read'), getRouteReport);
+router.get('/receivables', protect, permit('reports.receivables'), getReceivablesReport);
 
 module.exports = router;
-
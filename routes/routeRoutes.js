@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRoutes,
+  getRouteRate,
+  getRoute,
+  createRoute,
+  updateRoute,
+  deleteRoute,
+  addRateCard,
+  updateRateCard,
+  deleteRateCard,
+} = require('../controllers/routeController');
+const { protect, permit } = require('../middleware/auth');
+
+router.route('/')
+  .get(protect, permit('routes.read'), getRoutes)
+  .post(protect, permit('routes.manage'), createRoute);
+
+router.get('/rate', protect, permit('routes.read'), getRouteRate);
+
+router.route('/:id')
+  .get(protect, permit('routes.read'), getRoute)
+  .put(protect, permit('routes.manage'), updateRoute)
+  .delete(protect, permit('routes.manage'), deleteRoute);
+
+router.post('/:id/rates', protect, permit('routes.rates'), addRateCard);
+router.route('/:id/rates/:rateId')
+  .put(protect, permit('routes.rates'), updateRateCard)
+  .delete(protect, permit('routes.rates'), deleteRateCard);
+
+module.exports = router;
@@ -1,14 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const { globalLRSearch } = require('../controllers/searchController');
+const { protect, permit } = require('../middleware/auth');
 
 // Test route to verify search routes are working
-router.get('/test', (req, res) => {
+router.get('/test', protect, (req, res) => {
   res.json({ message: 'Search routes are working', status: 'OK' });
 });
 
-// Global LR search route - accessible to all users
-router.get('/lr/:lrNumber', globalLRSearch);
+// Global LR search route - accessible to all logged-in users
+router.get('/lr/:lrNumber', protect, permit('search.lr'), globalLRSearch);
 
 module.exports = router;
-
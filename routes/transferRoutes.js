@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getThresholds,
+  setThreshold,
+  deleteThreshold,
+  getTransferRequests,
+  approveTransferRequest,
+  rejectTransferRequest,
+  cancelTransferRequest,
+} = require('../controllers/transferController');
+const { protect, permit } = require('../middleware/auth');
+
+router.route('/thresholds')
+  .get(protect, permit('transfers.thresholds'), getThresholds)
+  .put(protect, permit('transfers.thresholds'), setThreshold);
+router.delete('/thresholds/:id', protect, permit('transfers.thresholds'), deleteThreshold);
+
+router.get('/requests', protect, permit('transfers.read'), getTransferRequests);
+router.post('/requests/:id/approve', protect, permit('transfers.approve'), approveTransferRequest);
+router.post('/requests/:id/reject', protect, permit('transfers.approve'), rejectTransferRequest);
+router.post('/requests/:id/cancel', protect, permit('transfers.cancel'), cancelTransferRequest);
+
+module.exports = router;
@@ -4,34 +4,49 @@ const {
   getTrips,
   getTrip,
   createTrip,
+  importTrips,
   updateTrip,
   deleteTrip,
   addPayment,
+  updatePayment,
+  voidPayment,
   updateDeductions,
   closeTrip,
+  reopenTrip,
+  cancelTrip,
+  getTripLifecycle,
+  getTripSettlement,
   addAttachment,
   deleteAttachment,
   getCompanyNames,
 } = require('../controllers/tripController');
 const upload = require('../utils/upload');
+const { spreadsheetUpload } = require('../utils/importUpload');
+const { protect, permit } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 
-// All routes are public - no authentication required
 router.route('/')
-  .get(getTrips)
-  .post(createTrip);
+  .get(protect, permit('trips.read'), getTrips)
+  .post(protect, permit('trips.create'), createTrip);
 
-router.get('/companies', getCompanyNames);
+router.get('/companies', protect, permit('companies.read'), getCompanyNames);
+router.get('/lifecycle', protect, permit('trips.read'), getTripLifecycle);
+router.post('/import', protect, permit('trips.import'), spreadsheetUpload.single('file'), importTrips);
 
 router.route('/:id')
-  .get(getTrip)
-  .put(updateTrip)
-  .delete(deleteTrip);
+  .get(protect, permit('trips.read'), getTrip)
+  .put(protect, permit('trips.update'), updateTrip)
+  .delete(protect, permit('trips.delete'), deleteTrip);
 
-router.post('/:id/payments', addPayment);
-router.put('/:id/deductions', updateDeductions);
-router.post('/:id/close', closeTrip);
-router.post('/:id/attachments', upload.single('file'), addAttachment);
-router.delete('/:id/attachments/:attachmentId', deleteAttachment);
+router.get('/:id/settlement', protect, permit('trips.read'), getTripSettlement);
+router.post('/:id/payments', protect, permit('trips.addPayment'), idempotent, addPayment);
+router.put('/:id/payments/:paymentId', protect, permit('trips.editPayment'), updatePayment);
+router.post('/:id/payments/:paymentId/void', protect, permit('trips.editPayment'), voidPayment);
+router.put('/:id/deductions', protect, permit('trips.updateDeductions'), updateDeductions);
+router.post('/:id/close', protect, permit('trips.close'), closeTrip);
+router.post('/:id/reopen', protect, permit('trips.reopen'), reopenTrip);
+router.post('/:id/cancel', protect, permit('trips.cancel'), cancelTrip);
+router.post('/:id/attachments', protect, permit('trips.attachments'), upload.single('file'), addAttachment);
+router.delete('/:id/attachments/:attachmentId', protect, permit('trips.attachments'), deleteAttachment);
 
 module.exports = router;
-
@@ -8,19 +8,26 @@ const {
   updateUser,
   deleteUser,
   getAgents,
+  setCreditLimit,
+  grantCreditOverride,
+  revokeCreditOverride,
 } = require('../controllers/userController');
+const { protect, permit } = require('../middleware/auth');
 
-// All routes are public - no authentication required
-router.get('/agents', getAgents);
+router.get('/agents', protect, permit('users.listAgents'), getAgents);
 
 router.route('/')
-  .get(getUsers)
-  .post(createUser);
+  .get(protect, permit('users.read'), getUsers)
+  .post(protect, permit('users.create'), createUser);
+
+router.put('/:id/credit-limit', protect, permit('credit.manage'), setCreditLimit);
+router.route('/:id/credit-override')
+  .post(protect, permit('credit.override'), grantCreditOverride)
+  .delete(protect, permit('credit.override'), revokeCreditOverride);
 
 router.route('/:id')
-  .get(getUser)
-  .put(upload.single('profileImage'), updateUser)
-  .delete(deleteUser);
+  .get(protect, permit('users.read'), getUser)
+  .put(protect, permit('users.update'), upload.single('profileImage'), updateUser)
+  .delete(protect, permit('users.delete'), deleteUser);
 
 module.exports = router;
-
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getVehicles,
+  getExpiringVehicles,
+  getVehicle,
+  getVehicleTrips,
+  createVehicle,
+  updateVehicle,
+  deleteVehicle,
+} = require('../controllers/vehicleController');
+const { protect, permit } = require('../middleware/auth');
+
+router.route('/')
+  .get(protect, permit('vehicles.read'), getVehicles)
+  .post(protect, permit('vehicles.manage'), createVehicle);
+
+router.get('/expiring', protect, permit('vehicles.expiring'), getExpiringVehicles);
+router.get('/:id/trips', protect, permit('vehicles.read'), getVehicleTrips);
+
+router.route('/:id')
+  .get(protect, permit('vehicles.read'), getVehicle)
+  .put(protect, permit('vehicles.manage'), updateVehicle)
+  .delete(protect, permit('vehicles.manage'), deleteVehicle);
+
+module.exports = router;
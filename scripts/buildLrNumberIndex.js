@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load env vars
+dotenv.config();
+
+const INDEX_NAME = 'lrNumber_unique_ci';
+const COLLATION = { locale: 'en', strength: 2 };
+
+// Replace the old non-unique lrNumber_1 index with the unique, case-insensitive
+// one the Trip model declares. autoIndex can't build it while two trips share
+// an LR number (ignoring case), so those are listed first and the script stops
+// until they are renamed. Runs on the raw collection so loading the Trip model
+// doesn't start its own index build. Safe to run more than once.
+const buildLrNumberIndex = async () => {
+    try {
+        // Connect to database
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('MongoDB Connected...');
+
+        const trips = mongoose.connection.collection('trips');
+
+        const duplicates = await trips.aggregate([
+            { $group: { _id: '$lrNumber', count: { $sum: 1 }, trips: { $push: { id: '$_id', lrNumber: '$lrNumber' } } } },
+            { $match: { count: { $gt: 1 } } },
+            { $sort: { _id: 1 } },
+        ], { collation: COLLATION }).toArray();
+
+        if (duplicates.length > 0) {
+            console.log(`✗ ${duplicates.length} LR number(s) are used by more than one trip. Rename them and run this again:`);
+            for (const duplicate of duplicates) {
+                console.log(`  - ${duplicate.trips.map(trip => `${trip.lrNumber} (${trip.id})`).join(', ')}`);
+            }
+            process.exit(1);
+        }
+
+        const indexes = await trips.indexes();
+        if (indexes.some(index => index.name === 'lrNumber_1')) {
+            await trips.dropIndex('lrNumber_1');
+            console.log('✓ Dropped the old lrNumber_1 index');
+        }
+
+        await trips.createIndex({ lrNumber: 1 }, { name: INDEX_NAME, unique: true, collation: COLLATION });
+        console.log(`✓ Unique index ${INDEX_NAME} is in place`);
+        process.exit(0);
+    } catch (error) {
+        console.error('Error building the LR number index:', error);
+        process.exit(1);
+    }
+};
+
+buildLrNumberIndex();
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Trip = require('../models/Trip');
+const Company = require('../models/Company');
+
+// Load env vars
+dotenv.config();
+
+// Link trips booked before trips referenced their company to the Company
+// with the same name (case-insensitive). The trip's companyName is left as
+// it is - it is the name as it was at booking. With --create, names that
+// are not in the master yet get a bare Company whose GSTIN and addresses can
+// be filled in later. Safe to run more than once.
+const linkTripCompanies = async () => {
+    try {
+        const create = process.argv.includes('--create');
+
+        // Connect to database
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('MongoDB Connected...');
+
+        const names = await Trip.distinct('companyName', { company: null });
+        let linkedTrips = 0;
+        let createdCompanies = 0;
+        const unknown = new Set();
+
+        for (const name of names) {
+            const trimmed = String(name || '').trim();
+            if (!trimmed) continue;
+
+            let company = await Company.findOne({ name: trimmed }).collation({ locale: 'en', strength: 2 });
+            if (!company && create) {
+                company = await Company.create({ name: trimmed });
+                createdCompanies += 1;
+            }
+            if (!company) {
+                unknown.add(trimmed);
+                continue;
+            }
+
+            const result = await Trip.updateMany(
+                { company: null, companyName: name },
+                { $set: { company: company._id } }
+            );
+            linkedTrips += result.modifiedCount;
+        }
+
+        console.log(`✓ Linked ${linkedTrips} trip(s) to the company master`);
+        if (create) {
+            console.log(`✓ Created ${createdCompanies} company(ies)`);
+        }
+        if (unknown.size > 0) {
+            console.log(`⚠ ${unknown.size} company name(s) are not in the company master (run with --create to add them):`);
+            [...unknown].sort().forEach(name => console.log(`  - ${name}`));
+        }
+        process.exit(0);
+    } catch (error) {
+        console.error('Error linking trip companies:', error);
+        process.exit(1);
+    }
+};
+
+linkTripCompanies();
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Trip = require('../models/Trip');
+const Driver = require('../models/Driver');
+const { normalizePhone } = require('../utils/drivers');
+
+// Load env vars
+dotenv.config();
+
+// Link trips booked before the driver master to their Driver by the
+// normalized driver phone, and record each trip's vehicle on the driver.
+// With --create, phones that are not in the master yet get a bare Driver
+// (phone only) whose name and licence can be filled in later. Safe to run
+// more than once.
+const linkTripDrivers = async () => {
+    try {
+        const create = process.argv.includes('--create');
+
+        // Connect to database
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('MongoDB Connected...');
+
+        const phones = await Trip.distinct('driverPhoneNumber', { driver: null });
+        let linkedTrips = 0;
+        let createdDrivers = 0;
+        const unknown = new Set();
+
+        for (const typed of phones) {
+            const phone = normalizePhone(typed);
+            if (!phone) continue;
+
+            let driver = await Driver.findOne({ phones: phone });
+            if (!driver && create) {
+                driver = await Driver.create({ phones: [phone] });
+                createdDrivers += 1;
+            }
+            if (!driver) {
+                unknown.add(phone);
+                continue;
+            }
+
+            const filter = { driver: null, driverPhoneNumber: typed };
+            const vehicles = await Trip.distinct('vehicle', { ...filter, vehicle: { $ne: null } });
+            const result = await Trip.updateMany(filter, { $set: { driver: driver._id, driverName: driver.name } });
+            if (vehicles.length > 0) {
+                await Driver.updateOne({ _id: driver._id }, { $addToSet: { vehicles: { $each: vehicles } } });
+            }
+            linkedTrips += result.modifiedCount;
+        }
+
+        console.log(`✓ Linked ${linkedTrips} trip(s) to the driver master`);
+        if (create) {
+            console.log(`✓ Created ${createdDrivers} driver(s)`);
+        }
+        if (unknown.size > 0) {
+            console.log(`⚠ ${unknown.size} driver phone(s) are not in the driver master (run with --create to add them):`);
+            [...unknown].sort().forEach(phone => console.log(`  - ${phone}`));
+        }
+        process.exit(0);
+    } catch (error) {
+        console.error('Error linking trip drivers:', error);
+        process.exit(1);
+    }
+};
+
+linkTripDrivers();
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Trip = require('../models/Trip');
+const Ledger = require('../models/Ledger');
+
+// Load env vars
+dotenv.config();
+
+// Ledger rows are looked for within this long of the payment's createdAt
+const MATCH_WINDOW_MS = 60 * 1000;
+
+// Link on-trip payments recorded before payments kept their ledger entries.
+// For each unlinked payment, picks the closest unlinked entries of the same
+// trip, amount and payer (Top-up + On-Trip Payment for Finance; the payer's
+// debit plus the trip creator's informational row for Agents). Payments
+// without a confident match are listed and left unlinked. Safe to run more
+// than once.
+const linkTripPayments = async () => {
+    try {
+        // Connect to database
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('MongoDB Connected...');
+
+        const trips = await Trip.find({ 'onTripPayments.0': { $exists: true } });
+        let linked = 0;
+        const unmatched = [];
+
+        for (const trip of trips) {
+            let changed = false;
+
+            for (const payment of trip.onTripPayments) {
+                if (payment.ledgerEntries && payment.ledgerEntries.length > 0) continue;
+
+                const createdAt = new Date(payment.createdAt).getTime();
+                const candidates = await Ledger.find({
+                    tripId: trip._id,
+                    type: { $in: ['Top-up', 'On-Trip Payment'] },
+                    amount: payment.amount,
+                    paymentMadeBy: payment.addedByRole === 'Finance' ? 'Finance' : 'Agent',
+                    onTripPayment: null,
+                    replacementOf: null,
+                    createdAt: { $gte: new Date(createdAt - MATCH_WINDOW_MS), $lte: new Date(createdAt + MATCH_WINDOW_MS) },
+                });
+
+                // Closest candidate of each kind of row the payment produced
+                const closest = (filter) => candidates
+                    .filter(filter)
+                    .sort((a, b) => Math.abs(a.createdAt - createdAt) - Math.abs(b.createdAt - createdAt))[0];
+
+                const rows = payment.addedByRole === 'Finance'
+                    ? [closest(e => e.type === 'Top-up'), closest(e => e.type === 'On-Trip Payment')]
+                    : [closest(e => e.type === 'On-Trip Payment' && !e.isInformational), closest(e => e.type === 'On-Trip Payment' && e.isInformational)];
+
+                const walletRow = rows[payment.addedByRole === 'Finance' ? 1 : 0];
+                if (!walletRow) {
+                    unmatched.push(`${trip.lrNumber} / ${payment._id} (Rs ${payment.amount})`);
+                    continue;
+                }
+
+                // Link every row of each correction chain; the payment lists the
+                // current end of each chain
+                const chainIds = [];
+                const current = [];
+                for (const entry of rows.filter(Boolean)) {
+                    let row = entry;
+                    chainIds.push(row._id);
+                    while (row.replacedBy) {
+                        const next = await Ledger.findById(row.replacedBy);
+                        if (!next) break;
+                        row = next;
+                        chainIds.push(row._id);
+                    }
+                    if (!row.isReversed) current.push(row._id);
+                }
+
+                await Ledger.updateMany(
+                    { _id: { $in: chainIds } },
+                    { $set: { onTripPayment: payment._id } }
+                );
+
+                payment.ledgerEntries = current;
+                payment.agent = payment.agent || walletRow.agent;
+                changed = true;
+                linked += 1;
+            }
+
+            if (changed) {
+                await trip.save({ validateBeforeSave: false });
+            }
+        }
+
+        console.log(`✓ Linked ${linked} on-trip payment(s)`);
+        if (unmatched.length > 0) {
+            console.log(`⚠ ${unmatched.length} payment(s) could not be matched and need a manual ledger correction:`);
+            unmatched.forEach(line => console.log(`  - ${line}`));
+        }
+        process.exit(0);
+    } catch (error) {
+        console.error('Error linking trip payments:', error);
+        process.exit(1);
+    }
+};
+
+linkTripPayments();
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Trip = require('../models/Trip');
+const Route = require('../models/Route');
+const { locationKey, tidyLocation } = require('../utils/routeMaster');
+
+// Load env vars
+dotenv.config();
+
+// Link trips booked before the route master to their Route by from/to
+// (case and punctuation ignored) and rewrite their route names in the
+// master's spelling. With --create, from/to pairs that are not in the master
+// yet get a Route spelled like their most frequent trip spelling. Safe to run
+// more than once.
+const linkTripRoutes = async () => {
+    try {
+        const create = process.argv.includes('--create');
+
+        // Connect to database
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('MongoDB Connected...');
+
+        const pairs = await Trip.aggregate([
+            { $match: { routeMaster: null } },
+            { $group: { _id: { from: '$routeFrom', to: '$routeTo' }, trips: { $sum: 1 } } },
+            { $sort: { trips: -1 } },
+        ]);
+
+        let linkedTrips = 0;
+        let createdRoutes = 0;
+        const unknown = new Map();
+
+        for (const { _id: { from, to } } of pairs) {
+            const fromKey = locationKey(from);
+            const toKey = locationKey(to);
+            if (!fromKey || !toKey || fromKey === toKey) continue;
+
+            let route = await Route.findOne({ fromKey, toKey });
+            if (!route && create) {
+                // Pairs are sorted by trip count, so the first spelling seen is the most used
+                route = await Route.create({ from: tidyLocation(from), to: tidyLocation(to), fromKey, toKey });
+                createdRoutes += 1;
+            }
+            if (!route) {
+                unknown.set(`${fromKey}|${toKey}`, `${tidyLocation(from)} - ${tidyLocation(to)}`);
+                continue;
+            }
+
+            const result = await Trip.updateMany(
+                { routeMaster: null, routeFrom: from, routeTo: to },
+                { $set: { routeMaster: route._id, routeFrom: route.from, routeTo: route.to, route: `${route.from} - ${route.to}` } }
+            );
+            linkedTrips += result.modifiedCount;
+        }
+
+        console.log(`✓ Linked ${linkedTrips} trip(s) to the route master`);
+        if (create) {
+            console.log(`✓ Created ${createdRoutes} route(s)`);
+        }
+        if (unknown.size > 0) {
+            console.log(`⚠ ${unknown.size} route(s) are not in the route master (run with --create to add them):`);
+            [...unknown.values()].sort().forEach(route => console.log(`  - ${route}`));
+        }
+        process.exit(0);
+    } catch (error) {
+        console.error('Error linking trip routes:', error);
+        process.exit(1);
+    }
+};
+
+linkTripRoutes();
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Trip = require('../models/Trip');
+const Vehicle = require('../models/Vehicle');
+const { normalizeRegistration } = require('../utils/vehicles');
+
+// Load env vars
+dotenv.config();
+
+// Link trips booked before the vehicle master to their Vehicle by the
+// normalized truck number. With --create, trucks that are not in the master
+// yet get a bare Vehicle (registration number only) so their documents can be
+// filled in later. Safe to run more than once.
+const linkTripVehicles = async () => {
+    try {
+        const create = process.argv.includes('--create');
+
+        // Connect to database
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('MongoDB Connected...');
+
+        const truckNumbers = await Trip.distinct('truckNumber', { vehicle: null });
+        let linkedTrips = 0;
+        let createdVehicles = 0;
+        const unknown = new Set();
+
+        for (const truckNumber of truckNumbers) {
+            const registrationNumber = normalizeRegistration(truckNumber);
+            if (!registrationNumber) continue;
+
+            let vehicle = await Vehicle.findOne({ registrationNumber });
+            if (!vehicle && create) {
+                vehicle = await Vehicle.create({ registrationNumber });
+                createdVehicles += 1;
+            }
+            if (!vehicle) {
+                unknown.add(registrationNumber);
+                continue;
+            }
+
+            const result = await Trip.updateMany(
+                { vehicle: null, truckNumber },
+                { $set: { vehicle: vehicle._id, truckNumber: vehicle.registrationNumber } }
+            );
+            linkedTrips += result.modifiedCount;
+        }
+
+        console.log(`✓ Linked ${linkedTrips} trip(s) to the vehicle master`);
+        if (create) {
+            console.log(`✓ Created ${createdVehicles} vehicle(s)`);
+        }
+        if (unknown.size > 0) {
+            console.log(`⚠ ${unknown.size} truck number(s) are not in the vehicle master (run with --create to add them):`);
+            [...unknown].sort().forEach(number => console.log(`  - ${number}`));
+        }
+        process.exit(0);
+    } catch (error) {
+        console.error('Error linking trip vehicles:', error);
+        process.exit(1);
+    }
+};
+
+linkTripVehicles();
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load env vars
+dotenv.config();
+
+// Rename the legacy 'Dispute' trip status to 'In Dispute'. Runs on the raw
+// collection because 'Dispute' is no longer a valid value in the Trip schema.
+// Safe to run more than once.
+const migrateTripStatuses = async () => {
+    try {
+        // Connect to database
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('MongoDB Connected...');
+
+        const trips = mongoose.connection.collection('trips');
+        const result = await trips.updateMany(
+            { status: 'Dispute' },
+            {
+                $set: { status: 'In Dispute' },
+                $push: {
+                    statusHistory: {
+                        from: 'Dispute',
+                        to: 'In Dispute',
+                        action: 'migrateStatus',
+                        byRole: 'System',
+                        at: new Date(),
+                        note: "Legacy 'Dispute' status renamed",
+                    },
+                },
+            }
+        );
+
+        console.log(`✓ Migrated ${result.modifiedCount} trip(s) from 'Dispute' to 'In Dispute'`);
+        process.exit(0);
+    } catch (error) {
+        console.error('Error migrating trip statuses:', error);
+        process.exit(1);
+    }
+};
+
+migrateTripStatuses();
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Ledger = require('../models/Ledger');
+const User = require('../models/User');
+const { rebuildWallet } = require('../utils/wallet');
+
+// Load env vars
+dotenv.config();
+
+// Recompute every agent's wallet and the running balance stored on each
+// ledger entry from the full ledger history.
+// Usage: npm run wallets:rebuild [-- <agentId>]
+const rebuildWallets = async () => {
+    try {
+        // Connect to database
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('MongoDB Connected...');
+
+        let agentIds;
+        if (process.argv[2]) {
+            agentIds = [process.argv[2]];
+        } else {
+            const ledgerAgents = await Ledger.distinct('agent');
+            const agentUsers = await User.find({ role: 'Agent' }).distinct('_id');
+            agentIds = [...new Set([...ledgerAgents, ...agentUsers].filter(Boolean).map(String))];
+        }
+
+        console.log(`Rebuilding ${agentIds.length} wallet(s)...`);
+        for (const agentId of agentIds) {
+            const { wallet, entries, entriesUpdated } = await rebuildWallet(agentId);
+            console.log(`  - ${agentId}: balance ${wallet.balance} (${entries} entries, ${entriesUpdated} running balances fixed)`);
+        }
+
+        console.log('✓ Wallet rebuild complete');
+        process.exit(0);
+    } catch (error) {
+        console.error('Error rebuilding wallets:', error);
+        process.exit(1);
+    }
+};
+
+rebuildWallets();
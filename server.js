@@ -30,7 +30,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"]
+  allowedHeaders: ["Content-Type", "Authorization", "Idempotency-Key"],
+  exposedHeaders: ["Idempotent-Replayed"]
 };
 app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
@@ -48,7 +49,16 @@ app.use('/api/branches', require('./routes/branchRoutes'));
 app.use('/api/companies', require('./routes/companyRoutes'));
 console.log('Company routes registered at /api/companies');
 app.use('/api/trips', require('./routes/tripRoutes'));
+app.use('/api/lr-series', require('./routes/lrSeriesRoutes'));
+app.use('/api/vehicles', require('./routes/vehicleRoutes'));
+app.use('/api/drivers', require('./routes/driverRoutes'));
+app.use('/api/routes', require('./routes/routeRoutes'));
+app.use('/api/invoices', require('./routes/invoiceRoutes'));
+app.use('/api/receipts', require('./routes/receiptRoutes'));
 app.use('/api/ledger', require('./routes/ledgerRoutes'));
+app.use('/api/transfers', require('./routes/transferRoutes'));
+app.use('/api/periods', require('./routes/periodRoutes'));
+app.use('/api/reconciliation', require('./routes/reconciliationRoutes'));
 app.use('/api/disputes', require('./routes/disputeRoutes'));
 app.use('/api/reports', require('./routes/reportRoutes'));
 app.use('/api/audit-logs', require('./routes/auditLogRoutes'));
@@ -63,7 +73,8 @@ app.get('/api/health', (req, res) => {
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Error:', err);
-  res.status(err.status || 500).json({
+  // Upload limits (e.g. file too large) are the client's fault
+  res.status(err.status || (err.name === 'MulterError' ? 400 : 500)).json({
     message: err.message || 'Server Error',
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
   });
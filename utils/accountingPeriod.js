@@ -0,0 +1,145 @@
+const AccountingPeriod = require('../models/AccountingPeriod');
+const HttpError = require('./httpError');
+
+// Days and months are those of the business, not of the server
+const BUSINESS_TIMEZONE = process.env.BUSINESS_TIMEZONE || 'Asia/Kolkata';
+
+const zoneFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: BUSINESS_TIMEZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: 'numeric',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: 'numeric',
+  second: 'numeric',
+});
+
+// Calendar fields of `date` in the business time zone (month is 1-based)
+const zonedParts = (date) => {
+  const parts = {};
+  for (const { type, value } of zoneFormat.formatToParts(date)) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return parts;
+};
+
+// How far the business time zone is ahead of UTC at `time` (ms)
+const zoneOffset = (time) => {
+  const p = zonedParts(new Date(time));
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(time / 1000) * 1000;
+};
+
+// Instant of local midnight starting the given day (month is 0-based and may overflow)
+const zonedMidnight = (year, month, day) => {
+  const wall = Date.UTC(year, month, day);
+  let time = wall - zoneOffset(wall);
+  // Second pass in case the offset changes between the guess and the answer
+  time = wall - zoneOffset(time);
+  return new Date(time);
+};
+
+const pad2 = (value) => String(value).padStart(2, '0');
+
+// Business-local yyyy-mm-dd of `date`
+const localDateKey = (date) => {
+  const p = zonedParts(new Date(date));
+  return `${p.year}-${pad2(p.month)}-${pad2(p.day)}`;
+};
+
+// Business-local calendar day of a query value ({ year, month, day }, month
+// 1-based), or null if invalid. A 'YYYY-MM-DD' string is taken as written
+// rather than as UTC midnight.
+const localDay = (value) => {
+  const match = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value.trim());
+  if (match) {
+    const [year, month, day] = match.slice(1).map(Number);
+    const check = new Date(Date.UTC(year, month - 1, day));
+    return check.getUTCMonth() === month - 1 && check.getUTCDate() === day ? { year, month, day } : null;
+  }
+  const d = new Date(value);
+  if (isNaN(d.getTime())) return null;
+  const { year, month, day } = zonedParts(d);
+  return { year, month, day };
+};
+
+// Business-local 'yyyy-mm-dd hh:mm' of `date`
+const localDateTime = (date) => {
+  const p = zonedParts(new Date(date));
+  return `${p.year}-${pad2(p.month)}-${pad2(p.day)} ${pad2(p.hour)}:${pad2(p.minute)}`;
+};
+
+// Boundaries (in the business time zone) and key of the day or month containing `date`
+const periodBounds = (periodType, date) => {
+  const d = new Date(date);
+  if (isNaN(d.getTime())) {
+    throw new HttpError(400, 'Invalid period date');
+  }
+  const { year, month, day } = zonedParts(d);
+
+  if (periodType === 'Month') {
+    const startDate = zonedMidnight(year, month - 1, 1);
+    const endDate = new Date(zonedMidnight(year, month, 1).getTime() - 1);
+    return { key: `${year}-${pad2(month)}`, startDate, endDate };
+  }
+  if (periodType === 'Day') {
+    const startDate = zonedMidnight(year, month - 1, day);
+    const endDate = new Date(zonedMidnight(year, month - 1, day + 1).getTime() - 1);
+    return { key: `${year}-${pad2(month)}-${pad2(day)}`, startDate, endDate };
+  }
+  throw new HttpError(400, "periodType must be 'Day' or 'Month'");
+};
+
+// Closed period covering `date`, if any
+const findClosedPeriod = (date, session = null) => {
+  return AccountingPeriod.findOne({
+    status: 'Closed',
+    startDate: { $lte: date },
+    endDate: { $gte: date },
+  }).sort({ endDate: -1 }).session(session);
+};
+
+const closedPeriodError = (period, date) => new HttpError(
+  409,
+  `Accounting period ${period.key} is closed. Ledger entries dated ${localDateKey(date)} cannot be posted, edited or reversed.`,
+  { period: { id: period._id, periodType: period.periodType, key: period.key } }
+);
+
+// Reject if `date` falls inside a closed period
+const assertPeriodOpen = async (date, session = null) => {
+  const period = await findClosedPeriod(date, session);
+  if (period) {
+    throw closedPeriodError(period, date);
+  }
+};
+
+// Date a new posting should carry. A date inside a closed period is either
+// rejected (`onClosed: 'reject'`, for user-chosen dates) or moved to the
+// start of the next open day (`onClosed: 'roll'`, for system-dated postings).
+const resolvePostingDate = async (date, session = null, { onClosed = 'roll' } = {}) => {
+  let postingDate = new Date(date || Date.now());
+  let period = await findClosedPeriod(postingDate, session);
+  if (!period) return postingDate;
+
+  if (onClosed === 'reject') {
+    throw closedPeriodError(period, postingDate);
+  }
+
+  while (period) {
+    postingDate = new Date(period.endDate.getTime() + 1);
+    period = await findClosedPeriod(postingDate, session);
+  }
+  return postingDate;
+};
+
+module.exports = {
+  BUSINESS_TIMEZONE,
+  zonedMidnight,
+  localDay,
+  localDateKey,
+  localDateTime,
+  periodBounds,
+  findClosedPeriod,
+  assertPeriodOpen,
+  resolvePostingDate,
+};
@@ -0,0 +1,192 @@
+const PDFDocument = require('pdfkit');
+const Ledger = require('../models/Ledger');
+const { entryDelta } = require('./wallet');
+const { toCsv } = require('./csv');
+const HttpError = require('./httpError');
+const { BUSINESS_TIMEZONE, zonedMidnight, localDay, localDateKey, localDateTime } = require('./accountingPeriod');
+
+// Statement period from query strings, in whole days of the business time
+// zone (the days accounting periods close). `to` is inclusive to the end of
+// that day; defaults are the start of the current month and today.
+const statementPeriod = (from, to) => {
+  const today = localDay(new Date());
+  const fromDay = from ? localDay(from) : { ...today, day: 1 };
+  const toDay = to ? localDay(to) : today;
+
+  if (!fromDay || !toDay) {
+    throw new HttpError(400, 'Invalid from/to date');
+  }
+
+  const fromDate = zonedMidnight(fromDay.year, fromDay.month - 1, fromDay.day);
+  const toDate = new Date(zonedMidnight(toDay.year, toDay.month - 1, toDay.day + 1).getTime() - 1);
+  if (fromDate > toDate) {
+    throw new HttpError(400, "'from' must be on or before 'to'");
+  }
+  return { fromDate, toDate };
+};
+
+// Opening balance, chronological entries with running balance, totals and
+// closing balance for one agent. Informational rows are listed but do not
+// move the balance or count towards the totals.
+const buildAgentStatement = async (agent, from, to) => {
+  const { fromDate, toDate } = statementPeriod(from, to);
+
+  const openingAgg = await Ledger.aggregate([
+    { $match: { agent: agent._id, date: { $lt: fromDate }, isInformational: { $ne: true } } },
+    {
+      $group: {
+        _id: '$direction',
+        total: { $sum: { $convert: { input: '$amount', to: 'double', onError: 0, onNull: 0 } } },
+      },
+    },
+  ]);
+  let openingBalance = 0;
+  openingAgg.forEach(row => {
+    openingBalance += row._id === 'Credit' ? row.total : -row.total;
+  });
+
+  const entries = await Ledger.find({ agent: agent._id, date: { $gte: fromDate, $lte: toDate } })
+    .sort({ date: 1, createdAt: 1, _id: 1 });
+
+  let running = openingBalance;
+  let totalCredit = 0;
+  let totalDebit = 0;
+  const rows = entries.map(entry => {
+    const delta = entryDelta(entry);
+    running += delta;
+    if (delta > 0) totalCredit += delta;
+    if (delta < 0) totalDebit -= delta;
+
+    return {
+      id: entry._id,
+      date: entry.date,
+      lrNumber: entry.lrNumber,
+      description: entry.description,
+      type: entry.type,
+      direction: entry.direction,
+      amount: entry.amount,
+      isInformational: Boolean(entry.isInformational),
+      isReversed: Boolean(entry.isReversed),
+      reversalOf: entry.reversalOf || null,
+      replacementOf: entry.replacementOf || null,
+      balance: running,
+    };
+  });
+
+  return {
+    agent: {
+      id: agent._id,
+      name: agent.name,
+      email: agent.email,
+      phone: agent.phone,
+      branch: agent.branch,
+    },
+    from: fromDate,
+    to: toDate,
+    openingBalance,
+    totalCredit,
+    totalDebit,
+    closingBalance: running,
+    entries: rows,
+  };
+};
+
+const formatDate = (date) => localDateKey(date);
+const formatAmount = (value) => Number(value || 0).toFixed(2);
+
+const renderStatementCsv = (statement) => {
+  const headers = ['Date', 'LR Number', 'Description', 'Type', 'Debit', 'Credit', 'Balance', 'Note'];
+  const rows = [
+    [formatDate(statement.from), '', 'Opening balance', '', '', '', formatAmount(statement.openingBalance), ''],
+    ...statement.entries.map(entry => [
+      formatDate(entry.date),
+      entry.lrNumber || '',
+      entry.description,
+      entry.type,
+      entry.direction === 'Debit' ? formatAmount(entry.amount) : '',
+      entry.direction === 'Credit' ? formatAmount(entry.amount) : '',
+      formatAmount(entry.balance),
+      entry.isInformational ? 'Informational - not in balance' : (entry.isReversed ? 'Reversed' : ''),
+    ]),
+    ['', '', 'Total', '', formatAmount(statement.totalDebit), formatAmount(statement.totalCredit), '', ''],
+    [formatDate(statement.to), '', 'Closing balance', '', '', '', formatAmount(statement.closingBalance), ''],
+  ];
+  return toCsv(headers, rows);
+};
+
+// Printable A4 statement, written to `stream` (e.g. the HTTP response)
+const renderStatementPdf = (statement, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  doc.pipe(stream);
+
+  const columns = [
+    { label: 'Date', width: 62 },
+    { label: 'LR No', width: 78 },
+    { label: 'Description', width: 165 },
+    { label: 'Debit', width: 65, align: 'right' },
+    { label: 'Credit', width: 65, align: 'right' },
+    { label: 'Balance', width: 80, align: 'right' },
+  ];
+  const left = doc.page.margins.left;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+
+  const drawRow = (cells, { bold = false, color = 'black' } = {}) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8).fillColor(color);
+    const height = Math.max(...cells.map((cell, i) => doc.heightOfString(String(cell), { width: columns[i].width - 4 }))) + 4;
+    if (doc.y + height > bottom) {
+      doc.addPage();
+      drawHeader();
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8).fillColor(color);
+    }
+    const y = doc.y;
+    let x = left;
+    cells.forEach((cell, i) => {
+      doc.text(String(cell), x + 2, y + 2, { width: columns[i].width - 4, align: columns[i].align || 'left' });
+      x += columns[i].width;
+    });
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  const drawHeader = () => {
+    drawRow(columns.map(c => c.label), { bold: true });
+    doc.moveTo(left, doc.y).lineTo(left + columns.reduce((sum, c) => sum + c.width, 0), doc.y).stroke();
+  };
+
+  doc.font('Helvetica-Bold').fontSize(16).text('Agent Account Statement', { align: 'center' });
+  doc.moveDown(0.5);
+  doc.font('Helvetica').fontSize(10)
+    .text(`Agent: ${statement.agent.name}${statement.agent.phone ? ` (${statement.agent.phone})` : ''}`)
+    .text(`Branch: ${statement.agent.branch || '-'}`)
+    .text(`Period: ${formatDate(statement.from)} to ${formatDate(statement.to)}`)
+    .text(`Generated: ${localDateTime(new Date())} (${BUSINESS_TIMEZONE})`);
+  doc.moveDown();
+
+  drawHeader();
+  drawRow([formatDate(statement.from), '', 'Opening balance', '', '', formatAmount(statement.openingBalance)], { bold: true });
+  statement.entries.forEach(entry => {
+    const note = entry.isInformational ? ' [info only]' : (entry.isReversed ? ' [reversed]' : '');
+    drawRow([
+      formatDate(entry.date),
+      entry.lrNumber || '',
+      `${entry.description}${note}`,
+      entry.direction === 'Debit' ? formatAmount(entry.amount) : '',
+      entry.direction === 'Credit' ? formatAmount(entry.amount) : '',
+      formatAmount(entry.balance),
+    ], { color: entry.isInformational ? 'gray' : 'black' });
+  });
+  drawRow(['', '', 'Total', formatAmount(statement.totalDebit), formatAmount(statement.totalCredit), ''], { bold: true });
+  drawRow([formatDate(statement.to), '', 'Closing balance', '', '', formatAmount(statement.closingBalance)], { bold: true });
+
+  doc.moveDown();
+  doc.font('Helvetica').fontSize(7).fillColor('gray')
+    .text('Rows marked [info only] are informational and are not included in totals or balances.', left);
+
+  doc.end();
+};
+
+module.exports = {
+  buildAgentStatement,
+  renderStatementCsv,
+  renderStatementPdf,
+};
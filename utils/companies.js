@@ -0,0 +1,47 @@
+const Company = require('../models/Company');
+const HttpError = require('./httpError');
+
+// Company master entry with this name (case-insensitive), if any
+const findCompanyByName = (name, session = null) => {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) return null;
+  return Company.findOne({ name: trimmed }).collation({ locale: 'en', strength: 2 }).session(session);
+};
+
+// Look up the company of a new trip. `companyId` picks the company
+// explicitly; otherwise it is found by `companyName`. Returns
+// { company, companyName, warnings }: the name is the snapshot stored on the
+// trip (the master's spelling when known). Unknown names are allowed with a
+// warning; inactive companies are refused with 400.
+const checkTripCompany = async ({ companyId, companyName }) => {
+  let company = null;
+
+  if (companyId) {
+    company = await Company.findById(companyId);
+    if (!company) {
+      throw new HttpError(404, 'Company not found');
+    }
+  } else {
+    company = await findCompanyByName(companyName);
+  }
+
+  if (!company) {
+    const typed = String(companyName || '').trim();
+    return {
+      company: null,
+      companyName: typed,
+      warnings: typed ? [`Company ${typed} is not in the company master`] : [],
+    };
+  }
+
+  if (!company.isActive) {
+    throw new HttpError(400, `Company ${company.name} is inactive and can't be booked`, { companyId: company._id });
+  }
+
+  return { company, companyName: company.name, warnings: [] };
+};
+
+module.exports = {
+  findCompanyByName,
+  checkTripCompany,
+};
@@ -0,0 +1,108 @@
+// Company name deduplication: "ABC Cements", "abc cement ltd" and
+// "A.B.C. Cement Pvt. Ltd." all normalize to "abc cement". Names whose
+// normalized forms are equal, or close by edit distance, are clustered.
+
+// Default minimum similarity (0-1) for two normalized names to be clustered
+const DEFAULT_SIMILARITY = 0.85;
+
+// Legal suffixes and filler words that don't tell companies apart
+const STOPWORDS = new Set([
+  'the', 'and', 'ms', 'm', 's',
+  'ltd', 'limited', 'pvt', 'private', 'pte', 'co', 'company', 'corp', 'corporation',
+  'inc', 'incorporated', 'llp', 'plc', 'india',
+]);
+
+// "M/s. A.B.C. Cements Pvt. Ltd." -> "abc cement"
+const normalizeCompanyName = (name) => {
+  const words = String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/\.(?=[a-z]\.)|(?<=\b[a-z])\.(?=\s|$)/g, '') // A.B.C. -> ABC
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !STOPWORDS.has(word))
+    // Plural/singular variants ("cements" / "cement")
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+  return words.join(' ');
+};
+
+// Edit distance between two strings
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Similarity of two normalized names, 1 = identical
+const nameSimilarity = (a, b) => {
+  if (a === b) return 1;
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0) return 1;
+  // Spaces don't count ("abccement" vs "abc cement")
+  if (a.replace(/ /g, '') === b.replace(/ /g, '')) return 1;
+  return 1 - levenshtein(a, b) / longest;
+};
+
+// Group `entries` ({ name, ... }) whose names are near-duplicates. Returns
+// the clusters with more than one entry, each { key, similarity, entries }.
+const clusterCompanyNames = (entries, minSimilarity = DEFAULT_SIMILARITY) => {
+  // Entries with the same normalized name start in one group
+  const groups = new Map();
+  entries.forEach(entry => {
+    const key = normalizeCompanyName(entry.name);
+    if (!key) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  });
+
+  // Union-find over the normalized names for the fuzzy matches
+  const keys = [...groups.keys()];
+  const parent = keys.map((_, i) => i);
+  const lowest = keys.map(() => 1);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  for (let i = 0; i < keys.length; i++) {
+    for (let j = i + 1; j < keys.length; j++) {
+      // Cheap length check before the edit distance
+      const longest = Math.max(keys[i].length, keys[j].length);
+      if (Math.abs(keys[i].length - keys[j].length) > longest * (1 - minSimilarity)) continue;
+      const similarity = nameSimilarity(keys[i], keys[j]);
+      if (similarity >= minSimilarity) {
+        const a = find(i);
+        const b = find(j);
+        if (a !== b) {
+          parent[b] = a;
+          lowest[a] = Math.min(lowest[a], lowest[b], similarity);
+        } else {
+          lowest[a] = Math.min(lowest[a], similarity);
+        }
+      }
+    }
+  }
+
+  const clusters = new Map();
+  keys.forEach((key, i) => {
+    const root = find(i);
+    if (!clusters.has(root)) clusters.set(root, { key: keys[root], similarity: lowest[root], entries: [] });
+    clusters.get(root).entries.push(...groups.get(key));
+  });
+
+  return [...clusters.values()]
+    .filter(cluster => cluster.entries.length > 1)
+    .map(cluster => ({ ...cluster, similarity: Math.round(cluster.similarity * 100) / 100 }));
+};
+
+module.exports = {
+  DEFAULT_SIMILARITY,
+  normalizeCompanyName,
+  nameSimilarity,
+  clusterCompanyNames,
+};
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const Branch = require('../models/Branch');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { can } = require('./permissions');
+
+// Trip.branch holds either a Branch id or a branch name - accept both
+const findBranch = async (value) => {
+  if (!value) return null;
+  if (mongoose.Types.ObjectId.isValid(value)) {
+    const byId = await Branch.findById(value);
+    if (byId) return byId;
+  }
+  return Branch.findOne({ name: String(value).toUpperCase() });
+};
+
+// How far below zero the agent's available balance may go. The agent's limit
+// for `branchValue` wins over their default limit; null means no limit is set.
+const getCreditLimit = async (agent, branchValue = null) => {
+  if (branchValue && agent.branchCreditLimits && agent.branchCreditLimits.length > 0) {
+    const branch = await findBranch(branchValue);
+    const branchLimit = branch && agent.branchCreditLimits.find(l => String(l.branch) === String(branch._id));
+    if (branchLimit) return branchLimit.limit;
+  }
+  return agent.creditLimit === undefined ? null : agent.creditLimit;
+};
+
+// Credit limit override requested on this call (`creditOverrideReason` in the
+// body). Only roles with the 'credit.override' permission may override.
+const creditOverrideFromRequest = (req) => {
+  const reason = req.body && req.body.creditOverrideReason;
+  if (!reason || !can(req.user.role, 'credit.override')) return null;
+  return { reason, overriddenBy: req.user._id, overriddenByRole: req.user.role };
+};
+
+// Overrides taken from grants in the current transaction attempt, by agent, so
+// every debit of the same action can use the grant it consumed. Keyed by the
+// driver's per-attempt transaction object, so a retried attempt starts empty.
+const grantsInUse = new WeakMap();
+
+// Use up the agent's advance override grant for a debit on `tripId` that
+// would cross their credit limit. Clears the grant and audits its use in the
+// same session; returns the override to record on the entry, or null.
+const useCreditOverrideGrant = async (agentId, tripId, session) => {
+  const inUse = session && session.transaction ? grantsInUse.get(session.transaction) : null;
+  if (inUse && inUse.has(String(agentId))) return inUse.get(String(agentId));
+
+  const filter = {
+    _id: agentId,
+    'creditOverrideGrant.expiresAt': { $gt: new Date() },
+    'creditOverrideGrant.trip': tripId ? { $in: [null, tripId] } : null,
+  };
+  // Returns the agent as it was, with the grant that was just cleared
+  const agent = await User.findOneAndUpdate(filter, { $set: { creditOverrideGrant: null } }, { session });
+  if (!agent) return null;
+
+  const grant = agent.creditOverrideGrant;
+  const override = {
+    reason: grant.reason,
+    overriddenBy: grant.grantedBy,
+    overriddenByRole: grant.grantedByRole,
+    grantedAt: grant.grantedAt,
+  };
+  await AuditLog.create([{
+    action: 'Use Credit Override',
+    entityType: 'User',
+    entityId: agent._id,
+    userId: grant.grantedBy,
+    userRole: grant.grantedByRole,
+    changes: { reason: grant.reason, grantedAt: grant.grantedAt, expiresAt: grant.expiresAt, grantTrip: grant.trip, tripId: tripId || null },
+  }], { session });
+
+  if (session && session.transaction) {
+    if (!grantsInUse.has(session.transaction)) grantsInUse.set(session.transaction, new Map());
+    grantsInUse.get(session.transaction).set(String(agentId), override);
+  }
+  return override;
+};
+
+module.exports = { findBranch, getCreditLimit, creditOverrideFromRequest, useCreditOverrideGrant };
@@ -0,0 +1,82 @@
+// Minimal RFC 4180 CSV parser: quoted fields, escaped quotes ("") and
+// newlines inside quotes. Returns an array of rows (arrays of strings).
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text).replace(/^\uFEFF/, ''); // Strip BOM (Excel exports)
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+};
+
+// Parse CSV with a header row into objects keyed by the trimmed header names
+const parseCsvWithHeader = (text) => {
+  const rows = parseCsv(text);
+  if (rows.length === 0) return { headers: [], records: [] };
+
+  const headers = rows[0].map(h => h.trim());
+  const records = rows.slice(1).map(cells => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = (cells[index] || '').trim();
+    });
+    return record;
+  });
+  return { headers, records };
+};
+
+// Quote a value for CSV output. Text a spreadsheet would run as a formula
+// (leading =, +, -, @, tab or CR) gets a leading ' so it opens as text;
+// plain numbers such as -500.00 are left alone.
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let str = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(str) && !/^[-+]?\d+(\.\d+)?$/.test(str)) {
+    str = `'${str}`;
+  }
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+// Build CSV text from a header row and data rows
+const toCsv = (headers, rows) => {
+  return [headers, ...rows].map(row => row.map(toCsvValue).join(',')).join('\r\n') + '\r\n';
+};
+
+module.exports = { parseCsv, parseCsvWithHeader, toCsv };
@@ -0,0 +1,87 @@
+const Driver = require('../models/Driver');
+const HttpError = require('./httpError');
+
+// "+91 98765-43210" / "098765 43210" -> "9876543210"; anything that isn't a
+// 10-digit Indian mobile number is kept as its digits
+const normalizePhone = (value) => {
+  const digits = String(value || '').replace(/\D/g, '');
+  if (digits.length === 12 && digits.startsWith('91')) return digits.slice(2);
+  if (digits.length === 11 && digits.startsWith('0')) return digits.slice(1);
+  return digits;
+};
+
+// "DL-04 2011 0012345" -> "DL0420110012345"
+const normalizeLicence = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// Regex matching a phone number as typed on older trips (+91/0 prefix,
+// spaces and dashes ignored)
+const phonePattern = (phone) => new RegExp(
+  `^\\D*(?:91|0)?\\D*${normalizePhone(phone).split('').join('\\D*')}\\D*$`
+);
+
+// Look up the driver of a new trip dated `date`. `driverId` picks the driver
+// explicitly; otherwise the driver is found by `driverPhoneNumber`. Returns
+// { driver, driverPhoneNumber, driverName, warnings }: the phone is the
+// snapshot stored on the trip (the typed one, or the driver's first phone).
+// Unknown phones are allowed with a warning; inactive drivers are refused
+// with 400 and an expired licence is warned about.
+const checkTripDriver = async ({ driverId, driverPhoneNumber }, date) => {
+  const typedPhone = String(driverPhoneNumber || '').trim();
+  let driver = null;
+
+  if (driverId) {
+    driver = await Driver.findById(driverId);
+    if (!driver) {
+      throw new HttpError(404, 'Driver not found');
+    }
+  } else if (normalizePhone(typedPhone)) {
+    driver = await Driver.findOne({ phones: normalizePhone(typedPhone) });
+  }
+
+  if (!driver) {
+    return {
+      driver: null,
+      driverPhoneNumber: typedPhone,
+      driverName: '',
+      warnings: typedPhone ? [`Driver phone ${typedPhone} is not in the driver master`] : [],
+    };
+  }
+
+  if (!driver.isActive) {
+    throw new HttpError(400, `Driver ${driver.name || driver.phones[0]} is inactive and can't be booked`, { driverId: driver._id });
+  }
+
+  const warnings = [];
+  if (driver.licenceExpiry) {
+    const day = new Date(date || new Date());
+    day.setUTCHours(0, 0, 0, 0);
+    if (driver.licenceExpiry < day) {
+      warnings.push(`Driving licence of ${driver.name || driver.phones[0]} expired on ${driver.licenceExpiry.toISOString().slice(0, 10)}`);
+    }
+  }
+
+  if (!typedPhone && driver.phones.length === 0) {
+    throw new HttpError(400, 'Driver phone number is required (the driver has no phone on record)');
+  }
+
+  return {
+    driver,
+    driverPhoneNumber: typedPhone || driver.phones[0],
+    driverName: driver.name,
+    warnings,
+  };
+};
+
+// Record that the driver drove the trip's vehicle
+const linkDriverVehicle = async (driverId, vehicleId, session = null) => {
+  if (!driverId || !vehicleId) return;
+  await Driver.updateOne({ _id: driverId }, { $addToSet: { vehicles: vehicleId } }, { session });
+};
+
+module.exports = {
+  normalizePhone,
+  normalizeLicence,
+  phonePattern,
+  checkTripDriver,
+  linkDriverVehicle,
+};
@@ -0,0 +1,51 @@
+// GSTIN / PAN validation.
+//
+// A GSTIN is 15 characters: 2-digit state code, the holder's PAN (10),
+// entity number (1-9, A-Z), 'Z', and a check character computed over the
+// first 14 characters in base 36 with weights alternating 1, 2.
+const CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const GSTIN_FORMAT = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const PAN_FORMAT = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+
+const normalizeGstin = (value) => String(value || '').toUpperCase().replace(/\s/g, '');
+const normalizePan = normalizeGstin;
+
+// Check character for the first 14 characters of a GSTIN
+const gstinCheckChar = (first14) => {
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = CHARSET.indexOf(first14[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return CHARSET[(36 - (sum % 36)) % 36];
+};
+
+// Error message for an invalid GSTIN, or null when it is valid
+const gstinError = (gstin) => {
+  if (!GSTIN_FORMAT.test(gstin)) {
+    return `GSTIN ${gstin} is not in the 15-character GSTIN format`;
+  }
+  const stateCode = Number(gstin.slice(0, 2));
+  if (stateCode < 1 || stateCode > 38) {
+    return `GSTIN ${gstin} has an unknown state code ${gstin.slice(0, 2)}`;
+  }
+  if (gstinCheckChar(gstin.slice(0, 14)) !== gstin[14]) {
+    return `GSTIN ${gstin} fails the checksum (check the characters for typos)`;
+  }
+  return null;
+};
+
+// Error message for an invalid PAN, or null when it is valid
+const panError = (pan) => (PAN_FORMAT.test(pan) ? null : `PAN ${pan} is not in the format AAAAA9999A`);
+
+// PAN embedded in a GSTIN
+const panFromGstin = (gstin) => gstin.slice(2, 12);
+
+module.exports = {
+  normalizeGstin,
+  normalizePan,
+  gstinCheckChar,
+  gstinError,
+  panError,
+  panFromGstin,
+};
@@ -0,0 +1,12 @@
+// Error carrying an HTTP status code. Thrown from helpers (e.g. inside a
+// transaction) and turned into a `{ message }` response by the controller.
+class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = HttpError;
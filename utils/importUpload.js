@@ -0,0 +1,24 @@
+const multer = require('multer');
+const path = require('path');
+const HttpError = require('./httpError');
+
+// Data files (CSV statements, CSV/Excel trip imports) are parsed straight from
+// memory and never stored, unlike attachments which go to Cloudinary (see upload.js)
+const importUpload = (extensions, label) => multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (extensions.includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    // A status lets the error handler answer 400 instead of 500
+    cb(new HttpError(400, `Only ${label} files are allowed!`), false);
+  },
+});
+
+module.exports = {
+  csvUpload: importUpload(['.csv'], 'CSV'),
+  spreadsheetUpload: importUpload(['.csv', '.xlsx'], 'CSV or Excel (.xlsx)'),
+};
@@ -0,0 +1,277 @@
+const PDFDocument = require('pdfkit');
+const Counter = require('../models/Counter');
+const { financialYearKey } = require('./lrSeries');
+
+// Trip deduction fields that may be billed to the customer on top of freight
+const INVOICE_CHARGE_FIELDS = ['cess', 'kata', 'excessTonnage', 'halting', 'expenses', 'others'];
+// Billed when the request doesn't choose: detention (halting) and excess weight
+const DEFAULT_CHARGE_FIELDS = ['halting', 'excessTonnage'];
+const CHARGE_LABELS = {
+  cess: 'Cess',
+  kata: 'Kata',
+  excessTonnage: 'Excess Tonnage',
+  halting: 'Halting',
+  expenses: 'Expenses',
+  others: 'Others',
+};
+
+// GST rates for goods transport: 5% (usually under reverse charge) or 12% forward charge
+const GST_RATES = [0, 5, 12, 18];
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Our own details as printed on invoices (from the environment)
+const supplierDetails = () => {
+  const gstin = (process.env.SUPPLIER_GSTIN || '').toUpperCase() || null;
+  return {
+    name: process.env.SUPPLIER_NAME || '',
+    gstin,
+    stateCode: gstin ? gstin.slice(0, 2) : (process.env.SUPPLIER_STATE_CODE || null),
+    address: process.env.SUPPLIER_ADDRESS || '',
+  };
+};
+
+const formatAddress = (address) => {
+  if (!address) return '';
+  const cityLine = [address.city, address.state].filter(Boolean).join(', ');
+  return [address.line1, address.line2, [cityLine, address.pincode].filter(Boolean).join(' - ')]
+    .filter(Boolean)
+    .join(', ');
+};
+
+// Customer details as printed on the invoice
+const billingParty = (company) => ({
+  name: company.name,
+  gstin: company.gstin || null,
+  stateCode: company.stateCode || null,
+  address: formatAddress(company.billingAddress),
+});
+
+// Next number of a financial-year document series, e.g. INV/26-27/00012.
+// The counter is bumped with $inc inside the caller's transaction, so numbers
+// are unique and a rolled-back document leaves no gap.
+const allocateDocumentNumber = async (series, prefix, date, session) => {
+  const financialYear = financialYearKey(date);
+  const counter = await Counter.findOneAndUpdate(
+    { _id: `${series}:${financialYear}` },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return `${prefix}/${financialYear}/${String(counter.seq).padStart(5, '0')}`;
+};
+
+const allocateInvoiceNumber = (date, session) => allocateDocumentNumber('invoice', process.env.INVOICE_PREFIX || 'INV', date, session);
+
+// One line per trip: freight plus the chosen deduction fields
+const buildInvoiceLines = (trips, chargeFields) => trips.map(trip => {
+  const deductions = trip.deductions || {};
+  const charges = {};
+  chargeFields.forEach(field => {
+    const amount = round2(deductions[field]);
+    if (amount) charges[field] = amount;
+  });
+  const freight = round2(trip.freight);
+  return {
+    trip: trip._id,
+    lrNumber: trip.lrNumber,
+    date: trip.date,
+    truckNumber: trip.truckNumber,
+    route: trip.route,
+    tonnage: trip.tonnage || 0,
+    freight,
+    charges,
+    amount: round2(freight + Object.values(charges).reduce((sum, value) => sum + value, 0)),
+  };
+});
+
+// GST on the lines' taxable value. Same supplier and customer state means
+// CGST + SGST (half each), otherwise (or when a state is unknown) IGST.
+// Under reverse charge the tax is shown but not added to the total.
+const computeInvoiceTotals = (lines, { gstRate, reverseCharge, supplierStateCode, placeOfSupply }) => {
+  const taxableValue = round2(lines.reduce((sum, line) => sum + line.amount, 0));
+  const interState = !(supplierStateCode && placeOfSupply && supplierStateCode === placeOfSupply);
+  const tax = round2(taxableValue * gstRate / 100);
+  const cgst = interState ? 0 : round2(tax / 2);
+  const sgst = interState ? 0 : round2(tax - cgst);
+  const igst = interState ? tax : 0;
+  const gross = taxableValue + (reverseCharge ? 0 : tax);
+  const total = Math.round(gross);
+
+  return {
+    taxableValue,
+    gstRate,
+    reverseCharge,
+    interState,
+    cgst,
+    sgst,
+    igst,
+    totalTax: tax,
+    roundOff: round2(total - gross),
+    total,
+  };
+};
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten', 'Eleven', 'Twelve',
+  'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const belowHundred = (n) => (n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]}${n % 10 ? ` ${ONES[n % 10]}` : ''}`);
+const belowThousand = (n) => [
+  Math.floor(n / 100) ? `${ONES[Math.floor(n / 100)]} Hundred` : '',
+  n % 100 ? belowHundred(n % 100) : '',
+].filter(Boolean).join(' ');
+
+// 125000 -> "One Lakh Twenty Five Thousand" (Indian numbering)
+const numberInWords = (value) => {
+  let n = Math.floor(Math.abs(value));
+  if (n === 0) return 'Zero';
+  const parts = [];
+  const crore = Math.floor(n / 10000000);
+  n %= 10000000;
+  if (crore) parts.push(`${numberInWords(crore)} Crore`);
+  const lakh = Math.floor(n / 100000);
+  n %= 100000;
+  if (lakh) parts.push(`${belowHundred(lakh)} Lakh`);
+  const thousand = Math.floor(n / 1000);
+  n %= 1000;
+  if (thousand) parts.push(`${belowHundred(thousand)} Thousand`);
+  if (n) parts.push(belowThousand(n));
+  return parts.join(' ');
+};
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+const formatAmount = (value) => Number(value || 0).toFixed(2);
+
+// Printable A4 tax invoice, written to `stream` (e.g. the HTTP response)
+const renderInvoicePdf = (invoice, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  doc.pipe(stream);
+
+  const columns = [
+    { label: 'LR No', width: 70 },
+    { label: 'Date', width: 55 },
+    { label: 'Truck', width: 65 },
+    { label: 'Route', width: 105 },
+    { label: 'Tonnage', width: 45, align: 'right' },
+    { label: 'Freight', width: 60, align: 'right' },
+    { label: 'Charges', width: 55, align: 'right' },
+    { label: 'Amount', width: 60, align: 'right' },
+  ];
+  const left = doc.page.margins.left;
+  const tableWidth = columns.reduce((sum, c) => sum + c.width, 0);
+  const bottom = doc.page.height - doc.page.margins.bottom;
+
+  const drawRow = (cells, { bold = false } = {}) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8).fillColor('black');
+    const height = Math.max(...cells.map((cell, i) => doc.heightOfString(String(cell), { width: columns[i].width - 4 }))) + 4;
+    if (doc.y + height > bottom) {
+      doc.addPage();
+      drawHeader();
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    }
+    const y = doc.y;
+    let x = left;
+    cells.forEach((cell, i) => {
+      doc.text(String(cell), x + 2, y + 2, { width: columns[i].width - 4, align: columns[i].align || 'left' });
+      x += columns[i].width;
+    });
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  const drawHeader = () => {
+    drawRow(columns.map(c => c.label), { bold: true });
+    doc.moveTo(left, doc.y).lineTo(left + tableWidth, doc.y).stroke();
+  };
+
+  // Label/value row right-aligned under the table
+  const drawTotal = (label, value, bold = false) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    const y = doc.y;
+    doc.text(label, left + tableWidth - 220, y, { width: 140, align: 'right' });
+    doc.text(value, left + tableWidth - 80, y, { width: 80, align: 'right' });
+    doc.x = left;
+  };
+
+  doc.font('Helvetica-Bold').fontSize(16).text('Tax Invoice', { align: 'center' });
+  doc.moveDown(0.5);
+
+  const top = doc.y;
+  doc.font('Helvetica-Bold').fontSize(10).text(invoice.supplier.name || '-', left, top, { width: 250 });
+  doc.font('Helvetica').fontSize(9)
+    .text(invoice.supplier.address || '', { width: 250 })
+    .text(`GSTIN: ${invoice.supplier.gstin || '-'}`, { width: 250 });
+  const supplierBottom = doc.y;
+
+  doc.font('Helvetica').fontSize(9)
+    .text(`Invoice No: ${invoice.invoiceNumber}`, left + 300, top, { width: 215 })
+    .text(`Invoice Date: ${formatDate(invoice.invoiceDate)}`, { width: 215 })
+    .text(`Due Date: ${formatDate(invoice.dueDate)}`, { width: 215 })
+    .text(`Period: ${formatDate(invoice.periodFrom)} to ${formatDate(invoice.periodTo)}`, { width: 215 });
+  doc.y = Math.max(doc.y, supplierBottom);
+  doc.moveDown();
+
+  doc.font('Helvetica-Bold').fontSize(9).text('Bill To:', left);
+  doc.font('Helvetica')
+    .text(invoice.billTo.name)
+    .text(invoice.billTo.address || '')
+    .text(`GSTIN: ${invoice.billTo.gstin || 'Unregistered'}    Place of supply (state code): ${invoice.billTo.stateCode || '-'}`);
+  doc.moveDown();
+
+  drawHeader();
+  invoice.lines.forEach(line => {
+    const charges = line.charges instanceof Map ? Object.fromEntries(line.charges) : (line.charges || {});
+    const chargeTotal = Object.values(charges).reduce((sum, value) => sum + value, 0);
+    drawRow([
+      line.lrNumber || '',
+      formatDate(line.date),
+      line.truckNumber || '',
+      line.route || '',
+      line.tonnage || '',
+      formatAmount(line.freight),
+      chargeTotal ? formatAmount(chargeTotal) : '',
+      formatAmount(line.amount),
+    ]);
+  });
+  doc.moveTo(left, doc.y).lineTo(left + tableWidth, doc.y).stroke();
+  doc.moveDown(0.5);
+
+  if (doc.y + 120 > bottom) doc.addPage();
+  drawTotal('Taxable value', formatAmount(invoice.taxableValue));
+  if (invoice.interState) {
+    drawTotal(`IGST @ ${invoice.gstRate}%`, formatAmount(invoice.igst));
+  } else {
+    drawTotal(`CGST @ ${invoice.gstRate / 2}%`, formatAmount(invoice.cgst));
+    drawTotal(`SGST @ ${invoice.gstRate / 2}%`, formatAmount(invoice.sgst));
+  }
+  if (invoice.roundOff) drawTotal('Round off', formatAmount(invoice.roundOff));
+  drawTotal('Invoice total', formatAmount(invoice.total), true);
+  doc.moveDown();
+
+  doc.font('Helvetica').fontSize(9).text(`Amount in words: Rupees ${numberInWords(invoice.total)} Only`, left);
+  if (invoice.chargeFields && invoice.chargeFields.length > 0) {
+    doc.text(`Charges include: ${invoice.chargeFields.map(field => CHARGE_LABELS[field] || field).join(', ')}`);
+  }
+  if (invoice.reverseCharge) {
+    doc.font('Helvetica-Bold').text(`GST of Rs ${formatAmount(invoice.totalTax)} is payable by the recipient under reverse charge.`);
+  }
+  if (invoice.status === 'Cancelled') {
+    doc.moveDown().font('Helvetica-Bold').fontSize(12).fillColor('red').text('CANCELLED', { align: 'center' });
+  }
+
+  doc.end();
+};
+
+module.exports = {
+  INVOICE_CHARGE_FIELDS,
+  DEFAULT_CHARGE_FIELDS,
+  GST_RATES,
+  supplierDetails,
+  billingParty,
+  allocateDocumentNumber,
+  allocateInvoiceNumber,
+  buildInvoiceLines,
+  computeInvoiceTotals,
+  numberInWords,
+  renderInvoicePdf,
+};
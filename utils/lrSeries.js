@@ -0,0 +1,111 @@
+const LrSeries = require('../models/LrSeries');
+const Trip = require('../models/Trip');
+const { findBranch } = require('./creditLimit');
+const HttpError = require('./httpError');
+const { localDay } = require('./accountingPeriod');
+
+// Safety net when hand-typed LR numbers already use the next few numbers
+const MAX_ALLOCATION_ATTEMPTS = 20;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Indian financial year of `date` in the business time zone, e.g. 2026-10-19 -> '26-27'
+const financialYearKey = (date = new Date()) => {
+  const { year, month } = localDay(new Date(date));
+  const startYear = month >= 4 ? year : year - 1;
+  return `${String(startYear % 100).padStart(2, '0')}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+const formatLrNumber = (series, financialYear, counter) => {
+  const parts = [series.prefix];
+  if (series.includeFinancialYear) parts.push(financialYear);
+  parts.push(String(counter).padStart(series.padding, '0'));
+  return parts.join(series.separator);
+};
+
+// Series that applies to a trip's branch (id or name): the branch's own
+// series, else the default one, else null (LR numbers are typed by hand)
+const findLrSeries = async (branchValue, session = null) => {
+  const branch = await findBranch(branchValue);
+  if (branch) {
+    const own = await LrSeries.findOne({ branch: branch._id }).session(session);
+    if (own) return own;
+  }
+  return LrSeries.findOne({ branch: null }).session(session);
+};
+
+// Trip already using this LR number as its LR number or trip id (case-insensitive)
+const findTripByLrNumber = (lrNumber, session = null) => {
+  const pattern = new RegExp(`^${escapeRegex(String(lrNumber).trim())}$`, 'i');
+  return Trip.findOne({ $or: [{ lrNumber: pattern }, { tripId: pattern }] }).session(session);
+};
+
+// Is this LR number already used by a trip?
+const lrNumberExists = async (lrNumber, session = null) => Boolean(await findTripByLrNumber(lrNumber, session));
+
+// The unique LR index rejecting a trip whose LR number is already taken -
+// typically a concurrent booking that got past lrNumberExists. Returns the 400 createTrip gives for duplicates, or null.
+const duplicateLrNumberError = (error, lrNumber) => {
+  if (!error || error.code !== 11000 || !error.keyPattern || !error.keyPattern.lrNumber) return null;
+  return new HttpError(400, `LR Number "${lrNumber}" already exists in the system. Please search for this LR number using the search function or use a different LR number.`, {
+    duplicateLrNumber: lrNumber,
+  });
+};
+
+// Next number the series would issue for `date`, without allocating it
+const previewLrNumber = (series, date = new Date()) => {
+  const financialYear = financialYearKey(date);
+  const last = (series.counters && series.counters.get(financialYear)) || 0;
+  return formatLrNumber(series, financialYear, last + 1);
+};
+
+// Allocate the next LR number of `series` for a trip dated `date`. The
+// counter is bumped with $inc inside the caller's transaction, so concurrent
+// bookings never get the same number and a rolled-back booking leaves no gap.
+// Numbers already taken by hand-typed LRs are skipped.
+const allocateLrNumber = async (series, date, session) => {
+  const financialYear = financialYearKey(date);
+
+  for (let attempt = 0; attempt < MAX_ALLOCATION_ATTEMPTS; attempt++) {
+    const updated = await LrSeries.findOneAndUpdate(
+      { _id: series._id },
+      { $inc: { [`counters.${financialYear}`]: 1 } },
+      { new: true, session }
+    );
+    if (!updated) throw new HttpError(404, 'LR series not found');
+
+    const lrNumber = formatLrNumber(updated, financialYear, updated.counters.get(financialYear));
+    if (!(await lrNumberExists(lrNumber, session))) return lrNumber;
+  }
+
+  throw new HttpError(409, `Could not allocate a free LR number from series ${series.prefix}. Check the series counter.`);
+};
+
+// Decide how a new trip gets its LR number. Returns { source, series }:
+// 'Manual' when one was typed (and the branch allows it), 'Series' when it
+// must be allocated from `series`. Throws 400 when neither is possible.
+const resolveLrNumberSource = async (lrNumber, branchValue) => {
+  const series = await findLrSeries(branchValue);
+  const typed = lrNumber && String(lrNumber).trim();
+
+  if (typed) {
+    if (series && !series.allowManual) {
+      throw new HttpError(400, `LR numbers for this branch are issued automatically from series ${series.prefix}. Leave the LR number blank.`);
+    }
+    return { source: 'Manual', series: null };
+  }
+  if (!series) {
+    throw new HttpError(400, 'LR number is required (no LR series is configured for this branch)');
+  }
+  return { source: 'Series', series };
+};
+
+module.exports = {
+  financialYearKey,
+  findLrSeries,
+  previewLrNumber,
+  allocateLrNumber,
+  resolveLrNumberSource,
+  findTripByLrNumber,
+  duplicateLrNumberError,
+};
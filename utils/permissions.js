@@ -0,0 +1,127 @@
+// Role permission matrix - single source of truth for who may call what.
+// Roles follow the README: Admin (full access), Finance, Agent.
+// Ownership rules (e.g. "Agent may close own trip") are enforced in the
+// controllers on top of the role check done here.
+const ALL_ROLES = ['Admin', 'Finance', 'Agent'];
+
+const PERMISSIONS = {
+  // Users
+  'users.read': ['Admin'],
+  'users.listAgents': ALL_ROLES,
+  'users.create': ['Admin'],
+  'users.update': ALL_ROLES, // Non-admins may only update their own profile
+  'users.delete': ['Admin'],
+
+  // Branches
+  'branches.read': ALL_ROLES,
+  'branches.manage': ['Admin'],
+
+  // Companies
+  'companies.read': ALL_ROLES,
+  'companies.manage': ['Admin'],
+  'companies.merge': ['Admin'], // Deduplicate company names and undo merges
+
+  // Banks
+  'banks.read': ALL_ROLES,
+  'banks.manage': ['Admin'],
+
+  // Trips
+  'trips.read': ALL_ROLES,
+  'trips.create': ['Admin', 'Agent'],
+  'trips.import': ['Admin', 'Agent'], // Agents import trips for themselves
+  'trips.update': ['Admin', 'Finance'], // LR Sheet status, invoice number
+  'trips.delete': ['Admin'],
+  'trips.addPayment': ['Finance', 'Agent'],
+  'trips.editPayment': ['Admin', 'Finance'],
+  'trips.updateDeductions': ['Agent'], // Settlement debits go to the adding agent's wallet
+  'trips.close': ['Admin', 'Agent'], // Agent may close own trip
+  'trips.reopen': ['Admin'],
+  'trips.cancel': ['Admin'],
+  'trips.attachments': ['Admin', 'Finance'],
+
+  // Vehicles
+  'vehicles.read': ALL_ROLES,
+  'vehicles.manage': ['Admin'],
+  'vehicles.expiring': ['Admin', 'Finance'],
+  'vehicles.overrideDocuments': ['Admin'], // Book a vehicle with expired documents with a reason
+
+  // Drivers
+  'drivers.read': ALL_ROLES,
+  'drivers.manage': ['Admin', 'Finance'],
+  'drivers.delete': ['Admin'],
+
+  // Routes and rate cards
+  'routes.read': ALL_ROLES,
+  'routes.manage': ['Admin'],
+  'routes.rates': ['Admin', 'Finance'],
+
+  // Customer invoices
+  'invoices.read': ['Admin', 'Finance'],
+  'invoices.manage': ['Admin', 'Finance'],
+
+  // Customer receipts against invoices
+  'receipts.read': ['Admin', 'Finance'],
+  'receipts.manage': ['Admin', 'Finance'],
+
+  // LR number series
+  'lrSeries.read': ALL_ROLES,
+  'lrSeries.manage': ['Admin'],
+
+  // Ledger
+  'ledger.read': ALL_ROLES,
+  'ledger.topup': ['Admin', 'Finance'],
+  'ledger.transfer': ['Agent'], // Out of the caller's own wallet
+  'ledger.edit': ['Admin', 'Finance'],
+
+  // Credit limits
+  'credit.manage': ['Admin', 'Finance'],
+  'credit.override': ['Admin', 'Finance'], // Post past an agent's credit limit with a reason, or grant the agent a one-time override
+
+  // Transfer approvals
+  'transfers.read': ALL_ROLES, // Agents see transfers they send or receive
+  'transfers.approve': ['Admin', 'Finance'],
+  'transfers.cancel': ['Admin', 'Agent'], // Agents only requests they sent
+  'transfers.thresholds': ['Admin', 'Finance'],
+
+  // Accounting periods (day-end / month-end close)
+  'periods.read': ['Admin', 'Finance'],
+  'periods.manage': ['Admin', 'Finance'],
+
+  // Bank statement reconciliation
+  'reconciliation.read': ['Admin', 'Finance'],
+  'reconciliation.manage': ['Admin', 'Finance'],
+
+  // Disputes
+  'disputes.read': ALL_ROLES,
+  'disputes.create': ['Agent'],
+  'disputes.resolve': ['Admin'],
+
+  // Reports
+  'reports.read': ALL_ROLES,
+  'reports.agents': ['Admin', 'Finance'],
+  'reports.receivables': ['Admin', 'Finance'],
+
+  // Audit logs
+  'auditLogs.read': ['Admin', 'Finance'],
+
+  // Search
+  'search.lr': ALL_ROLES,
+};
+
+// Check whether a role is granted a permission
+const can = (role, permission) => {
+  const roles = PERMISSIONS[permission];
+  if (!roles) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return roles.includes(role);
+};
+
+// Check whether the user is the agent who owns a document (trip, dispute, ...)
+const isOwner = (user, ownerId) => {
+  if (!user || !ownerId) return false;
+  const id = ownerId._id || ownerId;
+  return String(id) === String(user._id);
+};
+
+module.exports = { ALL_ROLES, PERMISSIONS, can, isOwner };
@@ -0,0 +1,104 @@
+const Receipt = require('../models/Receipt');
+const HttpError = require('./httpError');
+const { allocateDocumentNumber } = require('./invoice');
+
+const RECEIPT_MODES = Receipt.schema.path('mode').enumValues;
+
+// Aging buckets by days since the invoice date
+const AGING_BUCKETS = [
+  { label: '0-30', max: 30 },
+  { label: '31-60', max: 60 },
+  { label: '61-90', max: 90 },
+  { label: '90+', max: Infinity },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const allocateReceiptNumber = (date, session) => allocateDocumentNumber('receipt', process.env.RECEIPT_PREFIX || 'RCT', date, session);
+
+// Apply a receipt allocation to the invoice (negative amounts take a voided
+// one back) and refresh its balance and payment status. The caller saves the
+// invoice inside its transaction. Throws 400 when the invoice would be
+// settled beyond its total.
+const applyReceiptToInvoice = (invoice, { amount = 0, tds = 0 }, receiptDate = null) => {
+  const amountReceived = round2(invoice.amountReceived + amount);
+  const tdsDeducted = round2(invoice.tdsDeducted + tds);
+  const balance = round2(invoice.total - amountReceived - tdsDeducted);
+
+  if (balance < 0) {
+    throw new HttpError(400, `Invoice ${invoice.invoiceNumber} has only Rs ${round2(invoice.balance)} outstanding`, {
+      invoiceId: invoice._id,
+      outstanding: round2(invoice.balance),
+    });
+  }
+
+  invoice.amountReceived = amountReceived;
+  invoice.tdsDeducted = tdsDeducted;
+  invoice.balance = balance;
+  if (balance === 0) {
+    invoice.paymentStatus = 'Paid';
+  } else {
+    invoice.paymentStatus = amountReceived + tdsDeducted > 0 ? 'Partially Paid' : 'Unpaid';
+  }
+  if (receiptDate && (!invoice.lastReceiptDate || receiptDate > invoice.lastReceiptDate)) {
+    invoice.lastReceiptDate = receiptDate;
+  }
+  return invoice;
+};
+
+const agingBucket = (days) => AGING_BUCKETS.find(bucket => days <= bucket.max).label;
+
+// Outstanding per company, split into aging buckets as of `asOf`. Takes
+// issued invoices with a balance (invoiceNumber, company, billTo, invoiceDate,
+// dueDate, balance); `overdue` is the part past its due date.
+const buildAgingReport = (invoices, asOf = new Date()) => {
+  const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.label, 0]));
+  const companies = new Map();
+  const totals = { invoices: 0, outstanding: 0, overdue: 0, buckets: emptyBuckets() };
+
+  invoices.forEach(invoice => {
+    const key = String(invoice.company);
+    if (!companies.has(key)) {
+      companies.set(key, {
+        companyId: invoice.company,
+        companyName: invoice.billTo ? invoice.billTo.name : '',
+        invoices: 0,
+        outstanding: 0,
+        overdue: 0,
+        oldestInvoiceDate: null,
+        buckets: emptyBuckets(),
+      });
+    }
+    const row = companies.get(key);
+    const days = Math.max(0, Math.floor((asOf - new Date(invoice.invoiceDate)) / DAY_MS));
+    const bucket = agingBucket(days);
+    const overdue = invoice.dueDate && new Date(invoice.dueDate) < asOf ? invoice.balance : 0;
+
+    [row, totals].forEach(target => {
+      target.invoices += 1;
+      target.outstanding = round2(target.outstanding + invoice.balance);
+      target.overdue = round2(target.overdue + overdue);
+      target.buckets[bucket] = round2(target.buckets[bucket] + invoice.balance);
+    });
+    if (!row.oldestInvoiceDate || invoice.invoiceDate < row.oldestInvoiceDate) {
+      row.oldestInvoiceDate = invoice.invoiceDate;
+    }
+  });
+
+  return {
+    asOf,
+    buckets: AGING_BUCKETS.map(bucket => bucket.label),
+    companies: [...companies.values()].sort((a, b) => b.outstanding - a.outstanding),
+    totals,
+  };
+};
+
+module.exports = {
+  RECEIPT_MODES,
+  AGING_BUCKETS,
+  allocateReceiptNumber,
+  applyReceiptToInvoice,
+  buildAgingReport,
+};
@@ -0,0 +1,208 @@
+const Ledger = require('../models/Ledger');
+const HttpError = require('./httpError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Header aliases used by HDFC, ICICI, SBI and generic statement exports
+const COLUMN_ALIASES = {
+  date: ['date', 'txn date', 'transaction date', 'value date', 'value dt', 'tran date'],
+  description: ['narration', 'description', 'particulars', 'remarks', 'transaction remarks', 'details'],
+  reference: ['chq./ref.no.', 'chq/ref no', 'ref no', 'ref no./cheque no.', 'reference', 'reference no', 'cheque no', 'cheque number', 'utr', 'utr no'],
+  debit: ['withdrawal amt.', 'withdrawal amount', 'withdrawal', 'withdrawal amount (inr )', 'debit', 'debit amount', 'dr'],
+  credit: ['deposit amt.', 'deposit amount', 'deposit', 'deposit amount (inr )', 'credit', 'credit amount', 'cr'],
+  amount: ['amount', 'amount (inr)', 'transaction amount'],
+  type: ['type', 'dr/cr', 'cr/dr', 'transaction type'],
+};
+
+const findColumn = (headers, field) => {
+  const aliases = COLUMN_ALIASES[field];
+  return headers.find(h => aliases.includes(h.toLowerCase().trim())) || null;
+};
+
+// Statement dates: dd/mm/yy, dd/mm/yyyy, dd-mm-yyyy, dd-MMM-yyyy, yyyy-mm-dd (read as UTC)
+const parseStatementDate = (value) => {
+  const str = String(value || '').trim();
+  let match = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) {
+    return new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  }
+  match = str.match(/^(\d{1,2})[/\-. ](\d{1,2}|[A-Za-z]{3})[/\-. ](\d{2}|\d{4})$/);
+  if (!match) return null;
+
+  const day = +match[1];
+  const month = /^\d+$/.test(match[2]) ? +match[2] - 1 : MONTHS.indexOf(match[2].toLowerCase());
+  let year = +match[3];
+  if (year < 100) year += 2000;
+  if (month < 0 || month > 11 || day < 1 || day > 31) return null;
+  return new Date(Date.UTC(year, month, day));
+};
+
+const parseAmount = (value) => {
+  const num = parseFloat(String(value || '').replace(/[,\s₹]/g, '').replace(/^INR/i, ''));
+  return isNaN(num) ? 0 : num;
+};
+
+// Turn parsed CSV records into statement lines. Throws 400 when the
+// required columns can't be found.
+const parseStatementLines = (headers, records) => {
+  const columns = {};
+  Object.keys(COLUMN_ALIASES).forEach(field => {
+    columns[field] = findColumn(headers, field);
+  });
+
+  if (!columns.date || !(columns.amount || columns.debit || columns.credit)) {
+    throw new HttpError(400, 'Statement must have a date column and either an amount column or debit/credit columns', {
+      headers,
+    });
+  }
+
+  const lines = [];
+  const errors = [];
+  records.forEach((record, index) => {
+    const lineNo = index + 2; // Header is line 1
+    const date = parseStatementDate(record[columns.date]);
+    if (!date) {
+      errors.push({ lineNo, message: `Invalid date '${record[columns.date]}'` });
+      return;
+    }
+
+    let amount;
+    let direction;
+    if (columns.debit || columns.credit) {
+      const debit = parseAmount(record[columns.debit]);
+      const credit = parseAmount(record[columns.credit]);
+      amount = debit || credit;
+      direction = debit ? 'Debit' : 'Credit';
+    } else {
+      const signed = parseAmount(record[columns.amount]);
+      const type = String(record[columns.type] || '').trim().toLowerCase();
+      amount = Math.abs(signed);
+      direction = type.startsWith('d') || (!type && signed < 0) ? 'Debit' : 'Credit';
+    }
+
+    if (!amount) {
+      errors.push({ lineNo, message: 'Missing amount' });
+      return;
+    }
+
+    lines.push({
+      lineNo,
+      date,
+      description: columns.description ? record[columns.description] : '',
+      reference: columns.reference ? record[columns.reference] : '',
+      amount: Math.round(amount * 100) / 100,
+      direction,
+    });
+  });
+
+  return { lines, errors };
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Ledger rows that move money through a company bank account: top-ups,
+// including the Top-up row a Finance on-trip payment posts. Everything else
+// (advances, settlements, transfers, ...) only moves agent wallets, even
+// though those rows carry a bank name too.
+const BANK_ENTRY_TYPES = ['Top-up', 'Virtual Top-up'];
+
+// Ledger direction of a bank row for a statement line. Ledger rows are from
+// the agent's side: a top-up credits the agent and is a withdrawal (Debit) on
+// our statement, and the other way round.
+const ledgerDirectionFor = (statementDirection) => (statementDirection === 'Debit' ? 'Credit' : 'Debit');
+
+// Query for unreconciled bank rows that a statement line of `bankName` could be
+const bankEntryFilter = (bankName, statementDirection) => ({
+  bank: { $regex: new RegExp(`^${escapeRegex(bankName)}$`, 'i') },
+  type: { $in: BANK_ENTRY_TYPES },
+  direction: ledgerDirectionFor(statementDirection),
+  reconciled: { $ne: true },
+  isInformational: { $ne: true },
+  isReversed: { $ne: true },
+});
+
+// Why `entry` can't be matched to the statement line, or null when it can
+const bankEntryMismatch = (entry, bankName, line) => {
+  if (!BANK_ENTRY_TYPES.includes(entry.type)) {
+    return `${entry.type} entries don't go through the bank; only ${BANK_ENTRY_TYPES.join(' and ')} entries can be matched`;
+  }
+  if (String(entry.bank || '').toLowerCase() !== String(bankName).toLowerCase()) {
+    return `Ledger entry is for bank '${entry.bank}', not ${bankName}`;
+  }
+  if (entry.direction !== ledgerDirectionFor(line.direction)) {
+    return `A ${line.direction === 'Debit' ? 'withdrawal' : 'deposit'} can't be matched to a ledger ${entry.direction}`;
+  }
+  if (entry.isReversed || entry.isInformational) {
+    return 'Reversed and informational ledger entries cannot be matched';
+  }
+  if (entry.reconciled) {
+    return 'Ledger entry is already reconciled';
+  }
+  if (Math.abs((entry.amount || 0) - line.amount) > 0.005) {
+    return `Amount mismatch: statement line is Rs ${line.amount}, ledger entry is Rs ${entry.amount}`;
+  }
+  return null;
+};
+
+// Does the statement line mention the ledger entry's LR / reference number?
+const referenceMatches = (line, entry) => {
+  if (!entry.lrNumber) return false;
+  const haystack = `${line.reference} ${line.description}`.toLowerCase();
+  return haystack.includes(String(entry.lrNumber).toLowerCase());
+};
+
+// Match statement lines to unreconciled bank rows (see bankEntryFilter) of
+// the same bank and direction.
+// A line is matched automatically when exactly one entry has the same amount
+// within the date window, or exactly one of several mentions its LR number in
+// the statement reference/narration. Otherwise candidates are kept as
+// suggestions for Finance to confirm.
+const matchStatementLines = async (lines, bankName, { dateWindowDays = 3, excludeEntryIds = [] } = {}) => {
+  const used = new Set(excludeEntryIds.map(String));
+  const windowMs = dateWindowDays * DAY_MS;
+
+  for (const line of lines) {
+    if (line.status === 'Matched') continue;
+
+    const candidates = await Ledger.find({
+      ...bankEntryFilter(bankName, line.direction),
+      amount: { $gte: line.amount - 0.005, $lte: line.amount + 0.005 },
+      date: { $gte: new Date(line.date.getTime() - windowMs), $lte: new Date(line.date.getTime() + windowMs + DAY_MS - 1) },
+    }).sort({ date: 1 });
+
+    const available = candidates.filter(entry => !used.has(String(entry._id)));
+    const byReference = available.filter(entry => referenceMatches(line, entry));
+
+    let match = null;
+    if (byReference.length === 1) {
+      match = byReference[0];
+    } else if (available.length === 1) {
+      match = available[0];
+    }
+
+    if (match) {
+      line.status = 'Matched';
+      line.ledgerEntry = match._id;
+      line.matchType = 'Auto';
+      line.matchedAt = new Date();
+      line.suggestions = [];
+      used.add(String(match._id));
+    } else if (available.length > 1) {
+      line.status = 'Suggested';
+      line.suggestions = (byReference.length > 1 ? byReference : available).slice(0, 5).map(entry => entry._id);
+    } else {
+      line.status = 'Unmatched';
+      line.suggestions = [];
+    }
+  }
+
+  return lines;
+};
+
+module.exports = {
+  parseStatementDate,
+  parseStatementLines,
+  matchStatementLines,
+  bankEntryMismatch,
+};
@@ -0,0 +1,119 @@
+const Route = require('../models/Route');
+
+// Freight more than this far from the rate card's amount is warned about
+const FREIGHT_TOLERANCE_PERCENT = 5;
+
+// "Raipur", " RAIPUR ", "raipur." -> "raipur"
+const locationKey = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Company names are matched the same way
+const companyKey = locationKey;
+
+// "  raipur   city " -> "raipur city" (spelling kept, spaces tidied)
+const tidyLocation = (value) => String(value || '').trim().replace(/\s+/g, ' ');
+
+// Route master entry for from -> to, if any
+const findRoute = (from, to) => {
+  const fromKey = locationKey(from);
+  const toKey = locationKey(to);
+  if (!fromKey || !toKey) return null;
+  return Route.findOne({ fromKey, toKey });
+};
+
+// Is the rate card valid on `date`? validFrom/validTo are whole days.
+const isCardValidOn = (card, date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  const from = new Date(card.validFrom);
+  from.setUTCHours(0, 0, 0, 0);
+  if (day < from) return false;
+  if (!card.validTo) return true;
+  const to = new Date(card.validTo);
+  to.setUTCHours(0, 0, 0, 0);
+  return day <= to;
+};
+
+// Rate card that applies to a company (by id, or by name for trips without
+// one) on `date`: the company's own card, else the route's default card (no
+// company), else null
+const activeRateCard = (route, { companyId = null, companyName = null } = {}, date = new Date()) => {
+  const cards = (route.rateCards || []).filter(card => isCardValidOn(card, date));
+  const key = companyKey(companyName);
+  return cards.find(card => companyId && card.company && String(card.company) === String(companyId))
+    || cards.find(card => key && card.companyKey === key)
+    || cards.find(card => !card.companyKey)
+    || null;
+};
+
+// Freight the rate card gives for a trip of `tonnage`
+const rateCardFreight = (card, tonnage) => {
+  const amount = card.basis === 'Per Tonne' ? card.rate * (parseFloat(tonnage) || 0) : card.rate;
+  return Math.round(amount * 100) / 100;
+};
+
+// Route and rate for a new trip. Returns { route, from, to, rate, freight, warnings }:
+// `from`/`to` are the route's canonical names when the route is known; `rate`
+// is the snapshot stored on the trip (null without an active rate card);
+// `freight` is the amount to book - the rate card's amount when none was
+// entered, else the entered one (warned about when it is more than
+// FREIGHT_TOLERANCE_PERCENT away from the rate card).
+const checkTripRoute = async ({ routeFrom, routeTo, companyId, companyName, tonnage, freightAmount, date, isBulk }) => {
+  const entered = freightAmount === undefined || freightAmount === null || String(freightAmount).trim() === ''
+    ? null
+    : (parseFloat(freightAmount) || 0);
+  const route = await findRoute(routeFrom, routeTo);
+
+  if (!route) {
+    return { route: null, from: tidyLocation(routeFrom), to: tidyLocation(routeTo), rate: null, freight: entered || 0, warnings: [] };
+  }
+
+  const warnings = [];
+  if (!route.isActive) {
+    warnings.push(`Route ${route.from} - ${route.to} is inactive`);
+  }
+
+  const card = isBulk ? null : activeRateCard(route, { companyId, companyName }, date || new Date());
+  if (!card) {
+    return { route, from: route.from, to: route.to, rate: null, freight: entered || 0, warnings };
+  }
+
+  const expectedFreight = rateCardFreight(card, tonnage);
+  const freight = entered === null ? expectedFreight : entered;
+  const deviation = Math.round((freight - expectedFreight) * 100) / 100;
+
+  if (card.basis === 'Per Tonne' && !(parseFloat(tonnage) > 0)) {
+    warnings.push('Tonnage is needed to work out the per-tonne freight');
+  } else if (entered !== null && expectedFreight > 0
+    && Math.abs(deviation) > expectedFreight * FREIGHT_TOLERANCE_PERCENT / 100) {
+    warnings.push(`Freight Rs ${freight} differs from the rate card (Rs ${expectedFreight}: ${card.basis} at Rs ${card.rate}) by Rs ${deviation}`);
+  }
+
+  return {
+    route,
+    from: route.from,
+    to: route.to,
+    rate: {
+      rateCardId: card._id,
+      companyName: card.companyName,
+      basis: card.basis,
+      rate: card.rate,
+      expectedFreight,
+      deviation,
+      source: entered === null ? 'Rate Card' : 'Entered',
+    },
+    freight,
+    warnings,
+  };
+};
+
+module.exports = {
+  FREIGHT_TOLERANCE_PERCENT,
+  locationKey,
+  companyKey,
+  tidyLocation,
+  findRoute,
+  isCardValidOn,
+  activeRateCard,
+  rateCardFreight,
+  checkTripRoute,
+};
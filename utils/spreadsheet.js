@@ -0,0 +1,63 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { parseCsvWithHeader } = require('./csv');
+const HttpError = require('./httpError');
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Excel cell value as the string a CSV export would have; dates become yyyy-mm-dd
+const cellToString = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    // Excel dates have no zone; ExcelJS reads them as UTC midnight
+    return `${value.getUTCFullYear()}-${pad(value.getUTCMonth() + 1)}-${pad(value.getUTCDate())}`;
+  }
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('').trim();
+    if (value.result !== undefined) return cellToString(value.result); // Formula
+    if (value.text !== undefined) return cellToString(value.text); // Hyperlink
+    if (value.error) return '';
+  }
+  return String(value).trim();
+};
+
+// First worksheet of an .xlsx workbook, read like parseCsvWithHeader
+const parseWorkbookWithHeader = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return { headers: [], records: [] };
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    // row.values is 1-based
+    const cells = row.values.slice(1).map(cellToString);
+    if (cells.some(cell => cell !== '')) rows.push(cells);
+  });
+  if (rows.length === 0) return { headers: [], records: [] };
+
+  const headers = rows[0];
+  const records = rows.slice(1).map(cells => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = cells[index] || '';
+    });
+    return record;
+  });
+  return { headers, records };
+};
+
+// Header row and records of an uploaded CSV or .xlsx file (multer memory file)
+const parseSpreadsheet = async (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  if (extension === '.xlsx') {
+    try {
+      return await parseWorkbookWithHeader(file.buffer);
+    } catch (error) {
+      throw new HttpError(400, `Could not read Excel file: ${error.message}`);
+    }
+  }
+  return parseCsvWithHeader(file.buffer.toString('utf8'));
+};
+
+module.exports = { parseSpreadsheet };
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Run `fn(session)` inside a MongoDB transaction so every write made with the
+// session commits or rolls back together. `fn` may be retried on transient
+// errors, so it must only write through the session (no responses). Mongoose
+// resets the state of documents saved in `fn` between attempts, so a retried
+// save() writes its changes again instead of sending an empty update.
+// Transactions need a replica set - MongoDB Atlas clusters are one.
+const withTransaction = async (fn) => {
+  let result;
+  await mongoose.connection.transaction(async (session) => {
+    result = await fn(session);
+  });
+  return result;
+};
+
+module.exports = { withTransaction };
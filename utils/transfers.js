@@ -0,0 +1,62 @@
+const Branch = require('../models/Branch');
+const TransferThreshold = require('../models/TransferThreshold');
+const { postLedgerEntries } = require('./wallet');
+
+// Approval threshold that applies to transfers sent by `senderAgent`: the
+// threshold of the agent's branch if one is set, otherwise the global one.
+// Returns null when no threshold is configured (no approval needed).
+const getTransferThreshold = async (senderAgent) => {
+  if (senderAgent.branch) {
+    const branch = await Branch.findOne({ name: senderAgent.branch });
+    if (branch) {
+      const branchThreshold = await TransferThreshold.findOne({ branch: branch._id });
+      if (branchThreshold) {
+        return { amount: branchThreshold.amount, branch: branch.name };
+      }
+    }
+  }
+
+  const globalThreshold = await TransferThreshold.findOne({ branch: null });
+  return globalThreshold ? { amount: globalThreshold.amount, branch: null } : null;
+};
+
+// Post the sender debit and receiver credit of a transfer. The sender's
+// available balance may not go below zero.
+const postTransfer = async ({ senderAgent, receiverAgent, amount, date = new Date() }, session) => {
+  const lrNumber = `TRANSFER-${Date.now()}`;
+
+  const [debitEntry, creditEntry] = await postLedgerEntries([
+    // Debit entry for sender
+    {
+      tripId: null,
+      lrNumber,
+      date,
+      description: `Payment transferred to ${receiverAgent.name}`,
+      type: 'Agent Transfer',
+      amount,
+      advance: 0,
+      agent: senderAgent._id,
+      agentId: senderAgent._id,
+      bank: 'HDFC Bank',
+      direction: 'Debit',
+    },
+    // Credit entry for receiver
+    {
+      tripId: null,
+      lrNumber,
+      date,
+      description: `Payment received from ${senderAgent.name}`,
+      type: 'Agent Transfer',
+      amount,
+      advance: 0,
+      agent: receiverAgent._id,
+      agentId: receiverAgent._id,
+      bank: 'HDFC Bank',
+      direction: 'Credit',
+    },
+  ], session, { requireFunds: [senderAgent._id] });
+
+  return { lrNumber, debitEntry, creditEntry };
+};
+
+module.exports = { getTransferThreshold, postTransfer };
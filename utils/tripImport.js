@@ -0,0 +1,233 @@
+const Trip = require('../models/Trip');
+const User = require('../models/User');
+const { parseStatementDate } = require('./reconciliation');
+const { findClosedPeriod } = require('./accountingPeriod');
+const { resolveLrNumberSource } = require('./lrSeries');
+const { checkTripVehicle } = require('./vehicles');
+const { checkTripDriver } = require('./drivers');
+const { checkTripRoute } = require('./routeMaster');
+const { checkTripCompany } = require('./companies');
+const HttpError = require('./httpError');
+
+// Import columns (the fields createTrip takes) and the header spellings
+// accepted for each. Headers are compared lowercased without spaces/punctuation.
+const COLUMNS = {
+  lrNumber: ['lrnumber', 'lrno', 'lr'],
+  date: ['date', 'tripdate', 'lrdate'],
+  truckNumber: ['trucknumber', 'truckno', 'truck', 'vehiclenumber', 'vehicleno'],
+  driverPhoneNumber: ['driverphonenumber', 'driverphone', 'drivermobile', 'drivernumber'],
+  companyName: ['companyname', 'company', 'party'],
+  routeFrom: ['routefrom', 'from'],
+  routeTo: ['routeto', 'to'],
+  tonnage: ['tonnage', 'weight', 'tons'],
+  freightAmount: ['freightamount', 'freight'],
+  advancePaid: ['advancepaid', 'advance'],
+  agentEmail: ['agentemail', 'agent'],
+};
+const REQUIRED = ['date', 'truckNumber', 'driverPhoneNumber', 'companyName', 'routeFrom', 'routeTo'];
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Map each import field to the file's header for it
+const mapColumns = (headers) => {
+  const columns = {};
+  Object.keys(COLUMNS).forEach(field => {
+    columns[field] = headers.find(h => COLUMNS[field].includes(normalizeHeader(h))) || null;
+  });
+
+  const missing = REQUIRED.filter(field => !columns[field]);
+  if (missing.length > 0) {
+    throw new HttpError(400, `Import file is missing required columns: ${missing.join(', ')}`, { headers });
+  }
+  return columns;
+};
+
+// Non-negative amount; blank is 0, anything else unparseable is null
+const parseAmount = (value) => {
+  const str = String(value || '').replace(/[,\s₹]/g, '');
+  if (str === '') return 0;
+  const num = Number(str);
+  return isNaN(num) || num < 0 ? null : num;
+};
+
+// Validate every row of an import file against the rules createTrip applies:
+// required fields, valid date outside closed accounting periods, numeric
+// amounts, LR numbers unique in the file and in the system (or blank when the
+// branch has an LR series), an existing agent, a truck that isn't inactive
+// or out of documents (unless `documentOverride` is given), an active driver
+// and an active company. Agents may only import trips for themselves; a
+// blank agent column means the uploader. `branchId` applies to every row,
+// otherwise each agent's branch is used. Returns one result per row with the
+// trip fields ready to create for valid rows.
+const validateTripRows = async (headers, records, user, { branchId = null, documentOverride = null } = {}) => {
+  const columns = mapColumns(headers);
+  const value = (record, field) => (columns[field] ? String(record[columns[field]] || '').trim() : '');
+
+  // Existing LRs, looked up once for the whole file
+  const lrNumbers = records.map(record => value(record, 'lrNumber')).filter(Boolean);
+  const existing = lrNumbers.length === 0 ? [] : await Trip.find({
+    $or: [
+      { lrNumber: { $in: lrNumbers.map(lr => new RegExp(`^${escapeRegex(lr)}$`, 'i')) } },
+      { tripId: { $in: lrNumbers.map(lr => new RegExp(`^${escapeRegex(lr)}$`, 'i')) } },
+    ],
+  }).select('lrNumber tripId');
+  const existingLrs = new Set();
+  existing.forEach(trip => {
+    existingLrs.add(String(trip.lrNumber).toLowerCase());
+    existingLrs.add(String(trip.tripId).toLowerCase());
+  });
+
+  // Agents by email, looked up once
+  const emails = [...new Set(records.map(record => value(record, 'agentEmail').toLowerCase()).filter(Boolean))];
+  const agents = emails.length === 0 ? [] : await User.find({ email: { $in: emails }, role: 'Agent' });
+  const agentsByEmail = new Map(agents.map(agent => [agent.email.toLowerCase(), agent]));
+  const self = user.role === 'Agent' ? await User.findById(user._id) : null;
+
+  const seenLrs = new Map();
+  const rows = [];
+  for (const [index, record] of records.entries()) {
+    const rowNo = index + 2; // Header is row 1
+    const errors = [];
+
+    REQUIRED.forEach(field => {
+      if (!value(record, field)) errors.push(`${field} is required`);
+    });
+
+    const lrNumber = value(record, 'lrNumber');
+    if (lrNumber) {
+      const key = lrNumber.toLowerCase();
+      if (existingLrs.has(key)) {
+        errors.push(`LR Number "${lrNumber}" already exists in the system`);
+      }
+      if (seenLrs.has(key)) {
+        errors.push(`LR Number "${lrNumber}" is repeated in the file (row ${seenLrs.get(key)})`);
+      } else {
+        seenLrs.set(key, rowNo);
+      }
+    }
+
+    const rawDate = value(record, 'date');
+    const date = rawDate ? parseStatementDate(rawDate) : null;
+    if (rawDate && !date) {
+      errors.push(`Invalid date '${rawDate}' (use dd/mm/yyyy or yyyy-mm-dd)`);
+    } else if (date) {
+      const period = await findClosedPeriod(date);
+      if (period) errors.push(`Date ${rawDate} falls in closed accounting period ${period.key}`);
+    }
+
+    // Trucks are linked to the vehicle master like in createTrip
+    let vehicleCheck = null;
+    if (value(record, 'truckNumber')) {
+      try {
+        vehicleCheck = await checkTripVehicle(value(record, 'truckNumber'), date, documentOverride);
+      } catch (error) {
+        if (!error.status) throw error;
+        errors.push(error.message);
+      }
+    }
+
+    // Drivers are found by phone like in createTrip
+    let driverCheck = null;
+    if (value(record, 'driverPhoneNumber')) {
+      try {
+        driverCheck = await checkTripDriver({ driverPhoneNumber: value(record, 'driverPhoneNumber') }, date);
+      } catch (error) {
+        if (!error.status) throw error;
+        errors.push(error.message);
+      }
+    }
+
+    const amounts = {};
+    ['tonnage', 'freightAmount', 'advancePaid'].forEach(field => {
+      amounts[field] = parseAmount(value(record, field));
+      if (amounts[field] === null) errors.push(`${field} must be a number of zero or more`);
+    });
+
+    // Companies are found by name like in createTrip
+    let companyCheck = null;
+    if (value(record, 'companyName')) {
+      try {
+        companyCheck = await checkTripCompany({ companyName: value(record, 'companyName') });
+      } catch (error) {
+        if (!error.status) throw error;
+        errors.push(error.message);
+      }
+    }
+
+    // Canonical route names; a blank freight is taken from the rate card like in createTrip
+    const routeCheck = amounts.tonnage === null || amounts.freightAmount === null ? null : await checkTripRoute({
+      routeFrom: value(record, 'routeFrom'),
+      routeTo: value(record, 'routeTo'),
+      companyId: companyCheck && companyCheck.company ? companyCheck.company._id : null,
+      companyName: value(record, 'companyName'),
+      tonnage: amounts.tonnage,
+      freightAmount: value(record, 'freightAmount'),
+      date,
+    });
+
+    const agentEmail = value(record, 'agentEmail').toLowerCase();
+    let agent = null;
+    if (user.role === 'Agent') {
+      if (agentEmail && agentEmail !== String(self.email).toLowerCase()) {
+        errors.push('Agents can only import trips for themselves');
+      } else {
+        agent = self;
+      }
+    } else if (!agentEmail) {
+      errors.push('agentEmail is required');
+    } else {
+      agent = agentsByEmail.get(agentEmail) || null;
+      if (!agent) errors.push(`Unknown agent '${agentEmail}'`);
+    }
+
+    // Typed LR numbers must be allowed by the branch; blank ones come from its series
+    const branch = branchId || (agent && agent.branch) || null;
+    let lrSource = null;
+    if (agent) {
+      try {
+        lrSource = await resolveLrNumberSource(lrNumber, branch);
+      } catch (error) {
+        if (!error.status) throw error;
+        errors.push(error.message);
+      }
+    }
+
+    rows.push({
+      row: rowNo,
+      lrNumber: lrNumber || null,
+      lrNumberSource: lrSource ? lrSource.source : null,
+      status: errors.length === 0 ? 'Valid' : 'Invalid',
+      errors,
+      warnings: [vehicleCheck, driverCheck, companyCheck, routeCheck].filter(Boolean).flatMap(check => check.warnings),
+      series: errors.length === 0 ? lrSource.series : null,
+      trip: errors.length === 0 ? {
+        lrNumber,
+        date,
+        truckNumber: vehicleCheck.truckNumber,
+        vehicle: vehicleCheck.vehicle ? vehicleCheck.vehicle._id : null,
+        vehicleDocumentOverride: vehicleCheck.documentOverride,
+        driver: driverCheck.driver ? driverCheck.driver._id : null,
+        driverPhoneNumber: driverCheck.driverPhoneNumber,
+        driverName: driverCheck.driverName,
+        company: companyCheck.company ? companyCheck.company._id : null,
+        companyName: companyCheck.companyName,
+        routeFrom: routeCheck.from,
+        routeTo: routeCheck.to,
+        routeMaster: routeCheck.route ? routeCheck.route._id : null,
+        freightRate: routeCheck.rate,
+        tonnage: amounts.tonnage,
+        freightAmount: routeCheck.freight,
+        advancePaid: amounts.advancePaid,
+        branch,
+      } : null,
+      agent: errors.length === 0 ? agent : null,
+    });
+  }
+
+  return rows;
+};
+
+module.exports = {
+  validateTripRows,
+};
@@ -0,0 +1,159 @@
+const HttpError = require('./httpError');
+
+// Trip lifecycle - the only place that decides which status changes are
+// allowed, who may make them and through which endpoint. Controllers call
+// transitionTrip() instead of assigning trip.status themselves.
+const TRIP_STATUSES = ['Pending', 'Active', 'In Dispute', 'Completed', 'Cancelled'];
+
+const TRANSITIONS = {
+  create: {
+    from: [null],
+    to: 'Active',
+    roles: ['Admin', 'Agent'],
+    endpoint: 'POST /api/trips',
+    effects: "Debits the advance from the agent's wallet",
+  },
+  activate: {
+    from: ['Pending'],
+    to: 'Active',
+    roles: ['Admin', 'Finance'],
+    endpoint: 'PUT /api/trips/:id',
+    effects: 'None',
+  },
+  raiseDispute: {
+    from: ['Active'],
+    to: 'In Dispute',
+    roles: ['Agent'],
+    endpoint: 'POST /api/disputes',
+    effects: 'Opens a dispute; payments and closing deductions are blocked until it is resolved',
+  },
+  resolveDispute: {
+    from: ['In Dispute'],
+    to: 'Active',
+    roles: ['Admin'],
+    endpoint: 'PUT /api/disputes/:id/resolve',
+    effects: 'Applies the corrected trip values and posts dispute correction ledger entries',
+  },
+  close: {
+    from: ['Active'],
+    to: 'Completed',
+    roles: ['Admin', 'Agent'],
+    endpoint: 'POST /api/trips/:id/close',
+    effects: 'Posts closing settlement entries, the informational Trip Closed entry and the Beta/Batta credit',
+  },
+  forceClose: {
+    from: ['In Dispute'],
+    to: 'Completed',
+    roles: ['Admin'],
+    endpoint: 'POST /api/trips/:id/close (forceClose: true)',
+    effects: 'Same as close, leaving the open dispute unresolved',
+  },
+  reopen: {
+    from: ['Completed'],
+    to: 'Active',
+    roles: ['Admin'],
+    endpoint: 'POST /api/trips/:id/reopen',
+    effects: 'Reverses the Trip Closed entry, the Beta/Batta credit and the settlement entries posted on closing; closing again posts fresh ones',
+  },
+  cancel: {
+    from: ['Pending', 'Active'],
+    to: 'Cancelled',
+    roles: ['Admin'],
+    endpoint: 'POST /api/trips/:id/cancel',
+    effects: 'Reverses every wallet-affecting ledger entry of the trip (advance, on-trip payments, deductions); blocked while a dispute is open',
+  },
+};
+
+// Transition that moves a trip from `from` to `to`, if any
+const findTransition = (from, to) => {
+  const action = Object.keys(TRANSITIONS).find(name => {
+    const transition = TRANSITIONS[name];
+    return transition.to === to && transition.from.includes(from);
+  });
+  return action ? { action, ...TRANSITIONS[action] } : null;
+};
+
+// Check that `user` may run `action` on the trip; throws HttpError otherwise
+const assertTransition = (trip, action, user) => {
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    throw new Error(`Unknown trip transition: ${action}`);
+  }
+  if (!transition.from.includes(trip.status)) {
+    throw new HttpError(400, `Cannot ${action} a trip that is ${trip.status} (allowed from: ${transition.from.join(', ')})`, {
+      tripStatus: trip.status,
+    });
+  }
+  if (!transition.roles.includes(user.role)) {
+    throw new HttpError(403, `User role '${user.role}' cannot ${action} trips`);
+  }
+  return transition;
+};
+
+// Move the trip to the transition's target status and record it in the
+// trip's status history. The caller saves the trip (inside its transaction).
+// Inside a transaction, pass the trip re-read by assertTripUnchanged: a
+// retried callback would otherwise see the status it already changed.
+const transitionTrip = (trip, action, user, note = null) => {
+  const transition = assertTransition(trip, action, user);
+  const from = trip.status;
+
+  trip.status = transition.to;
+  trip.statusHistory = trip.statusHistory || [];
+  trip.statusHistory.push({
+    from,
+    to: transition.to,
+    action,
+    by: user._id,
+    byRole: user.role,
+    at: new Date(),
+    note,
+  });
+
+  return { from, to: transition.to };
+};
+
+// Status and first history row of a new trip
+const initialTripState = (user) => {
+  const trip = { status: null };
+  transitionTrip(trip, 'create', user);
+  return { status: trip.status, statusHistory: trip.statusHistory };
+};
+
+// Re-read the trip inside the caller's transaction and check that no other
+// request changed it since it was loaded (`loadedAt` is its updatedAt then)
+// and that it is still in one of `statuses`. Two requests racing on the same
+// trip both write it, so the later one retries and fails here instead of
+// posting its ledger entries on top of the other's. Returns the re-read trip
+// for callers that change it inside the transaction.
+const assertTripUnchanged = async (trip, loadedAt, statuses, session) => {
+  // The Trip model requires this module, so it is reached through the document
+  const current = await trip.constructor.findById(trip._id).session(session);
+  if (!current) {
+    throw new HttpError(404, 'Trip not found');
+  }
+  if (!statuses.includes(current.status)) {
+    throw new HttpError(409, `Trip is now ${current.status}`, { tripStatus: current.status });
+  }
+  if (loadedAt && current.updatedAt && current.updatedAt.getTime() !== new Date(loadedAt).getTime()) {
+    throw new HttpError(409, 'Trip was changed by another request; reload it and try again');
+  }
+  return current;
+};
+
+// Lifecycle as data, for clients that need to show allowed actions
+const describeLifecycle = () => ({
+  statuses: TRIP_STATUSES,
+  transitions: Object.keys(TRANSITIONS).map(action => ({ action, ...TRANSITIONS[action] })),
+});
+
+module.exports = {
+  TRIP_STATUSES,
+  TRANSITIONS,
+  findTransition,
+  assertTransition,
+  transitionTrip,
+  initialTripState,
+  assertTripUnchanged,
+  describeLifecycle,
+};
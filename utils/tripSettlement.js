@@ -0,0 +1,70 @@
+// Trip settlement - the single place that works out what is still owed on a
+// trip. Every endpoint that changes freight, advance, deductions or on-trip
+// payments recalculates through here.
+//
+//   initial balance = freight - advance
+//   final balance   = initial balance
+//                     + additions (cess + kata + excess tonnage + halting + expenses + others)
+//                     - beta
+//                     - on-trip payments (agent and Finance alike; voided payments don't count)
+//
+// A Finance payment is a top-up to the agent followed by the payment itself,
+// so it leaves the agent's wallet unchanged - but it has still been paid out
+// on the trip and reduces what is owed like any other payment.
+
+const ADDITION_FIELDS = ['cess', 'kata', 'excessTonnage', 'halting', 'expenses', 'others'];
+
+const toAmount = (value) => parseFloat(value) || 0;
+
+// On-trip payments that still count towards the trip balance
+const activePayments = (trip) => (trip.onTripPayments || []).filter(p => !p.isVoided);
+
+// Full breakdown of a trip's balance
+const calculateTripSettlement = (trip) => {
+  const deductions = trip.deductions || {};
+  const freight = toAmount(trip.freight);
+  const advance = toAmount(trip.advance);
+  const initialBalance = freight - advance;
+
+  const additions = {};
+  ADDITION_FIELDS.forEach(field => {
+    additions[field] = toAmount(deductions[field]);
+  });
+  const totalAdditions = ADDITION_FIELDS.reduce((sum, field) => sum + additions[field], 0);
+  const beta = toAmount(deductions.beta);
+
+  const payments = activePayments(trip);
+  const agentPayments = payments
+    .filter(p => p.addedByRole !== 'Finance')
+    .reduce((sum, p) => sum + toAmount(p.amount), 0);
+  const financePayments = payments
+    .filter(p => p.addedByRole === 'Finance')
+    .reduce((sum, p) => sum + toAmount(p.amount), 0);
+  const totalPayments = agentPayments + financePayments;
+
+  return {
+    freight,
+    advance,
+    initialBalance,
+    additions: { ...additions, othersReason: deductions.othersReason || '', total: totalAdditions },
+    beta,
+    agentPayments,
+    financePayments,
+    totalPayments,
+    voidedPayments: (trip.onTripPayments || []).length - payments.length,
+    finalBalance: initialBalance + totalAdditions - beta - totalPayments,
+  };
+};
+
+// Recalculate and store the trip's running balance; returns the breakdown
+const applyTripSettlement = (trip) => {
+  const settlement = calculateTripSettlement(trip);
+  trip.balance = settlement.finalBalance;
+  trip.balanceAmount = settlement.finalBalance;
+  return settlement;
+};
+
+module.exports = {
+  calculateTripSettlement,
+  applyTripSettlement,
+};
@@ -0,0 +1,110 @@
+const Vehicle = require('../models/Vehicle');
+const HttpError = require('./httpError');
+const { can } = require('./permissions');
+
+// Expiry fields of the vehicle master and how they are named in messages
+const VEHICLE_DOCUMENTS = {
+  rcExpiry: 'RC',
+  insuranceExpiry: 'Insurance',
+  permitExpiry: 'Permit',
+  fitnessExpiry: 'Fitness',
+};
+
+// Documents expiring within this many days of the trip date are warned about
+const EXPIRY_WARNING_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "MH 12 ab-1234" -> "MH12AB1234"
+const normalizeRegistration = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// Regex matching a registration number as typed on older trips, whatever the
+// spacing/punctuation ("MH12AB1234" matches "mh-12 ab 1234")
+const registrationPattern = (registrationNumber) => new RegExp(
+  `^[^A-Za-z0-9]*${normalizeRegistration(registrationNumber).split('').join('[^A-Za-z0-9]*')}[^A-Za-z0-9]*$`,
+  'i'
+);
+
+// Expired and soon-expiring documents of a vehicle on `date`. A document
+// is valid through its expiry day; documents without an expiry date are not checked.
+const vehicleDocumentStatus = (vehicle, date = new Date()) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  const warnUntil = new Date(day.getTime() + EXPIRY_WARNING_DAYS * DAY_MS);
+
+  const expired = [];
+  const expiringSoon = [];
+  Object.keys(VEHICLE_DOCUMENTS).forEach(field => {
+    if (!vehicle[field]) return;
+    const expiry = new Date(vehicle[field]);
+    const row = { document: VEHICLE_DOCUMENTS[field], field, expiry };
+    if (expiry < day) {
+      expired.push(row);
+    } else if (expiry <= warnUntil) {
+      expiringSoon.push({ ...row, daysLeft: Math.floor((expiry - day) / DAY_MS) });
+    }
+  });
+
+  return { expired, expiringSoon };
+};
+
+// Admin may book a vehicle with expired documents by sending documentOverrideReason
+const documentOverrideFromRequest = (req) => {
+  const reason = req.body && req.body.documentOverrideReason;
+  if (!reason || !can(req.user.role, 'vehicles.overrideDocuments')) return null;
+  return { reason, overriddenBy: req.user._id, overriddenByRole: req.user.role };
+};
+
+// Look up the truck of a new trip dated `date` in the vehicle master.
+// Returns { vehicle, truckNumber, warnings, documentOverride }: `truckNumber`
+// is the master's registration number when the truck is known, the typed
+// value otherwise (unknown trucks are allowed, with a warning). Inactive
+// vehicles and vehicles with documents expired on the trip date are refused
+// with 400 unless `override` (from documentOverrideFromRequest) is given.
+const checkTripVehicle = async (truckNumber, date, override = null) => {
+  const registrationNumber = normalizeRegistration(truckNumber);
+  const vehicle = registrationNumber ? await Vehicle.findOne({ registrationNumber }) : null;
+
+  if (!vehicle) {
+    const typed = String(truckNumber || '').trim();
+    return {
+      vehicle: null,
+      truckNumber: typed,
+      warnings: typed ? [`Truck ${typed} is not in the vehicle master`] : [],
+      documentOverride: null,
+    };
+  }
+
+  if (!vehicle.isActive) {
+    throw new HttpError(400, `Vehicle ${vehicle.registrationNumber} is inactive and can't be booked`, { vehicleId: vehicle._id });
+  }
+
+  const { expired, expiringSoon } = vehicleDocumentStatus(vehicle, date || new Date());
+  const warnings = expiringSoon.map(d => `${d.document} of ${vehicle.registrationNumber} expires in ${d.daysLeft} day(s)`);
+
+  let documentOverride = null;
+  if (expired.length > 0) {
+    const list = expired.map(d => `${d.document} (${d.expiry.toISOString().slice(0, 10)})`).join(', ');
+    if (!override) {
+      throw new HttpError(400, `Vehicle ${vehicle.registrationNumber} has expired documents on the trip date: ${list}`, {
+        code: 'VEHICLE_DOCUMENTS_EXPIRED',
+        vehicleId: vehicle._id,
+        expiredDocuments: expired,
+      });
+    }
+    warnings.unshift(`Booked with expired documents: ${list}`);
+    documentOverride = { ...override, expiredDocuments: expired.map(d => d.document), at: new Date() };
+  }
+
+  return { vehicle, truckNumber: vehicle.registrationNumber, warnings, documentOverride };
+};
+
+module.exports = {
+  VEHICLE_DOCUMENTS,
+  EXPIRY_WARNING_DAYS,
+  normalizeRegistration,
+  registrationPattern,
+  vehicleDocumentStatus,
+  documentOverrideFromRequest,
+  checkTripVehicle,
+};
@@ -0,0 +1,287 @@
+const Wallet = require('../models/Wallet');
+const Ledger = require('../models/Ledger');
+const TransferRequest = require('../models/TransferRequest');
+const User = require('../models/User');
+const HttpError = require('./httpError');
+const { assertPeriodOpen, resolvePostingDate } = require('./accountingPeriod');
+const { getCreditLimit, useCreditOverrideGrant } = require('./creditLimit');
+
+// Signed effect of a ledger entry on the agent's wallet
+const entryDelta = (entry) => {
+  if (entry.isInformational) return 0;
+  const amount = parseFloat(entry.amount) || 0;
+  return entry.direction === 'Credit' ? amount : -amount;
+};
+
+// Load (or lazily create) an agent's wallet inside the session
+const loadWallet = async (agentId, session) => {
+  return Wallet.findOneAndUpdate(
+    { agent: agentId },
+    { $setOnInsert: { agent: agentId, balance: 0, version: 0 } },
+    { new: true, upsert: true, session }
+  );
+};
+
+// Current wallet balance of an agent
+const getWalletBalance = async (agentId, session = null) => {
+  const wallet = await Wallet.findOne({ agent: agentId }).session(session);
+  return wallet ? wallet.balance : 0;
+};
+
+// Balance plus pending transfer holds; `availableBalance` is what the agent can spend
+const getWalletSummary = async (agentId, session = null) => {
+  const wallet = await Wallet.findOne({ agent: agentId }).session(session);
+  const balance = wallet ? wallet.balance : 0;
+  const held = wallet ? wallet.held || 0 : 0;
+  return {
+    balance,
+    held,
+    pendingIncoming: wallet ? wallet.pendingIncoming || 0 : 0,
+    availableBalance: balance - held,
+  };
+};
+
+const availableBalance = (wallet) => wallet.balance - (wallet.held || 0);
+
+// Apply `delta` to the wallet read at `wallet.version`. Fails if someone else
+// changed the wallet in between, so two concurrent debits can't both pass a
+// balance check made against the same starting balance.
+const applyWalletUpdate = async (wallet, inc, session, set = {}) => {
+  const updated = await Wallet.findOneAndUpdate(
+    { _id: wallet._id, version: wallet.version },
+    { $inc: { ...inc, version: 1 }, $set: set },
+    { new: true, session }
+  );
+  if (!updated) {
+    throw new HttpError(409, 'Agent balance changed while this transaction was running. Please retry.');
+  }
+  return updated;
+};
+
+const applyDelta = (wallet, delta, session, date = new Date()) => {
+  return applyWalletUpdate(wallet, { balance: delta }, session, { lastEntryAt: date });
+};
+
+// Post ledger entries and update each agent's wallet in the same session.
+// Every entry gets `balance` set to the agent's running balance after it.
+// Options:
+//   requireFunds   - agent ids whose debits must not take the available balance
+//                    (balance less pending transfer holds) below zero
+//   onClosedPeriod - 'roll' (default) moves entries dated in a closed accounting
+//                    period to the next open day; 'reject' fails instead
+//   branch         - branch of the trip being posted, selects per-branch credit limits
+//   creditOverride - { reason, overriddenBy, overriddenByRole } to post past an
+//                    agent's credit limit; recorded on the entries that needed it.
+//                    Without one, the agent's advance override grant is used.
+const postLedgerEntries = async (entries, session, options = {}) => {
+  const requireFunds = (options.requireFunds || []).map(String);
+  const limits = {};
+  const created = [];
+
+  for (const input of entries) {
+    const entry = { ...input };
+    const requestedDate = new Date(entry.date || Date.now());
+    entry.date = await resolvePostingDate(requestedDate, session, { onClosed: options.onClosedPeriod });
+    if (entry.date.getTime() !== requestedDate.getTime()) {
+      entry.rolledFromDate = requestedDate;
+    }
+
+    const agentId = entry.agent || entry.agentId;
+    let wallet = await loadWallet(agentId, session);
+    const delta = entryDelta(entry);
+
+    if (delta < 0 && requireFunds.includes(String(agentId)) && availableBalance(wallet) + delta < 0) {
+      throw new HttpError(400, 'Insufficient balance', { balance: wallet.balance, availableBalance: availableBalance(wallet) });
+    }
+
+    // Debits may take the agent negative only down to their credit limit
+    if (delta < 0) {
+      if (!(String(agentId) in limits)) {
+        const agent = await User.findById(agentId).session(session);
+        limits[String(agentId)] = agent ? await getCreditLimit(agent, options.branch) : null;
+      }
+      const creditLimit = limits[String(agentId)];
+      const availableAfter = availableBalance(wallet) + delta;
+      if (creditLimit !== null && availableAfter < -creditLimit) {
+        const creditOverride = options.creditOverride || await useCreditOverrideGrant(agentId, entry.tripId, session);
+        if (!creditOverride) {
+          throw new HttpError(400, `Credit limit exceeded: this would take the agent's available balance to Rs ${availableAfter.toLocaleString()} (limit Rs -${creditLimit.toLocaleString()}). Finance can override with a reason or grant the agent a one-time override.`, {
+            code: 'CREDIT_LIMIT_EXCEEDED',
+            balance: wallet.balance,
+            availableBalance: availableBalance(wallet),
+            creditLimit,
+          });
+        }
+        entry.creditLimitOverride = { ...creditOverride, creditLimit, availableAfter };
+      }
+    }
+
+    if (delta !== 0) {
+      wallet = await applyDelta(wallet, delta, session, entry.date);
+    }
+
+    const [ledgerEntry] = await Ledger.create([{ ...entry, balance: wallet.balance }], { session });
+    created.push(ledgerEntry);
+  }
+
+  return created;
+};
+
+// Reserve `amount` of the sender's available balance for a transfer awaiting
+// approval, and show it as pending on the receiver's wallet
+const placeTransferHold = async (senderId, receiverId, amount, session) => {
+  const sender = await loadWallet(senderId, session);
+  if (availableBalance(sender) < amount) {
+    throw new HttpError(400, 'Insufficient balance', { balance: sender.balance, availableBalance: availableBalance(sender) });
+  }
+  await applyWalletUpdate(sender, { held: amount }, session);
+  const receiver = await loadWallet(receiverId, session);
+  await applyWalletUpdate(receiver, { pendingIncoming: amount }, session);
+};
+
+// Undo placeTransferHold (on approval, rejection or cancellation)
+const releaseTransferHold = async (senderId, receiverId, amount, session) => {
+  const sender = await loadWallet(senderId, session);
+  await applyWalletUpdate(sender, { held: -amount }, session);
+  const receiver = await loadWallet(receiverId, session);
+  await applyWalletUpdate(receiver, { pendingIncoming: -amount }, session);
+};
+
+// Post the opposite of `entry` and mark the original as reversed.
+// The original row is kept untouched apart from the link to its reversal.
+const reverseLedgerEntry = async (entry, session, { reason = null, correctedBy = null, creditOverride = null, branch = null } = {}) => {
+  if (entry.isReversed) {
+    throw new HttpError(409, 'Ledger entry has already been reversed');
+  }
+  if (entry.type === 'Reversal') {
+    throw new HttpError(400, 'A reversal entry cannot be reversed');
+  }
+  // Entries inside a closed accounting period are frozen
+  await assertPeriodOpen(entry.date, session);
+
+  const [reversal] = await postLedgerEntries([{
+    tripId: entry.tripId,
+    lrNumber: entry.lrNumber,
+    date: new Date(),
+    description: `Reversal of ${entry.type} (${entry.lrNumber || entry._id})${reason ? `: ${reason}` : ''}`,
+    type: 'Reversal',
+    amount: entry.amount,
+    advance: 0,
+    agent: entry.agent,
+    agentId: entry.agentId || entry.agent,
+    bank: entry.bank,
+    direction: entry.direction === 'Credit' ? 'Debit' : 'Credit',
+    isInformational: entry.isInformational || false,
+    reversalOf: entry._id,
+    correctionReason: reason,
+    correctedBy,
+  }], session, { creditOverride, branch });
+
+  entry.isReversed = true;
+  entry.reversedBy = reversal._id;
+  await entry.save({ session });
+
+  return reversal;
+};
+
+// Correct posted entries that belong together (e.g. the top-up and debit of
+// a Finance on-trip payment): reverse them all, then post a replacement for
+// each with the fields from `changesFor(entry)`, linked back to the original.
+// Debits are reversed first and credits re-posted first, so credit limits
+// see the net change rather than a temporary dip in between.
+const replaceLedgerEntries = async (entries, changesFor, session, { reason = null, correctedBy = null, creditOverride = null, branch = null } = {}) => {
+  const debitsFirst = [...entries].sort((a, b) => (a.direction === 'Debit' ? 0 : 1) - (b.direction === 'Debit' ? 0 : 1));
+
+  const reversals = new Map();
+  for (const entry of debitsFirst) {
+    reversals.set(entry, await reverseLedgerEntry(entry, session, { reason, correctedBy, creditOverride, branch }));
+  }
+
+  const results = new Map();
+  for (const entry of [...debitsFirst].reverse()) {
+    const original = entry.toObject();
+    const [replacement] = await postLedgerEntries([{
+      tripId: original.tripId,
+      lrNumber: original.lrNumber,
+      date: original.date,
+      description: original.description,
+      type: original.type,
+      amount: original.amount,
+      advance: original.advance,
+      agent: original.agent,
+      agentId: original.agentId || original.agent,
+      bank: original.bank,
+      direction: original.direction,
+      paymentMadeBy: original.paymentMadeBy,
+      isInformational: original.isInformational || false,
+      onTripPayment: original.onTripPayment || null,
+      ...changesFor(entry),
+      replacementOf: entry._id,
+      correctionReason: reason,
+      correctedBy,
+    }], session, { creditOverride, branch });
+
+    entry.replacedBy = replacement._id;
+    await entry.save({ session });
+    results.set(entry, { reversal: reversals.get(entry), replacement });
+  }
+
+  // Results in the order the entries were given
+  return entries.map(entry => results.get(entry));
+};
+
+// Correct a posted entry: reverse it and post a replacement with the
+// corrected fields, linked back to the original
+const replaceLedgerEntry = async (entry, changes, session, options = {}) => {
+  const [result] = await replaceLedgerEntries([entry], () => changes, session, options);
+  return result;
+};
+
+// Recompute an agent's wallet and every entry's running balance from history
+const rebuildWallet = async (agentId) => {
+  const entries = await Ledger.find({ agent: agentId }).sort({ createdAt: 1, _id: 1 });
+
+  let running = 0;
+  let lastEntryAt = null;
+  const updates = [];
+  entries.forEach(entry => {
+    running += entryDelta(entry);
+    lastEntryAt = entry.date || entry.createdAt;
+    if (entry.balance !== running) {
+      updates.push({ updateOne: { filter: { _id: entry._id }, update: { $set: { balance: running } } } });
+    }
+  });
+
+  if (updates.length > 0) {
+    await Ledger.bulkWrite(updates);
+  }
+
+  // Holds come from transfers still awaiting approval
+  const pending = await TransferRequest.find({
+    status: 'Pending',
+    $or: [{ sender: agentId }, { receiver: agentId }],
+  });
+  const held = pending.filter(t => String(t.sender) === String(agentId)).reduce((sum, t) => sum + t.amount, 0);
+  const pendingIncoming = pending.filter(t => String(t.receiver) === String(agentId)).reduce((sum, t) => sum + t.amount, 0);
+
+  const wallet = await Wallet.findOneAndUpdate(
+    { agent: agentId },
+    { $set: { balance: running, held, pendingIncoming, lastEntryAt }, $inc: { version: 1 } },
+    { new: true, upsert: true }
+  );
+
+  return { wallet, entries: entries.length, entriesUpdated: updates.length };
+};
+
+module.exports = {
+  entryDelta,
+  getWalletBalance,
+  getWalletSummary,
+  postLedgerEntries,
+  placeTransferHold,
+  releaseTransferHold,
+  reverseLedgerEntry,
+  replaceLedgerEntry,
+  replaceLedgerEntries,
+  rebuildWallet,
+};